@@ -0,0 +1,461 @@
+/* Turns a rendered layout into output formats.
+   - getEffectiveColor() is the single source of truth for zone coloring; the canvas, exports
+     and the server all resolve rectangle colors through it.
+   - drawZoneGuides(), drawRectangles() and drawArtwork() paint onto any CanvasRenderingContext2D,
+     so the page, high-resolution exports and the server draw identically.
+   - buildSvg() writes a standalone SVG in the same CSS-pixel coordinates that history stores.
+   Zone geometry (shapes, rotation, gradients) comes from zoneShapes.js, palette colors from
+   palettes.js and per-rectangle styling (outlines, corners, opacity, rotation, shadows) from
+   rectStyle.js, all loaded before this file.
+
+   Shared by the page and Node: exposes `self.ArtRenderer` in the browser and
+   `module.exports` under require().
+*/
+
+(() => {
+  const ZONE_GUIDE_OPACITY = 0.4; // alpha of the zone guides painted under the rectangles
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const zoneShapes =
+    typeof module === "object" && module.exports ? require("./zoneShapes") : self.ZoneShapes;
+  const palettes =
+    typeof module === "object" && module.exports ? require("./palettes") : self.Palettes;
+  const rectStyle =
+    typeof module === "object" && module.exports ? require("./rectStyle") : self.RectStyle;
+
+  // What rectangles outside every zone are colored with: a function from rectangle to color when
+  // the config has a palette, else `config.color`. `width` and `height` are the canvas size the
+  // rectangles were placed at.
+  function createBaseColor(config, width, height) {
+    const palette = palettes.normalizePalette(config?.palette);
+    if (!palette) return config?.color;
+    return palettes.createPaletteColorer(palette, {
+      width,
+      height,
+      minSize: config.minSize,
+      maxSize: config.maxSize,
+    });
+  }
+
+  // The topmost zone over a rectangle's center colors it, unless zones above it blend, fade or
+  // feather into it (see zoneShapes.colorForRect). Gradients give each rectangle the blend at
+  // its center. `defaultColor` is a color or, for palettes, a function from rectangle to color
+  // (see createBaseColor).
+  function getEffectiveColor(rect, zones, defaultColor) {
+    const base = typeof defaultColor === "function" ? defaultColor(rect) : defaultColor;
+    if (!Array.isArray(zones) || !zones.length) return base;
+    return zoneShapes.colorForRect(rect, zones, base);
+  }
+
+  const CANVAS_BLEND_OPERATIONS = { multiply: "multiply", screen: "screen" };
+
+  // Start a path along the zone's outline, for filling or stroking.
+  function traceZone(ctx, zone) {
+    ctx.beginPath();
+    if (zone.type === "circle" || zone.type === "radialGradient") {
+      ctx.arc(zone.x, zone.y, zone.radius, 0, 2 * Math.PI);
+    } else if (zone.type === "ellipse") {
+      const rotation = ((zone.angle || 0) * Math.PI) / 180;
+      ctx.ellipse(zone.x, zone.y, zone.radiusX, zone.radiusY, rotation, 0, 2 * Math.PI);
+    } else {
+      const points = zone.type === "polygon" ? zone.points : zoneShapes.rectangleCorners(zone);
+      points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      ctx.closePath();
+    }
+  }
+
+  function zoneGuideFill(ctx, zone) {
+    if (!zoneShapes.isGradient(zone)) return zone.color;
+    let gradient;
+    if (zone.type === "radialGradient") {
+      gradient = ctx.createRadialGradient(zone.x, zone.y, 0, zone.x, zone.y, zone.radius);
+    } else {
+      const line = zoneShapes.gradientLine(zone);
+      gradient = ctx.createLinearGradient(line.x1, line.y1, line.x2, line.y2);
+    }
+    gradient.addColorStop(0, zone.color);
+    gradient.addColorStop(1, zone.color2);
+    return gradient;
+  }
+
+  function guideOpacity(zone) {
+    return ZONE_GUIDE_OPACITY * (Number.isFinite(zone.opacity) ? zone.opacity : 1);
+  }
+
+  // Paint the semi-transparent zone guides, bottom layer first, in each zone's blend mode.
+  // Coordinates are CSS pixels; callers set the transform.
+  function drawZoneGuides(ctx, zones) {
+    if (!Array.isArray(zones) || !zones.length) return;
+    ctx.save();
+    for (const zone of [...zoneShapes.zoneLayers(zones)].reverse()) {
+      ctx.globalAlpha = guideOpacity(zone);
+      ctx.globalCompositeOperation = CANVAS_BLEND_OPERATIONS[zone.blend] || "source-over";
+      ctx.fillStyle = zoneGuideFill(ctx, zone);
+      traceZone(ctx, zone);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // Start a path along a w×h rectangle at (x, y) with corners rounded by up to `radius`.
+  function traceRectangle(ctx, x, y, w, h, radius) {
+    const r = Math.min(radius, w / 2, h / 2);
+    ctx.beginPath();
+    if (!(r > 0)) {
+      ctx.rect(x, y, w, h);
+      return;
+    }
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y, x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x, y + h, r);
+    ctx.arcTo(x, y + h, x, y, r);
+    ctx.arcTo(x, y, x + w, y, r);
+    ctx.closePath();
+  }
+
+  function shadowPaint(shadow) {
+    const channels = [1, 3, 5].map((start) => parseInt(shadow.color.slice(start, start + 2), 16));
+    return `rgba(${channels.join(", ")}, ${shadow.opacity})`;
+  }
+
+  // Fill rectangles in order with their zone-resolved colors. `color` is as for
+  // getEffectiveColor; `style` is a config's rectangle style (see rectStyle.js).
+  function drawRectangles(ctx, rects, color, zones = [], style = null) {
+    const looks = rectStyle.normalizeStyle(style);
+    if (!looks) {
+      for (const r of rects) {
+        ctx.fillStyle = getEffectiveColor(r, zones, color);
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+      }
+      return;
+    }
+
+    const strokeWidth = rectStyle.strokeWidthOf(looks);
+    const radius = looks.cornerRadius || 0;
+    const shadow = rectStyle.shadowOf(looks);
+    ctx.save();
+    if (shadow) {
+      // Shadow offsets and blur ignore the transform, so scale them by hand.
+      const transform = ctx.getTransform();
+      const pixelScale = Math.hypot(transform.a, transform.b);
+      ctx.shadowColor = shadowPaint(shadow);
+      ctx.shadowBlur = shadow.blur * pixelScale;
+      ctx.shadowOffsetX = shadow.offsetX * pixelScale;
+      ctx.shadowOffsetY = shadow.offsetY * pixelScale;
+    }
+    if (strokeWidth) ctx.strokeStyle = looks.strokeColor;
+    for (const r of rects) {
+      ctx.save();
+      ctx.globalAlpha = rectStyle.rectOpacity(r, looks);
+      ctx.translate(r.x + r.w / 2, r.y + r.h / 2);
+      ctx.rotate((rectStyle.rectAngle(r, looks.rotation) * Math.PI) / 180);
+      ctx.fillStyle = getEffectiveColor(r, zones, color);
+      traceRectangle(ctx, -r.w / 2, -r.h / 2, r.w, r.h, radius);
+      ctx.fill();
+      if (strokeWidth) {
+        // Inside the edge, so the outline stays within the rectangle's own footprint.
+        const width = Math.min(strokeWidth, r.w / 2, r.h / 2);
+        ctx.shadowColor = "transparent";
+        ctx.lineWidth = width;
+        traceRectangle(
+          ctx,
+          width / 2 - r.w / 2,
+          width / 2 - r.h / 2,
+          r.w - width,
+          r.h - width,
+          Math.max(0, radius - width / 2)
+        );
+        ctx.stroke();
+      }
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  // Uniform scale and centering offsets that fit a `sourceWidth` x `sourceHeight` layout into
+  // the target size without distorting it.
+  function fitToSize(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+    if (!(sourceWidth > 0) || !(sourceHeight > 0)) {
+      return { scale: 1, offsetX: 0, offsetY: 0 };
+    }
+    const scale = Math.min(targetWidth / sourceWidth, targetHeight / sourceHeight);
+    return {
+      scale,
+      offsetX: (targetWidth - sourceWidth * scale) / 2,
+      offsetY: (targetHeight - sourceHeight * scale) / 2,
+    };
+  }
+
+  // Draw a stored layout (`renderDetails`: { rects, config, canvasWidth, canvasHeight }) into
+  // a `width` x `height` area of `ctx`. The layout is scaled proportionally from its stored
+  // canvas size and centered; rectangles are never regenerated.
+  // Options: `width`/`height` (default: the stored size), `includeZoneGuides` (default true),
+  // `background` (a fill color for the whole area, transparent when omitted).
+  function drawArtwork(ctx, renderDetails, options = {}) {
+    const rects = Array.isArray(renderDetails?.rects) ? renderDetails.rects : [];
+    const config = renderDetails?.config || {};
+    const zones = Array.isArray(config.colorZones) ? config.colorZones : [];
+    const sourceWidth = Number(renderDetails?.canvasWidth) || 0;
+    const sourceHeight = Number(renderDetails?.canvasHeight) || 0;
+    const width = Number(options.width) || sourceWidth;
+    const height = Number(options.height) || sourceHeight;
+    const { scale, offsetX, offsetY } = fitToSize(sourceWidth, sourceHeight, width, height);
+
+    ctx.save();
+    if (options.background) {
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+    if (options.includeZoneGuides !== false) {
+      drawZoneGuides(ctx, zones);
+    }
+    const baseColor = createBaseColor(config, sourceWidth, sourceHeight);
+    drawRectangles(ctx, rects, baseColor, zones, config.style);
+    ctx.restore();
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+  }
+
+  // String(number) is the shortest representation that parses back to the same double,
+  // so coordinates survive an SVG round trip unchanged.
+  function formatNumber(value) {
+    return Object.is(value, -0) ? "0" : String(value);
+  }
+
+  function rotation(angle, cx, cy) {
+    return angle
+      ? ` transform="rotate(${formatNumber(angle)} ${formatNumber(cx)} ${formatNumber(cy)})"`
+      : "";
+  }
+
+  function gradientDefinition(zone, id) {
+    let ends;
+    if (zone.type === "radialGradient") {
+      ends = { cx: zone.x, cy: zone.y, r: zone.radius };
+    } else {
+      ends = zoneShapes.gradientLine(zone);
+    }
+    const attributes = Object.entries(ends)
+      .map(([key, value]) => `${key}="${formatNumber(value)}"`)
+      .join(" ");
+    const stops = [zone.color, zone.color2]
+      .map((color, offset) => `<stop offset="${offset}" stop-color="${escapeXml(color)}"/>`)
+      .join("");
+    return `<defs><${zone.type} id="${id}" gradientUnits="userSpaceOnUse" ${attributes}>${stops}</${
+      zone.type
+    }></defs>`;
+  }
+
+  // Gradient guides carry their own <linearGradient>/<radialGradient>, referenced by `id`.
+  function zoneGuideElement(zone, id) {
+    const gradient = zoneShapes.isGradient(zone);
+    const definition = gradient ? gradientDefinition(zone, id) : "";
+    const paint = gradient ? `url(#${id})` : escapeXml(zone.color);
+    const blend = CANVAS_BLEND_OPERATIONS[zone.blend];
+    const opacity = formatNumber(Number(guideOpacity(zone).toFixed(3)));
+    const style = blend ? ` style="mix-blend-mode:${blend}"` : "";
+    const fill = `fill="${paint}" fill-opacity="${opacity}"${style}`;
+
+    switch (zone.type) {
+      case "circle":
+      case "radialGradient":
+        return `${definition}<circle cx="${formatNumber(zone.x)}" cy="${formatNumber(
+          zone.y
+        )}" r="${formatNumber(zone.radius)}" ${fill}/>`;
+      case "ellipse":
+        return `<ellipse cx="${formatNumber(zone.x)}" cy="${formatNumber(
+          zone.y
+        )}" rx="${formatNumber(zone.radiusX)}" ry="${formatNumber(zone.radiusY)}"${rotation(
+          zone.angle,
+          zone.x,
+          zone.y
+        )} ${fill}/>`;
+      case "rectangle":
+      case "linearGradient": {
+        const angle = zone.type === "rectangle" ? zone.angle : 0;
+        return `${definition}<rect x="${formatNumber(zone.x)}" y="${formatNumber(
+          zone.y
+        )}" width="${formatNumber(zone.width)}" height="${formatNumber(zone.height)}"${rotation(
+          angle,
+          zone.x + zone.width / 2,
+          zone.y + zone.height / 2
+        )} ${fill}/>`;
+      }
+      case "polygon": {
+        const points = zone.points
+          .map((point) => `${formatNumber(point.x)},${formatNumber(point.y)}`)
+          .join(" ");
+        return `<polygon points="${points}" ${fill}/>`;
+      }
+      default:
+        return "";
+    }
+  }
+
+  const SHADOW_FILTER_ID = "rect-shadow";
+
+  // The drop shadow as an SVG filter, built from basic primitives rather than feDropShadow so more
+  // viewers draw it. Its region has to reach past the smallest rectangle by the offset plus the
+  // blur; canvas blur is twice the Gaussian's standard deviation.
+  function shadowFilter(shadow, rects) {
+    const smallest = rects.reduce((least, rect) => Math.min(least, rect.w, rect.h), Infinity);
+    const reach = Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY)) + 1.5 * shadow.blur;
+    const margin = Math.ceil((100 * reach) / Math.max(1, smallest));
+    return [
+      `<defs><filter id="${SHADOW_FILTER_ID}" x="-${margin}%" y="-${margin}%" width="${
+        100 + 2 * margin
+      }%" height="${100 + 2 * margin}%">`,
+      `<feGaussianBlur in="SourceAlpha" stdDeviation="${formatNumber(shadow.blur / 2)}"/>`,
+      `<feOffset dx="${formatNumber(shadow.offsetX)}" dy="${formatNumber(
+        shadow.offsetY
+      )}" result="offset"/>`,
+      `<feFlood flood-color="${escapeXml(shadow.color)}" flood-opacity="${formatNumber(
+        shadow.opacity
+      )}"/>`,
+      '<feComposite in2="offset" operator="in"/>',
+      '<feMerge><feMergeNode/><feMergeNode in="SourceGraphic"/></feMerge>',
+      "</filter></defs>",
+    ].join("");
+  }
+
+  function rectElement(x, y, w, h, attributes) {
+    return `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(
+      w
+    )}" height="${formatNumber(h)}"${attributes}/>`;
+  }
+
+  // A rectangle drawn with `looks` (a normalized style), as drawRectangles() draws it: turned
+  // about its center, with the outline inside its edge and the shadow cast by the fill alone.
+  // Shadowed fills sit in a <g> so the shadow falls the same way whatever the angle.
+  function styledRectElements(rect, looks) {
+    const radius = looks.cornerRadius || 0;
+    const turn = rotation(
+      rectStyle.rectAngle(rect, looks.rotation),
+      rect.x + rect.w / 2,
+      rect.y + rect.h / 2
+    );
+    const alpha = rectStyle.rectOpacity(rect, looks);
+    const opacity = alpha < 1 ? ` opacity="${formatNumber(Number(alpha.toFixed(3)))}"` : "";
+    const corner = (r) => (r > 0 ? ` rx="${formatNumber(r)}"` : "");
+    const fillCorner = corner(Math.min(radius, rect.w / 2, rect.h / 2));
+
+    const elements = looks.shadowColor
+      ? [
+          `<g filter="url(#${SHADOW_FILTER_ID})"${opacity}>${rectElement(
+            rect.x,
+            rect.y,
+            rect.w,
+            rect.h,
+            `${fillCorner}${turn}`
+          )}</g>`,
+        ]
+      : [rectElement(rect.x, rect.y, rect.w, rect.h, `${fillCorner}${turn}${opacity}`)];
+
+    const strokeWidth = rectStyle.strokeWidthOf(looks);
+    if (strokeWidth) {
+      const width = Math.min(strokeWidth, rect.w / 2, rect.h / 2);
+      const w = rect.w - width;
+      const h = rect.h - width;
+      const strokeCorner = corner(Math.min(Math.max(0, radius - width / 2), w / 2, h / 2));
+      elements.push(
+        rectElement(
+          rect.x + width / 2,
+          rect.y + width / 2,
+          w,
+          h,
+          ` fill="none" stroke="${escapeXml(looks.strokeColor)}" stroke-width="${formatNumber(
+            width
+          )}"${strokeCorner}${turn}${opacity}`
+        )
+      );
+    }
+    return elements;
+  }
+
+  // Build a standalone SVG document from `renderDetails` ({ rects, config, canvasWidth,
+  // canvasHeight }). Rectangles keep their drawing order, because nested rectangles rely on it;
+  // consecutive rectangles of the same color share a <g fill>. The config's `style` is drawn as
+  // on the canvas, with one shared shadow filter.
+  // Options: `includeZoneGuides` (default true) adds the semi-transparent zone layer that the
+  // canvas paints under the rectangles; `title` becomes the document <title>.
+  function buildSvg(renderDetails, options = {}) {
+    const rects = Array.isArray(renderDetails?.rects) ? renderDetails.rects : [];
+    const config = renderDetails?.config || {};
+    const zones = Array.isArray(config.colorZones) ? config.colorZones : [];
+    const width = Number(renderDetails?.canvasWidth) || 0;
+    const height = Number(renderDetails?.canvasHeight) || 0;
+    const includeZoneGuides = options.includeZoneGuides !== false;
+    const baseColor = createBaseColor(config, width, height);
+    const looks = rectStyle.normalizeStyle(config.style);
+    const shadow = looks && rectStyle.shadowOf(looks);
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="${SVG_NS}" width="${formatNumber(width)}" height="${formatNumber(
+        height
+      )}" viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+    ];
+
+    if (typeof options.title === "string" && options.title.trim()) {
+      lines.push(`<title>${escapeXml(options.title.trim())}</title>`);
+    }
+
+    if (includeZoneGuides && zones.length) {
+      lines.push('<g id="zone-guides">');
+      // Bottom layer first, like the canvas; gradient ids follow the zones' list order.
+      [...zoneShapes.zoneLayers(zones)].reverse().forEach((zone) => {
+        const element = zoneGuideElement(zone, `zone-gradient-${zones.indexOf(zone)}`);
+        if (element) lines.push(element);
+      });
+      lines.push("</g>");
+    }
+
+    if (shadow && rects.length) lines.push(shadowFilter(shadow, rects));
+    lines.push('<g id="rectangles">');
+    let runColor = null;
+    for (const rect of rects) {
+      const color = getEffectiveColor(rect, zones, baseColor);
+      if (color !== runColor) {
+        if (runColor !== null) lines.push("</g>");
+        lines.push(`<g fill="${escapeXml(color)}">`);
+        runColor = color;
+      }
+      if (looks) lines.push(...styledRectElements(rect, looks));
+      else lines.push(rectElement(rect.x, rect.y, rect.w, rect.h, ""));
+    }
+    if (runColor !== null) lines.push("</g>");
+    lines.push("</g>");
+
+    lines.push("</svg>");
+    return `${lines.join("\n")}\n`;
+  }
+
+  const ArtRenderer = {
+    ZONE_GUIDE_OPACITY,
+    createBaseColor,
+    getEffectiveColor,
+    traceZone,
+    drawZoneGuides,
+    drawRectangles,
+    fitToSize,
+    drawArtwork,
+    buildSvg,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = ArtRenderer;
+  } else {
+    self.ArtRenderer = ArtRenderer;
+  }
+})();
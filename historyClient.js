@@ -1,5 +1,6 @@
 (() => {
-  const HISTORY_LIMIT = 10;
+  const HISTORY_PAGE_SIZE = 20;
+  const rectCodec = window.RectCodec || null;
 
   function resolveHistoryApiBase() {
     if (typeof window === "undefined") return "";
@@ -47,6 +48,18 @@
     return cleaned;
   }
 
+  // Saved rectangles arrive packed (rectCodec.js) or, for older entries, as a plain array.
+  function decodeStoredRectangles(rectangles) {
+    if (Array.isArray(rectangles)) return rectangles;
+    if (!rectCodec || !rectCodec.isPacked(rectangles)) return [];
+    try {
+      return rectCodec.decodeRectangles(rectangles);
+    } catch (error) {
+      console.warn("Unable to decode saved rectangles", error);
+      return [];
+    }
+  }
+
   function cloneColorZones(zones) {
     if (!Array.isArray(zones)) return [];
     return zones
@@ -77,20 +90,40 @@
       resultType: typeof entry.resultType === "string" ? entry.resultType : "unknown",
       createdAt: Number.isFinite(createdAtMs) ? createdAtMs : Date.now(),
       config: sanitizeConfig(entry.config),
-      rectangles: sanitizeRectangles(entry.rectangles),
+      rectangles: sanitizeRectangles(decodeStoredRectangles(entry.rectangles)),
       canvasWidth: Number(entry.canvasWidth) || 0,
       canvasHeight: Number(entry.canvasHeight) || 0,
+      title: typeof entry.title === "string" && entry.title ? entry.title : null,
+      tags: Array.isArray(entry.tags) ? entry.tags.filter((tag) => typeof tag === "string") : [],
+      ownerId: typeof entry.ownerId === "string" ? entry.ownerId : null,
+      ownerName: typeof entry.ownerName === "string" ? entry.ownerName : null,
+      visibility: ["public", "unlisted", "private"].includes(entry.visibility)
+        ? entry.visibility
+        : "public",
+      parentId: typeof entry.parentId === "string" ? entry.parentId : null,
     };
   }
 
-  function buildHistoryPayload(prompt, resultType, renderDetails) {
+  function hasSeed(config) {
+    return Number.isInteger(config?.seed) && config.seed >= 0;
+  }
+
+  function buildHistoryPayload(prompt, resultType, renderDetails, parentId) {
+    const config = sanitizeConfig(renderDetails.config);
+    // Seeded layouts regenerate bit-for-bit from config.seed and the canvas size,
+    // so their rectangles don't need to be stored.
+    const omitRectangles = renderDetails.reproducible === true && hasSeed(config);
+    const rects = omitRectangles ? [] : sanitizeRectangles(renderDetails.rects);
+
     return {
       prompt: prompt || "",
       resultType: resultType || "unknown",
-      config: sanitizeConfig(renderDetails.config),
-      rectangles: sanitizeRectangles(renderDetails.rects),
+      config,
+      // Packed, about a quarter the size of the JSON array; the server also accepts arrays.
+      rectangles: rects.length && rectCodec ? rectCodec.encodeRectangles(rects) : rects,
       canvasWidth: Math.round(Number(renderDetails.canvasWidth) || 0),
       canvasHeight: Math.round(Number(renderDetails.canvasHeight) || 0),
+      ...(parentId ? { parentId } : {}),
     };
   }
 
@@ -102,34 +135,93 @@
     }
   }
 
-  async function fetchHistory(base) {
-    const response = await fetch(historyApiUrl(base, "/api/history"), {
+  // The server answers errors with `{ error }`; fall back to the raw text or status.
+  async function readErrorMessage(response, fallback) {
+    const text = await response.text();
+    try {
+      const data = JSON.parse(text);
+      if (data && typeof data.error === "string") return data.error;
+    } catch (error) {
+      // Not JSON; use the text as is.
+    }
+    return text || response.statusText || fallback;
+  }
+
+  // Every request carries the session cookie, also when the API is on another origin.
+  function apiFetch(base, path, init = {}) {
+    return fetch(historyApiUrl(base, path), { credentials: "include", ...init });
+  }
+
+  // Fetch one page of history, newest first. `options`: `cursor` (the previous page's
+  // `nextCursor`), `q` (prompt search), `resultType`, `from`, `to`, `limit`, `signal`, and
+  // `mine: true` for only the signed-in user's entries.
+  // Resolves with `{ items, nextCursor }`; `nextCursor` is null on the last page.
+  async function fetchHistory(base, options = {}) {
+    const params = new URLSearchParams();
+    params.set("limit", String(options.limit || HISTORY_PAGE_SIZE));
+    for (const key of ["cursor", "q", "resultType", "from", "to"]) {
+      const value = typeof options[key] === "string" ? options[key].trim() : "";
+      if (value) params.set(key, value);
+    }
+    if (options.mine) params.set("mine", "1");
+
+    const response = await apiFetch(base, `/api/history?${params}`, {
       method: "GET",
       headers: { Accept: "application/json" },
+      signal: options.signal,
     });
 
     if (!response.ok) {
       throw new Error(`History request failed with status ${response.status}`);
     }
 
+    const data = await response.json();
+    const items = Array.isArray(data?.items) ? data.items : [];
+    return {
+      items: items.map((item) => sanitizeHistoryEntry(item)).filter(Boolean),
+      nextCursor: typeof data?.nextCursor === "string" ? data.nextCursor : null,
+    };
+  }
+
+  // One entry by id, for permalinks. Resolves with null when it doesn't exist or isn't visible
+  // to the current user.
+  async function fetchHistoryEntry(base, id) {
+    const response = await apiFetch(base, `/api/history/${encodeURIComponent(id)}`, {
+      headers: { Accept: "application/json" },
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to load saved art."));
+    }
+    const data = await response.json();
+    return sanitizeHistoryEntry(data?.item);
+  }
+
+  // The revision chain ending at an entry, oldest first, as far back as the user can see.
+  async function fetchHistoryRevisions(base, id) {
+    const response = await apiFetch(base, `/api/history/${encodeURIComponent(id)}/revisions`, {
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to load earlier versions."));
+    }
     const data = await response.json();
     const items = Array.isArray(data?.items) ? data.items : [];
     return items.map((item) => sanitizeHistoryEntry(item)).filter(Boolean);
   }
 
-  async function persistHistory(base, promptText, resultType, renderDetails) {
-    const payload = buildHistoryPayload(promptText, resultType, renderDetails);
+  // `options.parentId` saves the art as a refinement of that entry.
+  async function persistHistory(base, promptText, resultType, renderDetails, options = {}) {
+    const payload = buildHistoryPayload(promptText, resultType, renderDetails, options.parentId);
 
-    const response = await fetch(historyApiUrl(base, "/api/history"), {
+    const response = await apiFetch(base, "/api/history", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify(payload),
     });
 
     if (!response.ok) {
-      const text = await response.text();
-      const message = text || response.statusText || "Failed to save history.";
-      throw new Error(message);
+      throw new Error(await readErrorMessage(response, "Failed to save history."));
     }
 
     const data = await response.json();
@@ -141,26 +233,87 @@
       throw new Error("Missing history id");
     }
 
-    const response = await fetch(historyApiUrl(base, `/api/history/${encodeURIComponent(id)}`), {
+    const response = await apiFetch(base, `/api/history/${encodeURIComponent(id)}`, {
       method: "DELETE",
       headers: { Accept: "application/json" },
     });
 
     if (!response.ok) {
-      const text = await response.text();
-      const message = text || response.statusText || "Failed to delete history.";
-      throw new Error(message);
+      throw new Error(await readErrorMessage(response, "Failed to delete history."));
     }
 
     return true;
   }
 
+  async function setHistoryVisibility(base, id, visibility) {
+    const response = await apiFetch(base, `/api/history/${encodeURIComponent(id)}`, {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ visibility }),
+    });
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to update history."));
+    }
+
+    const data = await response.json();
+    return sanitizeHistoryEntry(data?.item);
+  }
+
+  function sanitizeUser(user) {
+    if (!user || typeof user.id !== "string" || typeof user.username !== "string") return null;
+    return { id: user.id, username: user.username };
+  }
+
+  // Resolves with `{ id, username }`, or null when signed out.
+  async function fetchCurrentUser(base) {
+    const response = await apiFetch(base, "/api/auth/me", {
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to load the session."));
+    }
+    const data = await response.json();
+    return sanitizeUser(data?.user);
+  }
+
+  // `mode` is "login" or "register". Resolves with the signed-in user.
+  async function signIn(base, mode, username, password) {
+    const path = mode === "register" ? "/api/auth/register" : "/api/auth/login";
+    const response = await apiFetch(base, path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to sign in."));
+    }
+    const data = await response.json();
+    return sanitizeUser(data?.user);
+  }
+
+  async function signOut(base) {
+    const response = await apiFetch(base, "/api/auth/logout", {
+      method: "POST",
+      headers: { Accept: "application/json" },
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, "Failed to sign out."));
+    }
+  }
+
   window.RectangleHistoryClient = {
-    HISTORY_LIMIT,
+    HISTORY_PAGE_SIZE,
     resolveHistoryApiBase,
     formatHistoryTimestamp,
     fetchHistory,
+    fetchHistoryEntry,
+    fetchHistoryRevisions,
     persistHistory,
     deleteHistory,
+    setHistoryVisibility,
+    fetchCurrentUser,
+    signIn,
+    signOut,
   };
 })();
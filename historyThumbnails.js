@@ -0,0 +1,163 @@
+(() => {
+  const DEFAULT_WIDTH = 96; // CSS pixels
+  const DEFAULT_HEIGHT = 64;
+  const MAX_THUMBNAILS = 200; // kept beyond this only while their canvas is in the list
+
+  // Lazily drawn previews for the Previous Art list. Each entry gets one canvas that is cached by
+  // id and re-used whenever the list re-renders. Canvases are only drawn once they scroll into
+  // view inside `options.root`, one at a time. Seeded entries (stored without rectangles) are
+  // regenerated on their own placement worker so they never interrupt the main canvas.
+  // Past MAX_THUMBNAILS, the least recently attached previews that are no longer on the page are
+  // dropped, so paging through history or changing filters doesn't keep every preview around.
+  function createThumbnailRenderer(options = {}) {
+    const width = options.width || DEFAULT_WIDTH;
+    const height = options.height || DEFAULT_HEIGHT;
+    const renderer = window.ArtRenderer;
+    const placement = window.RectanglePlacement;
+    const runner = window.PlacementRunner ? window.PlacementRunner.createPlacementRunner() : null;
+
+    // entry id -> { entry, canvas, state, rectCount, listeners }, least recently attached first
+    const thumbnails = new Map();
+    const queue = [];
+    let processing = false;
+
+    const observer =
+      typeof IntersectionObserver === "function"
+        ? new IntersectionObserver(handleIntersections, {
+            root: options.root || null,
+            rootMargin: "120px 0px",
+          })
+        : null;
+
+    function handleIntersections(observations) {
+      for (const observation of observations) {
+        if (!observation.isIntersecting) continue;
+        observer.unobserve(observation.target);
+        const thumb = findByCanvas(observation.target);
+        if (thumb) enqueue(thumb);
+      }
+    }
+
+    function findByCanvas(canvas) {
+      for (const thumb of thumbnails.values()) {
+        if (thumb.canvas === canvas) return thumb;
+      }
+      return null;
+    }
+
+    function createCanvas() {
+      const dpr = window.devicePixelRatio || 1;
+      const canvas = document.createElement("canvas");
+      canvas.className = "history-thumbnail";
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+      canvas.setAttribute("aria-hidden", "true");
+      return canvas;
+    }
+
+    function enqueue(thumb) {
+      if (thumb.state !== "idle") return;
+      thumb.state = "queued";
+      queue.push(thumb);
+      processQueue();
+    }
+
+    async function processQueue() {
+      if (processing) return;
+      processing = true;
+      try {
+        while (queue.length) {
+          const thumb = queue.shift();
+          if (thumbnails.get(thumb.entry.id) !== thumb) continue; // forgotten meanwhile
+          await renderThumbnail(thumb);
+        }
+      } finally {
+        processing = false;
+      }
+    }
+
+    async function resolveRectangles(entry) {
+      if (entry.rectangles.length) return entry.rectangles;
+      const seed = placement ? placement.normalizeSeed(entry.config?.seed) : null;
+      if (seed === null || !runner || !entry.canvasWidth || !entry.canvasHeight) return [];
+      const { rects } = await runner.run(entry.canvasWidth, entry.canvasHeight, entry.config);
+      return rects;
+    }
+
+    async function renderThumbnail(thumb) {
+      thumb.state = "rendering";
+      try {
+        const rects = await resolveRectangles(thumb.entry);
+        const ctx = thumb.canvas.getContext("2d");
+        if (ctx) {
+          const dpr = thumb.canvas.width / width;
+          ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+          renderer.drawArtwork(
+            ctx,
+            {
+              rects,
+              config: thumb.entry.config,
+              canvasWidth: thumb.entry.canvasWidth,
+              canvasHeight: thumb.entry.canvasHeight,
+            },
+            { width, height, background: "#ffffff" }
+          );
+        }
+        thumb.rectCount = rects.length;
+        thumb.state = "done";
+        for (const listener of thumb.listeners) listener(thumb.rectCount);
+      } catch (error) {
+        console.warn("Failed to render history thumbnail", error);
+        thumb.state = "failed";
+      }
+      thumb.listeners = [];
+    }
+
+    // Put the preview for `entry` into `container`. `onRendered(rectCount)` fires once the
+    // preview is drawn (immediately when it already is).
+    function attach(entry, container, onRendered) {
+      let thumb = thumbnails.get(entry.id);
+      if (thumb) {
+        thumbnails.delete(entry.id);
+      } else {
+        thumb = { entry, canvas: createCanvas(), state: "idle", rectCount: null, listeners: [] };
+      }
+      thumbnails.set(entry.id, thumb);
+      container.appendChild(thumb.canvas);
+      evictDetached();
+
+      if (typeof onRendered === "function") {
+        if (thumb.state === "done") onRendered(thumb.rectCount);
+        else thumb.listeners = [onRendered];
+      }
+
+      if (thumb.state === "idle") {
+        if (observer) observer.observe(thumb.canvas);
+        else enqueue(thumb);
+      }
+    }
+
+    function evictDetached() {
+      if (thumbnails.size <= MAX_THUMBNAILS) return;
+      for (const [id, thumb] of thumbnails) {
+        if (thumbnails.size <= MAX_THUMBNAILS) break;
+        if (!thumb.canvas.isConnected) forget(id);
+      }
+    }
+
+    function forget(id) {
+      const thumb = thumbnails.get(id);
+      if (!thumb) return;
+      if (observer) observer.unobserve(thumb.canvas);
+      thumbnails.delete(id);
+    }
+
+    return { attach, forget };
+  }
+
+  window.HistoryThumbnails = {
+    createThumbnailRenderer,
+  };
+})();
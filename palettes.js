@@ -0,0 +1,181 @@
+/* Multi-color fills for the rectangles outside every zone. A config's `palette` is either the
+   name of one of PALETTES or an object:
+   - name:     one of PALETTES; its colors (and weights) unless `colors` is given
+   - colors:   hex colors, 1 to MAX_PALETTE_COLORS of them
+   - weights:  how often each color is picked in "random" mode, one per color (default 1 each)
+   - mode:     how a rectangle gets its color:
+               "random"    a weighted pick that stays the same for the same rectangle (the default)
+               "position"  a gradient through the colors across the canvas, along `angle`
+               "size"      the colors in bands from the smallest rectangles to the largest
+   - angle:    degrees for "position", clockwise; 0 runs left to right, 90 top to bottom
+   Zones still color the rectangles they cover, on top of the palette color.
+
+   Shared by the page and Node: exposes `self.Palettes` in the browser and `module.exports`
+   under require(). zoneShapes.js has to be loaded first.
+*/
+
+(() => {
+  const zoneShapes =
+    typeof module === "object" && module.exports ? require("./zoneShapes") : self.ZoneShapes;
+
+  const MAX_PALETTE_COLORS = 12;
+  const PALETTE_MODES = Object.freeze(["random", "position", "size"]);
+  const PALETTES = Object.freeze({
+    autumn: { colors: ["#8c2f39", "#b23a48", "#e07a2f", "#f2a541", "#6b4226"] },
+    spring: { colors: ["#a8e6cf", "#dcedc1", "#ffd3b6", "#ffaaa5", "#ff8b94"] },
+    ocean: { colors: ["#03045e", "#0077b6", "#00b4d8", "#90e0ef", "#caf0f8"] },
+    forest: { colors: ["#1b4332", "#2d6a4f", "#40916c", "#74c69d", "#b7e4c7"] },
+    sunset: { colors: ["#ffbe0b", "#fb5607", "#ff006e", "#8338ec", "#3a86ff"] },
+    pastel: {
+      colors: ["#ffadad", "#ffd6a5", "#fdffb6", "#caffbf", "#9bf6ff", "#a0c4ff", "#bdb2ff"],
+    },
+    neon: { colors: ["#ff00ff", "#00ffff", "#39ff14", "#ffff00", "#ff3131"] },
+    earth: { colors: ["#582f0e", "#7f4f24", "#936639", "#a68a64", "#b6ad90"] },
+    grayscale: { colors: ["#111111", "#444444", "#777777", "#aaaaaa", "#dddddd"] },
+    // Mostly white blocks with a few primaries, for the subdivision layout.
+    mondrian: {
+      colors: ["#f2f2f2", "#d40920", "#1356a2", "#f7d842", "#111111"],
+      weights: [6, 1, 1, 1, 0.5],
+    },
+  });
+  const PALETTE_NAMES = Object.freeze(Object.keys(PALETTES));
+
+  // `value` as lowercase #rrggbb, or null when it isn't a #rgb or #rrggbb color.
+  function parseColor(value) {
+    if (typeof value !== "string") return null;
+    const trimmed = value.trim();
+    if (/^#([0-9a-f]{6})$/i.test(trimmed)) {
+      return trimmed.toLowerCase();
+    }
+    if (/^#([0-9a-f]{3})$/i.test(trimmed)) {
+      const hex = trimmed.slice(1);
+      return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
+    }
+    return null;
+  }
+
+  // Weights lined up with `count` colors, or null when they would all be equal anyway.
+  function normalizeWeights(weights, count) {
+    if (!Array.isArray(weights)) return null;
+    const normalized = [];
+    for (let i = 0; i < count; i++) {
+      const weight = Number(weights[i]);
+      normalized.push(Number.isFinite(weight) && weight >= 0 ? weight : 1);
+    }
+    if (!normalized.some((weight) => weight > 0)) return null;
+    return normalized.every((weight) => weight === normalized[0]) ? null : normalized;
+  }
+
+  // A well-formed palette with its colors spelled out, or null when there is no usable color.
+  // Defaults are left out, like zone layering fields. Spelling out a named palette's colors
+  // keeps saved art looking the same if the named palette changes later.
+  function normalizePalette(value) {
+    const source = typeof value === "string" ? { name: value } : value;
+    if (!source || typeof source !== "object") return null;
+
+    const name = typeof source.name === "string" ? source.name.trim().toLowerCase() : "";
+    const named = Object.prototype.hasOwnProperty.call(PALETTES, name) ? PALETTES[name] : null;
+    const ownColors = Array.isArray(source.colors)
+      ? source.colors.map(parseColor).filter(Boolean).slice(0, MAX_PALETTE_COLORS)
+      : [];
+    const colors = ownColors.length ? ownColors : named ? [...named.colors] : [];
+    if (!colors.length) return null;
+
+    const palette = { colors };
+    if (named) palette.name = name;
+    const weights = normalizeWeights(
+      ownColors.length || Array.isArray(source.weights) ? source.weights : named.weights,
+      colors.length
+    );
+    const mode = PALETTE_MODES.includes(source.mode) ? source.mode : "random";
+    if (mode === "random" && weights) palette.weights = weights;
+    if (mode !== "random") palette.mode = mode;
+    const angle = Number(source.angle);
+    if (mode === "position" && Number.isFinite(angle) && angle % 360 !== 0) {
+      palette.angle = ((angle % 360) + 360) % 360;
+    }
+    return palette;
+  }
+
+  // A number in [0, 1) that depends only on the rectangle's geometry, so a rectangle keeps its
+  // color through redraws, replays and exports without storing it. A different `salt` gives an
+  // unrelated number for the same rectangle.
+  function rectHash(rect, salt = 0) {
+    let hash = 0x9e3779b9 ^ salt;
+    for (const value of [rect.x, rect.y, rect.w, rect.h]) {
+      hash = Math.imul(hash ^ Math.round(value * 16), 0x85ebca6b);
+      hash ^= hash >>> 13;
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 0xc2b2ae35);
+    return ((hash ^ (hash >>> 16)) >>> 0) / 0x100000000;
+  }
+
+  // Colors along t in [0, 1], evenly spaced and blended in between.
+  function colorAlong(colors, t) {
+    if (colors.length === 1) return colors[0];
+    const position = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+    const index = Math.min(colors.length - 2, Math.floor(position));
+    return zoneShapes.mixColors(colors[index], colors[index + 1], position - index);
+  }
+
+  // A function from rectangle to its palette color. `layout`: `width` and `height` of the canvas
+  // the rectangles were placed on, for "position", and the config's `minSize` and `maxSize`, for
+  // "size". `palette` must be normalized.
+  function createPaletteColorer(palette, layout = {}) {
+    const { colors } = palette;
+
+    if (palette.mode === "position") {
+      const radians = ((palette.angle || 0) * Math.PI) / 180;
+      const dx = Math.cos(radians);
+      const dy = Math.sin(radians);
+      const width = Number(layout.width) || 0;
+      const height = Number(layout.height) || 0;
+      // Half the canvas's extent along the gradient, so t runs 0 to 1 corner to corner.
+      const reach = (Math.abs(dx) * width + Math.abs(dy) * height) / 2 || 1;
+      return (rect) => {
+        const offsetX = rect.x + rect.w / 2 - width / 2;
+        const offsetY = rect.y + rect.h / 2 - height / 2;
+        return colorAlong(colors, 0.5 + (offsetX * dx + offsetY * dy) / (2 * reach));
+      };
+    }
+
+    if (palette.mode === "size") {
+      const minSize = Number(layout.minSize) || 0;
+      const maxSize = Number(layout.maxSize) || 0;
+      return (rect) => {
+        const size = (rect.w + rect.h) / 2;
+        const t = maxSize > minSize ? (size - minSize) / (maxSize - minSize) : 0.5;
+        const band = Math.floor(Math.min(1, Math.max(0, t)) * colors.length);
+        return colors[Math.min(colors.length - 1, band)];
+      };
+    }
+
+    const weights = palette.weights || colors.map(() => 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return (rect) => {
+      let pick = rectHash(rect) * total;
+      for (let i = 0; i < colors.length; i++) {
+        pick -= weights[i];
+        if (pick < 0) return colors[i];
+      }
+      return colors[colors.length - 1];
+    };
+  }
+
+  const Palettes = {
+    MAX_PALETTE_COLORS,
+    PALETTE_MODES,
+    PALETTES,
+    PALETTE_NAMES,
+    parseColor,
+    normalizePalette,
+    rectHash,
+    createPaletteColorer,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = Palettes;
+  } else {
+    self.Palettes = Palettes;
+  }
+})();
@@ -0,0 +1,855 @@
+/* Rectangle packing with a 2px minimum border-to-border gap.
+   - Rectangles are axis-aligned, unless `rotation` turns them (see rectStyle.js); the rules
+     below then apply to the turned outlines.
+   - Fully contained within canvas.
+   - Borders never overlap or touch; min gap = GAP between any two borders.
+   - Containment (nesting) is allowed iff the inner border is ≥ GAP away from the outer border on all sides.
+     Only the "nested" layout asks for it; elsewhere the area-overlap check rejects nesting, as it
+     always has, so seeded layouts keep reproducing.
+   - Separated rectangles must be at least GAP apart (including diagonals).
+
+   `layout` picks how rectangles are arranged: random rejection sampling (the default), recursive
+   subdivision, a jittered grid, Poisson-disc, a spiral or nested packing. Every layout is checked
+   against the same rules.
+
+   Color zones can steer placement with `density`, `minSize`/`maxSize` and `exclude` (see
+   zoneShapes.js). Plans without such zones are placed exactly as before, so seeds saved earlier
+   still reproduce. zoneShapes.js, palettes.js and rectStyle.js have to be loaded first.
+
+   Shared by the page and Node: exposes `self.RectanglePlacement` in the browser and
+   `module.exports` under require().
+*/
+
+(() => {
+  const GAP = 2; // pixels between any two rectangle borders
+  const MAX_ATTEMPTS_PER_RECT = 500; // placement retries per rectangle before giving up on that rect
+  const MAX_CONSECUTIVE_FAILURES = 20 * MAX_ATTEMPTS_PER_RECT; // stop once the canvas is effectively full
+  const MAX_RECTANGLE_COUNT = 50000; // ceiling for `count`, affordable thanks to the grid index
+  const SEEDED_COUNT_CEILING = 5000; // the `count` ceiling when seeds were introduced
+  const SEED_RANGE = 0x100000000; // seeds are unsigned 32-bit integers
+  // Arrangements generateRectangles can use; see the *Layout functions below.
+  const LAYOUTS = ["random", "subdivision", "grid", "poisson", "spiral", "nested"];
+  // Bridson's algorithm puts about 0.64 × area / spacing² centers down; spacing them for a few
+  // less than `count` leaves no corner of the canvas unvisited when the count runs out.
+  const POISSON_FILL = 0.67;
+  const POISSON_TRIES = 30; // candidates around an active center before it is retired
+  const POISSON_STRETCH = 0.85; // share of the spacing rectangles try before the safe size
+  const SPIRAL_FILL = 0.8; // rectangle size as a share of the spiral's spacing
+  const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+  // Large, then medium rectangles placed before the requested sizes, as multiples of maxSize.
+  const NESTED_LEVELS = [
+    { share: 0.02, low: 2, high: 4 },
+    { share: 0.1, low: 1, high: 2 },
+  ];
+  const zoneShapes =
+    typeof module === "object" && module.exports ? require("./zoneShapes") : self.ZoneShapes;
+  const rectStyle =
+    typeof module === "object" && module.exports ? require("./rectStyle") : self.RectStyle;
+
+  // Geometry helpers
+  function rectContains(outer, inner) {
+    return (
+      inner.x >= outer.x &&
+      inner.y >= outer.y &&
+      inner.x + inner.w <= outer.x + outer.w &&
+      inner.y + inner.h <= outer.y + outer.h
+    );
+  }
+
+  function containsWithGap(outer, inner, gap) {
+    return (
+      inner.x - outer.x >= gap &&
+      inner.y - outer.y >= gap &&
+      outer.x + outer.w - (inner.x + inner.w) >= gap &&
+      outer.y + outer.h - (inner.y + inner.h) >= gap
+    );
+  }
+
+  function rectsIntersectStrict(a, b) {
+    // True if areas overlap (not just touching edges)
+    return !(
+      a.x + a.w <= b.x ||
+      b.x + b.w <= a.x ||
+      a.y + a.h <= b.y ||
+      b.y + b.h <= a.y
+    );
+  }
+
+  function rectsTouchOrOverlap(a, b) {
+    // True if they overlap or touch (zero gap)
+    return !(
+      a.x + a.w < b.x ||
+      b.x + b.w < a.x ||
+      a.y + a.h < b.y ||
+      b.y + b.h < a.y
+    );
+  }
+
+  // Minimum edge-to-edge distance (Euclidean) between two axis-aligned rectangles.
+  function minEdgeDistance(a, b) {
+    const dx =
+      a.x > b.x + b.w
+        ? a.x - (b.x + b.w)
+        : b.x > a.x + a.w
+        ? b.x - (a.x + a.w)
+        : 0; // overlap in x -> dx=0
+    const dy =
+      a.y > b.y + b.h
+        ? a.y - (b.y + b.h)
+        : b.y > a.y + a.h
+        ? b.y - (a.y + a.h)
+        : 0; // overlap in y -> dy=0
+    return Math.hypot(dx, dy);
+  }
+
+  // Turned rectangles are checked as outlines: their four corners, clockwise on screen, with
+  // their bounding box as x/y/w/h so the spatial index files them like any other rectangle.
+  function turnedOutline(rect, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const corners = [];
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    for (const [dx, dy] of [
+      [-rect.w / 2, -rect.h / 2],
+      [rect.w / 2, -rect.h / 2],
+      [rect.w / 2, rect.h / 2],
+      [-rect.w / 2, rect.h / 2],
+    ]) {
+      const corner = { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+      corners.push(corner);
+      left = Math.min(left, corner.x);
+      top = Math.min(top, corner.y);
+      right = Math.max(right, corner.x);
+      bottom = Math.max(bottom, corner.y);
+    }
+    return { x: left, y: top, w: right - left, h: bottom - top, corners };
+  }
+
+  // `slot` shrunk about its center, by whole pixels on each side, until turning it by `degrees`
+  // keeps it inside `slot`. Null when nothing is left.
+  function fitTurned(slot, degrees) {
+    const cos = Math.abs(Math.cos((degrees * Math.PI) / 180));
+    const sin = Math.abs(Math.sin((degrees * Math.PI) / 180));
+    const scale = Math.min(
+      1,
+      slot.w / (slot.w * cos + slot.h * sin),
+      slot.h / (slot.w * sin + slot.h * cos)
+    );
+    const insetX = Math.ceil((slot.w * (1 - scale)) / 2 - 1e-9);
+    const insetY = Math.ceil((slot.h * (1 - scale)) / 2 - 1e-9);
+    const w = slot.w - 2 * insetX;
+    const h = slot.h - 2 * insetY;
+    return w >= 1 && h >= 1 ? { x: slot.x + insetX, y: slot.y + insetY, w, h } : null;
+  }
+
+  // How far `point` is inside the outline's edge from `from` to `to` (negative outside).
+  function insideDistance(from, to, point) {
+    const ex = to.x - from.x;
+    const ey = to.y - from.y;
+    return (ex * (point.y - from.y) - ey * (point.x - from.x)) / Math.hypot(ex, ey);
+  }
+
+  // True when every corner of `inner` is at least `margin` inside every edge of `outer`.
+  function outlineContains(outer, inner, margin) {
+    const edges = outer.corners;
+    for (let i = 0; i < edges.length; i++) {
+      const from = edges[i];
+      const to = edges[(i + 1) % edges.length];
+      for (const point of inner.corners) {
+        if (insideDistance(from, to, point) < margin) return false;
+      }
+    }
+    return true;
+  }
+
+  // Separating-axis test: true if the areas overlap (not just touching edges).
+  function outlinesIntersectStrict(a, b) {
+    for (const outline of [a, b]) {
+      const edges = outline.corners;
+      for (let i = 0; i < edges.length; i++) {
+        const from = edges[i];
+        const to = edges[(i + 1) % edges.length];
+        const ax = from.y - to.y;
+        const ay = to.x - from.x;
+        let minA = Infinity;
+        let maxA = -Infinity;
+        let minB = Infinity;
+        let maxB = -Infinity;
+        for (const point of a.corners) {
+          const projection = point.x * ax + point.y * ay;
+          minA = Math.min(minA, projection);
+          maxA = Math.max(maxA, projection);
+        }
+        for (const point of b.corners) {
+          const projection = point.x * ax + point.y * ay;
+          minB = Math.min(minB, projection);
+          maxB = Math.max(maxB, projection);
+        }
+        if (maxA <= minB || maxB <= minA) return false;
+      }
+    }
+    return true;
+  }
+
+  function pointSegmentDistance(point, from, to) {
+    const ex = to.x - from.x;
+    const ey = to.y - from.y;
+    const along = ((point.x - from.x) * ex + (point.y - from.y) * ey) / (ex * ex + ey * ey);
+    const t = Math.min(1, Math.max(0, along || 0));
+    return Math.hypot(point.x - (from.x + t * ex), point.y - (from.y + t * ey));
+  }
+
+  // Minimum edge-to-edge distance between two outlines that don't overlap; for convex shapes it
+  // is always between a corner of one and an edge of the other.
+  function minOutlineDistance(a, b) {
+    let distance = Infinity;
+    for (const [points, outline] of [
+      [a.corners, b],
+      [b.corners, a],
+    ]) {
+      const edges = outline.corners;
+      for (let i = 0; i < edges.length; i++) {
+        for (const point of points) {
+          const d = pointSegmentDistance(point, edges[i], edges[(i + 1) % edges.length]);
+          if (d < distance) distance = d;
+        }
+      }
+    }
+    return distance;
+  }
+
+  // violatesGap() for turned outlines: the same rules, on their actual edges.
+  function violatesOutlineGap(candidate, r, gap, allowNesting) {
+    // Outlines whose bounding boxes are GAP apart are too, and most neighbours are.
+    if (minEdgeDistance(candidate, r) >= gap) return false;
+    if (allowNesting) {
+      if (outlineContains(r, candidate, 0)) return !outlineContains(r, candidate, gap);
+      if (outlineContains(candidate, r, 0)) return !outlineContains(candidate, r, gap);
+    }
+    return outlinesIntersectStrict(candidate, r) || minOutlineDistance(candidate, r) < gap;
+  }
+
+  // True when `candidate` and `r` may not coexist: overlapping areas, nesting without a ≥ gap
+  // margin, or disjoint borders closer than `gap`. Both checkers below share this rule.
+  // Nesting only gets past the overlap check with `allowNesting`.
+  function violatesGap(candidate, r, gap, allowNesting) {
+    if (candidate.corners) return violatesOutlineGap(candidate, r, gap, allowNesting);
+
+    if (allowNesting && (rectContains(r, candidate) || rectContains(candidate, r))) {
+      return rectContains(r, candidate)
+        ? !containsWithGap(r, candidate, gap)
+        : !containsWithGap(candidate, r, gap);
+    }
+
+    // If they overlap in area, reject immediately.
+    if (rectsIntersectStrict(candidate, r)) return true;
+
+    const touchOrOverlap = rectsTouchOrOverlap(candidate, r);
+
+    // If one contains the other, ensure ≥ gap margins on all sides.
+    const candInR = rectContains(r, candidate);
+    const rInCand = rectContains(candidate, r);
+
+    if (candInR || rInCand) {
+      const ok = candInR
+        ? containsWithGap(r, candidate, gap)
+        : containsWithGap(candidate, r, gap);
+      // If containment with margins is satisfied, it's fine regardless of diagonal distances.
+      return !ok;
+    }
+
+    // Otherwise, they are disjoint (neither contains the other)
+    // Ensure their minimum border distance ≥ gap (handles horizontal, vertical, and diagonal separation).
+    const dist = minEdgeDistance(candidate, r);
+    if (dist < gap) return true;
+
+    // If they merely "touch" (dist == 0) and not contained, also reject (borders cannot overlap or touch)
+    return touchOrOverlap && dist === 0;
+  }
+
+  // Validate a candidate rectangle against existing ones, with nesting (≥ GAP margin) allowed
+  // when `allowNesting` is set. Brute force over every placed rectangle; kept as the reference
+  // for the grid index.
+  function isValidPlacement(candidate, rects, gap, allowNesting = false) {
+    for (let i = 0; i < rects.length; i++) {
+      if (violatesGap(candidate, rects[i], gap, allowNesting)) return false;
+    }
+    return true;
+  }
+
+  // Uniform grid over placed rectangles. Each rectangle is registered in every cell its bounds
+  // touch, so a candidate only needs checking against rectangles in the cells around it.
+  // Anything that can violate the gap rule is within `gap` of the candidate's bounds, which is
+  // exactly the region queried, so results match isValidPlacement.
+  function createSpatialIndex(width, height, cellSize) {
+    const size = Math.max(1, cellSize);
+    const cols = Math.max(1, Math.ceil(width / size));
+    const rows = Math.max(1, Math.ceil(height / size));
+    const cells = new Array(cols * rows);
+    const rects = [];
+    // Per-rectangle query stamps so a rectangle spanning several cells is checked once.
+    let marks = new Uint32Array(1024);
+    let queryStamp = 0;
+
+    function colOf(x) {
+      return Math.min(cols - 1, Math.max(0, Math.floor(x / size)));
+    }
+
+    function rowOf(y) {
+      return Math.min(rows - 1, Math.max(0, Math.floor(y / size)));
+    }
+
+    function insert(rect) {
+      const index = rects.length;
+      rects.push(rect);
+      if (index >= marks.length) {
+        const grown = new Uint32Array(marks.length * 2);
+        grown.set(marks);
+        marks = grown;
+      }
+
+      const c0 = colOf(rect.x);
+      const c1 = colOf(rect.x + rect.w);
+      const r0 = rowOf(rect.y);
+      const r1 = rowOf(rect.y + rect.h);
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const key = row * cols + col;
+          if (cells[key]) cells[key].push(index);
+          else cells[key] = [index];
+        }
+      }
+    }
+
+    function isValid(candidate, gap, allowNesting = false) {
+      queryStamp++;
+      if (queryStamp === 0xffffffff) {
+        marks.fill(0);
+        queryStamp = 1;
+      }
+
+      const c0 = colOf(candidate.x - gap);
+      const c1 = colOf(candidate.x + candidate.w + gap);
+      const r0 = rowOf(candidate.y - gap);
+      const r1 = rowOf(candidate.y + candidate.h + gap);
+      for (let row = r0; row <= r1; row++) {
+        for (let col = c0; col <= c1; col++) {
+          const bucket = cells[row * cols + col];
+          if (!bucket) continue;
+          for (let i = 0; i < bucket.length; i++) {
+            const index = bucket[i];
+            if (marks[index] === queryStamp) continue;
+            marks[index] = queryStamp;
+            if (violatesGap(candidate, rects[index], gap, allowNesting)) return false;
+          }
+        }
+      }
+      return true;
+    }
+
+    return { insert, isValid, rects };
+  }
+
+  // Seeded PRNG (mulberry32). Integer-only state updates keep the sequence identical across
+  // browsers and Node for the same seed.
+  function createRng(seed) {
+    let state = seed >>> 0;
+    return function next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+  }
+
+  // Returns an unsigned 32-bit seed, or null when the value cannot be used as one.
+  function normalizeSeed(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const num = Number(value);
+    if (!Number.isFinite(num)) return null;
+    return Math.floor(Math.abs(num)) % SEED_RANGE;
+  }
+
+  function randomSeed() {
+    const cryptoApi = typeof crypto !== "undefined" ? crypto : null;
+    if (cryptoApi && typeof cryptoApi.getRandomValues === "function") {
+      return cryptoApi.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * SEED_RANGE);
+  }
+
+  function randInt(rng, min, max) {
+    // inclusive of min, inclusive of max
+    return Math.floor(rng() * (max - min + 1)) + min;
+  }
+
+  function steersPlacement(zone) {
+    return (
+      !!zone &&
+      zone.exclude !== true &&
+      (zone.density !== undefined || zone.minSize !== undefined || zone.maxSize !== undefined)
+    );
+  }
+
+  // True when the zone changes where rectangles go, not just their color.
+  function affectsPlacement(zone) {
+    return !!zone && (zone.exclude === true || steersPlacement(zone));
+  }
+
+  // What the placement loop needs from the zones, or null when none of them affect placement.
+  // Where steering zones overlap the topmost one applies, stacked as for coloring.
+  function createZoneField(zones) {
+    const placementZones = Array.isArray(zones)
+      ? zones.map(zoneShapes.normalizeZone).filter(affectsPlacement)
+      : [];
+    if (!placementZones.length) return null;
+    const steering = zoneShapes.zoneLayers(placementZones).filter(steersPlacement);
+    const masks = placementZones
+      .filter((zone) => zone.exclude === true)
+      .map((zone) => ({ zone, bounds: zoneShapes.zoneBounds(zone) }));
+
+    return {
+      maxDensity: Math.max(1, ...steering.map((zone) => zone.density ?? 1)),
+      maxSize: Math.max(0, ...steering.map((zone) => zone.maxSize || 0)),
+      zoneAt(x, y) {
+        return steering.find((zone) => zoneShapes.containsPoint(zone, x, y)) || null;
+      },
+      // Measured from the rectangle's center out to its corners, so it errs on the side of
+      // leaving a little extra room around a mask.
+      isMasked(rect) {
+        const cx = rect.x + rect.w / 2;
+        const cy = rect.y + rect.h / 2;
+        const reach = Math.hypot(rect.w, rect.h) / 2;
+        return masks.some(({ zone, bounds }) => {
+          if (rect.x > bounds.right || rect.x + rect.w < bounds.left) return false;
+          if (rect.y > bounds.bottom || rect.y + rect.h < bounds.top) return false;
+          return zoneShapes.signedDistance(zone, cx, cy) > -reach;
+        });
+      },
+    };
+  }
+
+  // Where a steering zone covers (x, y), the rectangle sizes it asks for, else the layout's own.
+  // Null when the zone's density thins the spot out; that takes a random draw, so call it once per
+  // spot.
+  function sizeRangeAt(field, rng, x, y, minSize, maxSize) {
+    if (!field) return { low: minSize, high: maxSize };
+    const zone = field.zoneAt(x, y);
+    const density = zone && zone.density !== undefined ? zone.density : 1;
+    if (density < field.maxDensity && rng() * field.maxDensity >= density) return null;
+    const low = zone && zone.minSize !== undefined ? zone.minSize : minSize;
+    const high = Math.max(low, zone && zone.maxSize !== undefined ? zone.maxSize : maxSize);
+    return { low, high };
+  }
+
+  function densityAt(field, x, y) {
+    const zone = field ? field.zoneAt(x, y) : null;
+    return zone && zone.density !== undefined ? zone.density : 1;
+  }
+
+  // A w×h rectangle centered on (cx, cy), pushed back inside the canvas where it would stick out.
+  function centeredRect(cx, cy, w, h, width, height) {
+    const x = Math.min(Math.max(0, width - w), Math.max(0, Math.round(cx - w / 2)));
+    const y = Math.min(Math.max(0, height - h), Math.max(0, Math.round(cy - h / 2)));
+    return { x, y, w, h };
+  }
+
+  function shuffle(items, rng) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // The layouts other than "random". Each gets `run`: the canvas size, the requested count and
+  // sizes, `rng`, the zone `field` (or null), `tryPlace(rect)`, which checks the rectangle
+  // against the GAP rules and exclude zones and keeps it when it passes, and `placedCount()`.
+
+  // Mondrian/treemap: split the canvas in two across its longer side, leaving a GAP-wide gutter,
+  // and keep splitting the pieces breadth first until there are `targetCount` of them or the
+  // rest are small enough. "Small enough" varies per piece by up to 4× either way, for a mix of
+  // large and small blocks, and denser zones split further. Pieces never get narrower than
+  // `minSize` but, unlike the other layouts, may be larger than `maxSize`.
+  function subdivisionLayout(run) {
+    const { width, height, targetCount, minSize, rng, field } = run;
+    const baseArea = (width * height) / Math.max(1, targetCount);
+    const queue = [{ x: 0, y: 0, w: width, h: height }];
+    const pieces = [];
+    let head = 0;
+
+    while (head < queue.length) {
+      const piece = queue[head++];
+      const across = piece.w >= piece.h; // split across the width, into a left and a right part
+      const side = across ? piece.w : piece.h;
+      const density = densityAt(field, piece.x + piece.w / 2, piece.y + piece.h / 2);
+      const smallEnough = (baseArea * 2 ** (rng() * 4 - 2)) / density;
+      if (
+        pieces.length + (queue.length - head) + 2 > targetCount ||
+        side < 2 * minSize + GAP ||
+        piece.w * piece.h <= smallEnough
+      ) {
+        pieces.push(piece);
+        continue;
+      }
+
+      const room = side - GAP;
+      const first = Math.min(
+        room - minSize,
+        Math.max(minSize, Math.round(room * (0.3 + rng() * 0.4)))
+      );
+      if (across) {
+        queue.push({ ...piece, w: first }, { ...piece, x: piece.x + first + GAP, w: room - first });
+      } else {
+        queue.push({ ...piece, h: first }, { ...piece, y: piece.y + first + GAP, h: room - first });
+      }
+    }
+
+    // Random order, so drawing in batches fills the canvas evenly instead of sweeping across it.
+    for (const piece of shuffle(pieces, rng)) run.tryPlace(piece);
+  }
+
+  // Grid with jitter: about `targetCount` equal cells, each holding one rectangle of random size
+  // at a random spot inside it. Every cell keeps a GAP-wide strip free along its right and bottom
+  // edges, so neighbours can't collide. Cells are filled in random order.
+  function gridLayout(run) {
+    const { width, height, targetCount, minSize, maxSize, rng, field } = run;
+    const cell = Math.max(minSize + GAP, Math.sqrt((width * height) / Math.max(1, targetCount)));
+    const cols = Math.max(1, Math.floor(width / cell));
+    const rows = Math.max(1, Math.floor(height / cell));
+    const order = shuffle(
+      Array.from({ length: cols * rows }, (_, i) => i),
+      rng
+    );
+
+    for (const cellIndex of order) {
+      const col = cellIndex % cols;
+      const row = Math.floor(cellIndex / cols);
+      const left = Math.floor((col * width) / cols);
+      const right = Math.floor(((col + 1) * width) / cols);
+      const top = Math.floor((row * height) / rows);
+      const bottom = Math.floor(((row + 1) * height) / rows);
+      const cx = (left + right) / 2;
+      const cy = (top + bottom) / 2;
+      const range = sizeRangeAt(field, rng, cx, cy, minSize, maxSize);
+      if (!range) continue;
+
+      const roomW = Math.max(1, right - left - GAP);
+      const roomH = Math.max(1, bottom - top - GAP);
+      const w = Math.min(roomW, randInt(rng, range.low, range.high));
+      const h = Math.min(roomH, randInt(rng, range.low, range.high));
+      const x = left + randInt(rng, 0, roomW - w);
+      const y = top + randInt(rng, 0, roomH - h);
+      run.tryPlace({ x, y, w, h });
+    }
+  }
+
+  // Poisson-disc (Bridson's algorithm): centers at least `spacing` apart and spread evenly, but
+  // without the grid's rows and columns. The spacing fits about `targetCount` centers on the
+  // canvas, though never so tight that `minSize` rectangles would collide. Rectangles up to
+  // spacing / √2 - GAP can't overlap a neighbour; larger ones are tried first and shrink to that
+  // when they don't fit.
+  function poissonLayout(run) {
+    const { width, height, targetCount, minSize, maxSize, rng, field } = run;
+    const spacing = Math.max(
+      (minSize + GAP) * Math.SQRT2,
+      Math.sqrt((POISSON_FILL * width * height) / Math.max(1, targetCount))
+    );
+    const safe = Math.max(minSize, Math.floor(spacing / Math.SQRT2) - GAP);
+    const roomy = Math.max(safe, Math.floor(spacing * POISSON_STRETCH) - GAP);
+    // At most one center per cell, so a new center only needs checking against the 5×5 cells
+    // around it.
+    const cellSize = spacing / Math.SQRT2;
+    const cols = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+    const grid = new Int32Array(cols * rows).fill(-1);
+    const points = [];
+    const active = [];
+
+    function isFarEnough(x, y) {
+      const col = Math.floor(x / cellSize);
+      const row = Math.floor(y / cellSize);
+      for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+        for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+          const other = grid[r * cols + c];
+          if (other >= 0 && Math.hypot(points[other].x - x, points[other].y - y) < spacing) {
+            return false;
+          }
+        }
+      }
+      return true;
+    }
+
+    function addPoint(x, y) {
+      grid[Math.floor(y / cellSize) * cols + Math.floor(x / cellSize)] = points.length;
+      active.push(points.length);
+      points.push({ x, y });
+
+      const range = sizeRangeAt(field, rng, x, y, minSize, maxSize);
+      if (!range) return;
+      const high = Math.min(range.high, roomy);
+      const low = Math.min(range.low, high);
+      const w = randInt(rng, low, high);
+      const h = randInt(rng, low, high);
+      if (run.tryPlace(centeredRect(x, y, w, h, width, height))) return;
+      // Too big for the neighbours so far; the safe size always fits.
+      run.tryPlace(centeredRect(x, y, Math.min(w, safe), Math.min(h, safe), width, height));
+    }
+
+    addPoint(rng() * width, rng() * height);
+    while (active.length) {
+      const slot = Math.floor(rng() * active.length);
+      const from = points[active[slot]];
+      let found = false;
+      for (let tries = 0; tries < POISSON_TRIES && !found; tries++) {
+        const angle = rng() * 2 * Math.PI;
+        const distance = spacing * (1 + rng());
+        const x = from.x + Math.cos(angle) * distance;
+        const y = from.y + Math.sin(angle) * distance;
+        if (x < 0 || y < 0 || x >= width || y >= height || !isFarEnough(x, y)) continue;
+        addPoint(x, y);
+        found = true;
+      }
+      if (!found) {
+        active[slot] = active[active.length - 1];
+        active.pop();
+      }
+    }
+  }
+
+  // Spiral: centers on a sunflower (Vogel) spiral from the middle of the canvas outwards, each a
+  // golden angle round from the last. The spiral covers the circle around the canvas, evenly
+  // spaced so that about `targetCount` centers land on the canvas itself. Rectangles go down from
+  // the middle out, and any that would collide with a neighbour are left out.
+  function spiralLayout(run) {
+    const { width, height, targetCount, minSize, maxSize, rng, field } = run;
+    const reach = Math.hypot(width, height) / 2;
+    const circleArea = Math.PI * reach * reach;
+    const total = Math.ceil((targetCount * circleArea) / (width * height));
+    const spacing = Math.sqrt(circleArea / total);
+    const largest = Math.max(minSize, Math.floor(spacing * SPIRAL_FILL) - GAP);
+
+    for (let i = 0; i < total && run.placedCount() < targetCount; i++) {
+      const radius = reach * Math.sqrt((i + 0.5) / total);
+      const x = width / 2 + radius * Math.cos(i * GOLDEN_ANGLE);
+      const y = height / 2 + radius * Math.sin(i * GOLDEN_ANGLE);
+      if (x < 0 || y < 0 || x >= width || y >= height) continue;
+
+      const range = sizeRangeAt(field, rng, x, y, minSize, maxSize);
+      if (!range) continue;
+      const high = Math.min(range.high, largest);
+      const low = Math.min(range.low, high);
+      const w = randInt(rng, low, high);
+      const h = randInt(rng, low, high);
+      run.tryPlace(centeredRect(x, y, w, h, width, height));
+    }
+  }
+
+  // Nested packing: a few large rectangles go down first, then medium ones, then the requested
+  // sizes, each by rejection sampling. This is the one layout that allows nesting, so later,
+  // smaller rectangles land inside the earlier ones as readily as beside them, as long as they
+  // keep a GAP margin. Level sizes are multiples of `maxSize`.
+  function nestedLayout(run) {
+    const { width, height, targetCount, minSize, maxSize, rng, field } = run;
+
+    for (const level of NESTED_LEVELS) {
+      const high = Math.min(Math.round(maxSize * level.high), width, height);
+      const low = Math.min(Math.round(maxSize * level.low), high);
+      const quota = Math.max(1, Math.round(targetCount * level.share));
+      scatter(run, quota, (x, y) => (densityAt(field, x, y) > 0 ? { low, high } : null));
+    }
+    scatter(run, targetCount - run.placedCount(), (x, y) =>
+      sizeRangeAt(field, rng, x, y, minSize, maxSize)
+    );
+  }
+
+  // Rejection sampling around random centers, sized by `rangeAt(x, y)` (null skips the spot),
+  // until `quota` more rectangles are placed or the canvas is effectively full.
+  function scatter(run, quota, rangeAt) {
+    const { width, height, rng } = run;
+    const goal = run.placedCount() + quota;
+    let failures = 0;
+    for (
+      let tries = 0;
+      run.placedCount() < goal &&
+      tries < quota * MAX_ATTEMPTS_PER_RECT &&
+      failures < MAX_CONSECUTIVE_FAILURES;
+      tries++
+    ) {
+      const x = rng() * width;
+      const y = rng() * height;
+      const range = rangeAt(x, y);
+      if (!range) continue;
+      const w = randInt(rng, range.low, range.high);
+      const h = randInt(rng, range.low, range.high);
+      failures = run.tryPlace(centeredRect(x, y, w, h, width, height)) ? 0 : failures + 1;
+    }
+  }
+
+  const LAYOUT_STRATEGIES = {
+    subdivision: subdivisionLayout,
+    grid: gridLayout,
+    poisson: poissonLayout,
+    spiral: spiralLayout,
+    nested: nestedLayout,
+  };
+
+  function normalizeLayout(value) {
+    return LAYOUTS.includes(value) ? value : "random";
+  }
+
+  // Try to place `targetCount` rectangles with random sizes in [minSize, maxSize].
+  // With `options.seed` the result is identical for the same seed, arguments and canvas size.
+  // `options.bruteForce` swaps the grid index for isValidPlacement (benchmarks only); both
+  // produce the same rectangles. `options.onBatch(batch, placedCount)` is called with every
+  // `options.batchSize` newly placed rectangles so callers can draw while placement runs.
+  // `options.zones` are the plan's color zones; those with placement fields pick each candidate's
+  // spot and size: a random point is kept with probability density / (highest density), the
+  // rectangle is sized by the zone under it and centered there, and candidates touching an
+  // `exclude` zone are dropped.
+  // `options.layout` picks the arrangement (see LAYOUTS); "random", the default, places each
+  // rectangle at a random spot and retries whenever it collides.
+  // `options.rotation` is the style's rotation (rectStyle.js). Each rectangle is then shrunk to
+  // fit its spot once turned by its angle, and the GAP rules are checked on the turned outlines.
+  // The rectangles returned are the unturned ones, as drawing and history expect.
+  function generateRectangles(width, height, targetCount, minSize, maxSize, options = {}) {
+    const seed = normalizeSeed(options.seed);
+    const layout = normalizeLayout(options.layout);
+    const rotation = rectStyle.normalizeStyle({ rotation: options.rotation })?.rotation || 0;
+    const field = createZoneField(options.zones);
+    const rng = seed === null ? Math.random : createRng(seed);
+    const batchSize = Math.max(1, Math.floor(Number(options.batchSize) || 250));
+    const onBatch = typeof options.onBatch === "function" ? options.onBatch : null;
+    let batchStart = 0;
+
+    console.log(
+      `Debug: Generating rectangles - target: ${targetCount}, canvas: ${width}x${height}, size: ${minSize}-${maxSize}, seed: ${seed}, layout: ${layout}`
+    );
+
+    const largest = Math.max(maxSize, field ? field.maxSize : 0);
+    const index = options.bruteForce ? null : createSpatialIndex(width, height, largest + GAP);
+    // What the GAP rules are checked against: the rectangles themselves, or their turned outlines.
+    const shapes = index ? index.rects : [];
+    const rects = rotation ? [] : shapes;
+    const allowNesting = layout === "nested";
+    let attempts = 0;
+
+    function place(spot) {
+      const cand = rotation ? fitTurned(spot, rectStyle.rectAngle(spot, rotation)) : spot;
+      if (!cand) return false;
+      const shape = rotation ? turnedOutline(cand, rectStyle.rectAngle(cand, rotation)) : cand;
+      const valid =
+        !(field && field.isMasked(cand)) &&
+        (index
+          ? index.isValid(shape, GAP, allowNesting)
+          : isValidPlacement(shape, shapes, GAP, allowNesting));
+      if (!valid) return false;
+      if (index) index.insert(shape);
+      else shapes.push(shape);
+      if (rotation) rects.push(cand);
+
+      if (onBatch && rects.length - batchStart >= batchSize) {
+        onBatch(rects.slice(batchStart), rects.length);
+        batchStart = rects.length;
+      }
+      return true;
+    }
+
+    if (layout === "random") {
+      let consecutiveFailures = 0;
+
+      // Safety to avoid infinite loops if space is tight.
+      const MAX_TOTAL_ATTEMPTS = targetCount * MAX_ATTEMPTS_PER_RECT;
+      // Seeds from before the early stop existed keep the original stopping rule and replay the
+      // same rectangles. Those configs had at most SEEDED_COUNT_CEILING rectangles and neither
+      // placement zones nor rotation. Everything else stops once the canvas is effectively full,
+      // which keeps crowded canvases affordable.
+      const original = seed !== null && targetCount <= SEEDED_COUNT_CEILING && !field && !rotation;
+      const maxConsecutiveFailures = original ? Infinity : MAX_CONSECUTIVE_FAILURES;
+
+      while (
+        rects.length < targetCount &&
+        attempts < MAX_TOTAL_ATTEMPTS &&
+        consecutiveFailures < maxConsecutiveFailures
+      ) {
+        attempts++;
+
+        let cand;
+        if (field) {
+          const px = rng() * width;
+          const py = rng() * height;
+          const range = sizeRangeAt(field, rng, px, py, minSize, maxSize);
+          // Thinned-out spots aren't failures: they say nothing about how full the canvas is.
+          if (!range) continue;
+          const w = randInt(rng, range.low, range.high);
+          const h = randInt(rng, range.low, range.high);
+          cand = centeredRect(px, py, w, h, width, height);
+        } else {
+          const w = randInt(rng, minSize, maxSize);
+          const h = randInt(rng, minSize, maxSize);
+
+          // Ensure fully contained within canvas with GAP margin from canvas border?
+          // Requirement only says fully contained; borders can't overlap each other, not the canvas.
+          // We'll allow rectangles to sit against the canvas edge (no gap required vs canvas).
+          const x = randInt(rng, 0, Math.max(0, width - w));
+          const y = randInt(rng, 0, Math.max(0, height - h));
+          cand = { x, y, w, h };
+        }
+        consecutiveFailures++;
+        if (place(cand)) consecutiveFailures = 0;
+      }
+    } else {
+      LAYOUT_STRATEGIES[layout]({
+        width,
+        height,
+        targetCount,
+        minSize,
+        maxSize,
+        rng,
+        field,
+        tryPlace(cand) {
+          attempts++;
+          return rects.length < targetCount && place(cand);
+        },
+        placedCount: () => rects.length,
+      });
+    }
+
+    if (onBatch && rects.length > batchStart) {
+      onBatch(rects.slice(batchStart), rects.length);
+    }
+
+    console.log(
+      `Debug: Rectangle generation complete: ${rects.length}/${targetCount} rectangles placed in ${attempts} attempts`
+    );
+    return rects;
+  }
+
+  const RectanglePlacement = {
+    GAP,
+    MAX_ATTEMPTS_PER_RECT,
+    MAX_RECTANGLE_COUNT,
+    LAYOUTS,
+    normalizeLayout,
+    createRng,
+    normalizeSeed,
+    randomSeed,
+    isValidPlacement,
+    createSpatialIndex,
+    affectsPlacement,
+    generateRectangles,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = RectanglePlacement;
+  } else {
+    self.RectanglePlacement = RectanglePlacement;
+  }
+})();
@@ -0,0 +1,162 @@
+(() => {
+  const WORKER_URL = "placementWorker.js";
+
+  // Drives placementWorker.js for one canvas. Only one job runs at a time: starting a new job
+  // or calling cancel() terminates the worker, which stops placement immediately.
+  // Falls back to main-thread placement where workers are unavailable (e.g. file:// pages).
+  function createPlacementRunner(options = {}) {
+    const workerUrl = options.workerUrl || WORKER_URL;
+    let worker = null;
+    let workersSupported = typeof Worker === "function";
+    let activeJob = null;
+    let nextJobId = 1;
+
+    function ensureWorker() {
+      if (worker) return worker;
+      worker = new Worker(workerUrl);
+      worker.onmessage = handleMessage;
+      worker.onerror = handleWorkerError;
+      return worker;
+    }
+
+    function discardWorker() {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+    }
+
+    function finishJob(job, outcome) {
+      if (activeJob !== job) return;
+      activeJob = null;
+      job.resolve({ rects: job.rects, ...outcome });
+    }
+
+    function handleMessage(event) {
+      const message = event.data || {};
+      const job = activeJob;
+      if (!job || message.jobId !== job.id) return;
+
+      if (message.type === "batch") {
+        const batch = Array.isArray(message.rects) ? message.rects : [];
+        for (const rect of batch) job.rects.push(rect);
+        if (job.onBatch) job.onBatch(batch, message.placed, message.target);
+      } else if (message.type === "done") {
+        finishJob(job, { cancelled: false });
+      } else if (message.type === "error") {
+        activeJob = null;
+        job.reject(new Error(message.message || "Placement failed."));
+      }
+    }
+
+    function handleWorkerError(event) {
+      if (event && typeof event.preventDefault === "function") event.preventDefault();
+      console.warn("Placement worker failed; falling back to main-thread placement", event);
+      discardWorker();
+      workersSupported = false;
+
+      const job = activeJob;
+      if (job && job.rects.length === 0) {
+        runOnMainThread(job);
+      } else if (job) {
+        activeJob = null;
+        job.reject(new Error("Placement worker failed."));
+      }
+    }
+
+    function runOnMainThread(job) {
+      // Yield once so the "Placing rectangles..." status can paint before the loop blocks.
+      setTimeout(() => {
+        if (activeJob !== job) return;
+        try {
+          window.RectanglePlacement.generateRectangles(
+            job.width,
+            job.height,
+            job.config.count,
+            job.config.minSize,
+            job.config.maxSize,
+            {
+              seed: job.config.seed,
+              layout: job.config.layout,
+              rotation: job.config.rotation,
+              zones: job.config.zones,
+              onBatch(batch, placed) {
+                for (const rect of batch) job.rects.push(rect);
+                if (job.onBatch) job.onBatch(batch, placed, job.config.count);
+              },
+            }
+          );
+          finishJob(job, { cancelled: false });
+        } catch (error) {
+          activeJob = null;
+          job.reject(error);
+        }
+      }, 0);
+    }
+
+    // Resolves with `{ rects, cancelled }`. A cancelled job resolves with whatever was placed.
+    function run(width, height, config, runOptions = {}) {
+      cancel();
+
+      return new Promise((resolve, reject) => {
+        const job = {
+          id: nextJobId++,
+          width,
+          height,
+          config: {
+            count: config.count,
+            minSize: config.minSize,
+            maxSize: config.maxSize,
+            seed: config.seed,
+            layout: config.layout,
+            // The style's rotation changes placement too (placement.js).
+            rotation: config.style?.rotation,
+            // Zones with placement fields steer where rectangles go (placement.js).
+            zones: Array.isArray(config.colorZones) ? config.colorZones : [],
+          },
+          rects: [],
+          onBatch: typeof runOptions.onBatch === "function" ? runOptions.onBatch : null,
+          resolve,
+          reject,
+        };
+        activeJob = job;
+
+        if (workersSupported) {
+          try {
+            ensureWorker().postMessage({
+              jobId: job.id,
+              width,
+              height,
+              config: job.config,
+            });
+            return;
+          } catch (error) {
+            console.warn("Placement worker unavailable; placing on the main thread", error);
+            discardWorker();
+            workersSupported = false;
+          }
+        }
+
+        runOnMainThread(job);
+      });
+    }
+
+    function cancel() {
+      const job = activeJob;
+      if (!job) return false;
+      // Terminating is the only way to interrupt the worker's synchronous placement loop.
+      discardWorker();
+      finishJob(job, { cancelled: true });
+      return true;
+    }
+
+    function isRunning() {
+      return activeJob !== null;
+    }
+
+    return { run, cancel, isRunning };
+  }
+
+  window.PlacementRunner = {
+    createPlacementRunner,
+  };
+})();
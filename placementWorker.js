@@ -0,0 +1,45 @@
+/* Runs rectangle placement off the main thread.
+   Messages in:  { jobId, width, height,
+                   config: { count, minSize, maxSize, seed, layout, rotation, zones } }
+   Messages out: { type: "batch", jobId, rects, placed, target }
+                 { type: "done", jobId, placed, target }
+                 { type: "error", jobId, message }
+   Cancellation is done by the page terminating the worker.
+*/
+
+importScripts("zoneShapes.js", "palettes.js", "rectStyle.js", "placement.js");
+
+const BATCH_SIZE = 200;
+
+self.onmessage = (event) => {
+  const { jobId, width, height, config } = event.data || {};
+  const target = Number(config?.count) || 0;
+
+  try {
+    const rects = self.RectanglePlacement.generateRectangles(
+      width,
+      height,
+      target,
+      config.minSize,
+      config.maxSize,
+      {
+        seed: config.seed,
+        layout: config.layout,
+        rotation: config.rotation,
+        zones: config.zones,
+        batchSize: BATCH_SIZE,
+        onBatch(batch, placed) {
+          self.postMessage({ type: "batch", jobId, rects: batch, placed, target });
+        },
+      }
+    );
+
+    self.postMessage({ type: "done", jobId, placed: rects.length, target });
+  } catch (error) {
+    self.postMessage({
+      type: "error",
+      jobId,
+      message: error && typeof error.message === "string" ? error.message : "Placement failed.",
+    });
+  }
+};
@@ -0,0 +1,184 @@
+/* Compact storage format for rectangle lists.
+   History used to store `[{ x, y, w, h }, ...]` as JSON, roughly 30 bytes per rectangle. A packed
+   list is a small JSON object instead:
+
+     { "encoding": "packed", "version": 1, "count": 2, "scale": 1, "data": "<base64>" }
+
+   `data` holds four zigzag varints per rectangle: x and y as the difference from the previous
+   rectangle, then w and h. Values are multiplied by `scale` and rounded first; layouts with whole
+   pixels (everything placement.js produces) use scale 1 and round-trip exactly, others are kept
+   to 1/100 px. Rectangles stay in drawing order.
+
+   decodeRectangles() also accepts the legacy array form, so old history rows read the same way.
+
+   Shared by the page and Node: exposes `self.RectCodec` in the browser and
+   `module.exports` under require().
+*/
+
+(() => {
+  const ENCODING = "packed";
+  const VERSION = 1;
+  const FRACTIONAL_SCALE = 100;
+
+  function isPacked(value) {
+    return !!value && typeof value === "object" && value.encoding === ENCODING;
+  }
+
+  function toBase64(bytes) {
+    if (typeof Buffer === "function") {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString("base64");
+    }
+    let binary = "";
+    const CHUNK = 0x8000; // keeps String.fromCharCode under argument limits
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    if (typeof Buffer === "function") {
+      return new Uint8Array(Buffer.from(text, "base64"));
+    }
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function createWriter(initialSize) {
+    let bytes = new Uint8Array(Math.max(16, initialSize));
+    let length = 0;
+
+    function pushByte(byte) {
+      if (length === bytes.length) {
+        const grown = new Uint8Array(bytes.length * 2);
+        grown.set(bytes);
+        bytes = grown;
+      }
+      bytes[length++] = byte;
+    }
+
+    // Zigzag maps signed to unsigned (0, -1, 1, -2 ... to 0, 1, 2, 3 ...), then 7 bits per byte.
+    // Plain arithmetic instead of bit operators, so values past 32 bits stay exact.
+    function writeSigned(value) {
+      let unsigned = value >= 0 ? value * 2 : -value * 2 - 1;
+      while (unsigned >= 0x80) {
+        pushByte((unsigned % 0x80) + 0x80);
+        unsigned = Math.floor(unsigned / 0x80);
+      }
+      pushByte(unsigned);
+    }
+
+    return { writeSigned, finish: () => bytes.subarray(0, length) };
+  }
+
+  function createReader(bytes) {
+    let offset = 0;
+
+    function readSigned() {
+      let unsigned = 0;
+      let multiplier = 1;
+      for (;;) {
+        if (offset >= bytes.length) throw new Error("Packed rectangles end mid-value.");
+        const byte = bytes[offset++];
+        unsigned += (byte & 0x7f) * multiplier;
+        if (byte < 0x80) break;
+        multiplier *= 0x80;
+        if (multiplier > Number.MAX_SAFE_INTEGER) {
+          throw new Error("Packed rectangles hold an out-of-range value.");
+        }
+      }
+      return unsigned % 2 === 0 ? unsigned / 2 : -(unsigned + 1) / 2;
+    }
+
+    return { readSigned, done: () => offset === bytes.length };
+  }
+
+  // `rects` must already hold finite numbers (see the sanitizers in historyClient.js and
+  // server/render.js).
+  function encodeRectangles(rects) {
+    const list = Array.isArray(rects) ? rects : [];
+    const whole = list.every(
+      (rect) =>
+        Number.isInteger(rect.x) &&
+        Number.isInteger(rect.y) &&
+        Number.isInteger(rect.w) &&
+        Number.isInteger(rect.h)
+    );
+    const scale = whole ? 1 : FRACTIONAL_SCALE;
+    const writer = createWriter(list.length * 8);
+    let previousX = 0;
+    let previousY = 0;
+
+    for (const rect of list) {
+      const x = Math.round(rect.x * scale);
+      const y = Math.round(rect.y * scale);
+      writer.writeSigned(x - previousX);
+      writer.writeSigned(y - previousY);
+      writer.writeSigned(Math.round(rect.w * scale));
+      writer.writeSigned(Math.round(rect.h * scale));
+      previousX = x;
+      previousY = y;
+    }
+
+    return {
+      encoding: ENCODING,
+      version: VERSION,
+      count: list.length,
+      scale,
+      data: toBase64(writer.finish()),
+    };
+  }
+
+  // Packed or legacy array in, `[{ x, y, w, h }]` out. Throws on malformed or unknown packed
+  // data; legacy arrays are returned as they are, for the caller to sanitize.
+  function decodeRectangles(value) {
+    if (Array.isArray(value)) return value;
+    if (!isPacked(value)) throw new Error("Rectangles must be an array or a packed list.");
+    if (value.version !== VERSION) {
+      throw new Error(`Unsupported packed rectangles version: ${value.version}.`);
+    }
+
+    const count = value.count;
+    const scale = value.scale;
+    if (!Number.isInteger(count) || count < 0) throw new Error("Invalid packed rectangle count.");
+    if (!Number.isInteger(scale) || scale < 1) throw new Error("Invalid packed rectangle scale.");
+    if (typeof value.data !== "string") throw new Error("Packed rectangles need base64 data.");
+
+    const reader = createReader(fromBase64(value.data));
+    const rects = new Array(count);
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < count; i++) {
+      x += reader.readSigned();
+      y += reader.readSigned();
+      const w = reader.readSigned();
+      const h = reader.readSigned();
+      rects[i] = { x: x / scale, y: y / scale, w: w / scale, h: h / scale };
+    }
+    if (!reader.done()) throw new Error("Packed rectangles have trailing data.");
+    return rects;
+  }
+
+  // Number of rectangles without decoding them.
+  function countRectangles(value) {
+    if (Array.isArray(value)) return value.length;
+    return isPacked(value) && Number.isInteger(value.count) ? value.count : 0;
+  }
+
+  const RectCodec = {
+    ENCODING,
+    VERSION,
+    isPacked,
+    encodeRectangles,
+    decodeRectangles,
+    countRectangles,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = RectCodec;
+  } else {
+    self.RectCodec = RectCodec;
+  }
+})();
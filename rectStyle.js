@@ -0,0 +1,142 @@
+/* How each rectangle is drawn beyond its fill color. A config's `style` is an object with any of:
+   - strokeColor, strokeWidth:  an outline drawn just inside the rectangle's edge, so it never
+                                eats into the gap between rectangles; width defaults to 1
+   - cornerRadius:              rounded corners, in pixels
+   - opacityMin, opacityMax:    each rectangle gets an opacity in this range (both default to 1)
+   - rotation:                  each rectangle is turned by up to this many degrees either way;
+                                placement.js keeps the turned rectangles GAP apart
+   - shadowColor:               a drop shadow, with shadowOpacity, shadowBlur, shadowOffsetX and
+                                shadowOffsetY
+   Lengths are CSS pixels on the canvas the layout was placed on. A rectangle's opacity and angle
+   depend only on its geometry, like palette colors, so redraws, replays and exports agree without
+   storing them.
+
+   Shared by the page and Node: exposes `self.RectStyle` in the browser and `module.exports`
+   under require(). palettes.js has to be loaded first.
+*/
+
+(() => {
+  const palettes =
+    typeof module === "object" && module.exports ? require("./palettes") : self.Palettes;
+
+  const MAX_STROKE_WIDTH = 8;
+  const MAX_CORNER_RADIUS = 25;
+  const MIN_OPACITY = 0.1; // fainter rectangles would all but vanish
+  const MAX_ROTATION = 15; // degrees; "small" rotations, so turned rectangles still pack well
+  const MAX_SHADOW_BLUR = 20;
+  const MAX_SHADOW_OFFSET = 20;
+  const DEFAULT_STROKE_WIDTH = 1;
+  const DEFAULT_SHADOW = Object.freeze({
+    shadowOpacity: 0.35,
+    shadowBlur: 4,
+    shadowOffsetX: 2,
+    shadowOffsetY: 2,
+  });
+  // rectHash salts, so a rectangle's angle, opacity and palette color don't move together.
+  const ANGLE_SALT = 0x68e31da4;
+  const OPACITY_SALT = 0x1b56c4e9;
+
+  // `value` clamped to [min, max], or undefined when it isn't a finite number.
+  function clampField(value, min, max) {
+    const number = Number(value);
+    if (value === null || value === "" || !Number.isFinite(number)) return undefined;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  // A well-formed style with only the fields that change anything, or null when nothing does.
+  // Defaults are left out, like zone layering fields. A zero strokeWidth, cornerRadius, rotation
+  // or shadowOpacity turns that part off.
+  function normalizeStyle(value) {
+    if (!value || typeof value !== "object") return null;
+    const style = {};
+
+    const strokeColor = palettes.parseColor(value.strokeColor);
+    const strokeWidth = clampField(value.strokeWidth, 0, MAX_STROKE_WIDTH);
+    if (strokeColor && strokeWidth !== 0) {
+      style.strokeColor = strokeColor;
+      if (strokeWidth !== undefined && strokeWidth !== DEFAULT_STROKE_WIDTH) {
+        style.strokeWidth = strokeWidth;
+      }
+    }
+
+    const cornerRadius = clampField(value.cornerRadius, 0, MAX_CORNER_RADIUS);
+    if (cornerRadius) style.cornerRadius = cornerRadius;
+
+    const low = clampField(value.opacityMin, MIN_OPACITY, 1) ?? 1;
+    const high = clampField(value.opacityMax, MIN_OPACITY, 1) ?? 1;
+    if (Math.min(low, high) < 1) style.opacityMin = Math.min(low, high);
+    if (Math.max(low, high) < 1) style.opacityMax = Math.max(low, high);
+
+    const rotation = clampField(value.rotation, 0, MAX_ROTATION);
+    if (rotation) style.rotation = rotation;
+
+    const shadowColor = palettes.parseColor(value.shadowColor);
+    if (shadowColor && clampField(value.shadowOpacity, 0, 1) !== 0) {
+      style.shadowColor = shadowColor;
+      const shadow = {
+        shadowOpacity: clampField(value.shadowOpacity, 0, 1),
+        shadowBlur: clampField(value.shadowBlur, 0, MAX_SHADOW_BLUR),
+        shadowOffsetX: clampField(value.shadowOffsetX, -MAX_SHADOW_OFFSET, MAX_SHADOW_OFFSET),
+        shadowOffsetY: clampField(value.shadowOffsetY, -MAX_SHADOW_OFFSET, MAX_SHADOW_OFFSET),
+      };
+      for (const [key, fieldValue] of Object.entries(shadow)) {
+        if (fieldValue !== undefined && fieldValue !== DEFAULT_SHADOW[key]) style[key] = fieldValue;
+      }
+    }
+
+    return Object.keys(style).length ? style : null;
+  }
+
+  // Degrees the rectangle is turned by (clockwise), within ±`rotation`. It depends on the
+  // rectangle's center alone, which stays put when placement.js shrinks a turned rectangle to fit
+  // the spot it was given.
+  function rectAngle(rect, rotation) {
+    if (!rotation) return 0;
+    const center = { x: rect.x + rect.w / 2, y: rect.y + rect.h / 2, w: 0, h: 0 };
+    return (palettes.rectHash(center, ANGLE_SALT) * 2 - 1) * rotation;
+  }
+
+  // The rectangle's opacity within the style's range. `style` must be normalized.
+  function rectOpacity(rect, style) {
+    const low = style.opacityMin ?? 1;
+    const high = style.opacityMax ?? 1;
+    return low === high ? low : low + palettes.rectHash(rect, OPACITY_SALT) * (high - low);
+  }
+
+  // The outline width, 0 without a stroke. `style` must be normalized.
+  function strokeWidthOf(style) {
+    return style.strokeColor ? style.strokeWidth ?? DEFAULT_STROKE_WIDTH : 0;
+  }
+
+  // The drop shadow with its defaults filled in, or null without one. `style` must be normalized.
+  function shadowOf(style) {
+    if (!style.shadowColor) return null;
+    return {
+      color: style.shadowColor,
+      opacity: style.shadowOpacity ?? DEFAULT_SHADOW.shadowOpacity,
+      blur: style.shadowBlur ?? DEFAULT_SHADOW.shadowBlur,
+      offsetX: style.shadowOffsetX ?? DEFAULT_SHADOW.shadowOffsetX,
+      offsetY: style.shadowOffsetY ?? DEFAULT_SHADOW.shadowOffsetY,
+    };
+  }
+
+  const RectStyle = {
+    MAX_STROKE_WIDTH,
+    MAX_CORNER_RADIUS,
+    MIN_OPACITY,
+    MAX_ROTATION,
+    MAX_SHADOW_BLUR,
+    MAX_SHADOW_OFFSET,
+    normalizeStyle,
+    rectAngle,
+    rectOpacity,
+    strokeWidthOf,
+    shadowOf,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = RectStyle;
+  } else {
+    self.RectStyle = RectStyle;
+  }
+})();
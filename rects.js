@@ -1,14 +1,13 @@
-/* Rectangle packing with a 2px minimum border-to-border gap.
-   - All rectangles are axis-aligned.
-   - Fully contained within canvas.
-   - Borders never overlap or touch; min gap = GAP between any two borders.
-   - Containment (nesting) is allowed iff the inner border is ≥ GAP away from the outer border on all sides.
-   - Separated rectangles must be at least GAP apart (including diagonals).
+/* Rectangle Joy page controller: prompt handling, drawing, and history.
+   Placement rules (GAP spacing, nesting) live in placement.js.
 */
 
 (() => {
-  const GAP = 2; // pixels between any two rectangle borders
-  const MAX_ATTEMPTS_PER_RECT = 500; // placement retries per rectangle before giving up on that rect
+  const placement = window.RectanglePlacement;
+  const renderer = window.ArtRenderer;
+  const zoneShapes = window.ZoneShapes;
+  const palettes = window.Palettes;
+  const rectStyle = window.RectStyle;
 
   const canvas = document.getElementById("rectCanvas");
 
@@ -24,21 +23,105 @@
   const promptInput = document.getElementById("prompt");
   const historyListEl = document.getElementById("historyList");
   const statusSpinner = document.getElementById("statusSpinner");
+  const cancelButton = document.getElementById("cancelButton");
   const menuButton = document.getElementById("menuButton");
   const historyModal = document.getElementById("historyModal");
   const modalOverlay = document.getElementById("modalOverlay");
   const modalClose = document.getElementById("modalClose");
+  const historySearchInput = document.getElementById("historySearch");
+  const historyTypeFilter = document.getElementById("historyTypeFilter");
+  const historyScopeFilter = document.getElementById("historyScopeFilter");
+  const historyTitle = document.getElementById("historyTitle");
+  const historyAccount = document.getElementById("historyAccount");
+  const historyAuthForm = document.getElementById("historyAuthForm");
+  const historyUsernameInput = document.getElementById("historyUsername");
+  const historyPasswordInput = document.getElementById("historyPassword");
+  const historyRegisterButton = document.getElementById("historyRegister");
+  const historyAuthError = document.getElementById("historyAuthError");
+  const historySignedIn = document.getElementById("historySignedIn");
+  const historyUserName = document.getElementById("historyUserName");
+  const historySignOutButton = document.getElementById("historySignOut");
+  const exportButton = document.getElementById("exportButton");
+  const exportPanel = document.getElementById("exportPanel");
+  const exportZoneGuides = document.getElementById("exportZoneGuides");
+  const exportSvgButton = document.getElementById("exportSvgButton");
+  const exportPngSize = document.getElementById("exportPngSize");
+  const exportCustomSize = document.getElementById("exportCustomSize");
+  const exportCustomWidth = document.getElementById("exportCustomWidth");
+  const exportCustomHeight = document.getElementById("exportCustomHeight");
+  const exportPngShader = document.getElementById("exportPngShader");
+  const exportPngButton = document.getElementById("exportPngButton");
+  const refineToggle = document.getElementById("refineToggle");
+  const revisionNav = document.getElementById("revisionNav");
+  const revisionLabel = document.getElementById("revisionLabel");
+  const revisionBackButton = document.getElementById("revisionBack");
+  const revisionForwardButton = document.getElementById("revisionForward");
+  const newLayoutButton = document.getElementById("newLayoutButton");
+  const zoneEditButton = document.getElementById("zoneEditButton");
+  const zoneEditorPanel = document.getElementById("zoneEditorPanel");
+  const zoneSaveButton = document.getElementById("zoneSaveButton");
 
   const historyClient = window.RectangleHistoryClient || null;
-  const HISTORY_LIMIT = historyClient?.HISTORY_LIMIT || 10;
+  const HISTORY_SEARCH_DEBOUNCE_MS = 250;
 
   let artHistory = [];
   let historyEndpointBase = "";
   let historyLoading = false;
   let historyLoadError = null;
+  let historyNextCursor = null; // null once the last page is loaded
+  let historyLoadingMore = false;
+  let historyFilters = { q: "", resultType: "" };
+  let historyScope = "mine"; // "mine" or "all"; signed-out visitors always see public art
+  let currentUser = null; // { id, username } once signed in
+  let historyRequestController = null;
+  let historySearchTimer = null;
   let historyEnabled = !!historyClient;
   let lastFocusedBeforeModal = null;
-  let isGenerating = false;
+  let isGenerating = false; // waiting on /api/generate
+  let isPlacing = false; // placement worker running
+  let activePromptController = null;
+  let lastRenderDetails = null; // what is currently on the canvas, for exports
+  // The saved entry on the canvas (null for unsaved art) and its revision chain, oldest first.
+  // With "Refine current art" on, the next prompt edits this art and is saved as its child.
+  let currentRevisionId = null;
+  let revisionChain = [];
+  let currentSnapshot = null; // the undo snapshot on the canvas
+  let isExportingPng = false;
+
+  // Print sizes offered by "Render at…", in landscape; they are turned to portrait for portrait art.
+  const PNG_EXPORT_PRESETS = Object.freeze({
+    "4k": { width: 3840, height: 2160 },
+    "6000x4000": { width: 6000, height: 4000 },
+    "a3-300": { width: 4961, height: 3508 },
+    "a2-300": { width: 7016, height: 4961 },
+  });
+  const MAX_EXPORT_DIMENSION = 16384; // common canvas and WebGL texture limit per side
+  const MAX_EXPORT_PIXELS = 64e6; // keeps the offscreen canvases within browser memory limits
+
+  const placementRunner = window.PlacementRunner
+    ? window.PlacementRunner.createPlacementRunner()
+    : null;
+  const historyThumbnails = window.HistoryThumbnails
+    ? window.HistoryThumbnails.createThumbnailRenderer({
+        root: historyListEl ? historyListEl.closest(".modal-body") : null,
+      })
+    : null;
+  // Every finished render (prompt runs, history loads, resizes) is recorded for Ctrl+Z.
+  const undoHistory = window.UndoHistory ? window.UndoHistory.createUndoHistory() : null;
+  // "Edit zones": zones drawn, moved and recolored by hand recolor the rectangles on the canvas.
+  const zoneEditor =
+    window.ZoneEditor && zoneEditorPanel
+      ? window.ZoneEditor.createZoneEditor({
+          canvas,
+          list: document.getElementById("zoneList"),
+          toolButtons: zoneEditorPanel.querySelectorAll("[data-zone-tool]"),
+          colorInput: document.getElementById("zoneNewColor"),
+          getZones: () => frame.colorZones,
+          getView: currentView,
+          canEdit: () => !isPlacing && !!lastRenderDetails,
+          onChange: applyZoneEdit,
+        })
+      : null;
 
   function isModalAvailable() {
     return historyModal && modalOverlay && modalClose;
@@ -66,10 +149,10 @@
     lastFocusedBeforeModal = null;
   }
 
-  function setGenerating(state) {
-    isGenerating = state;
+  function updateBusyIndicators() {
+    const busy = isGenerating || isPlacing;
     if (statusSpinner) {
-      if (state) {
+      if (busy) {
         statusSpinner.classList.remove("hidden");
         statusSpinner.setAttribute("aria-hidden", "false");
       } else {
@@ -77,18 +160,31 @@
         statusSpinner.setAttribute("aria-hidden", "true");
       }
     }
+    if (cancelButton) {
+      cancelButton.hidden = !busy;
+    }
     if (promptInput) {
-      promptInput.setAttribute("aria-busy", state ? "true" : "false");
-      promptInput.setAttribute("data-generating", state ? "true" : "false");
+      promptInput.setAttribute("aria-busy", busy ? "true" : "false");
+      promptInput.setAttribute("data-generating", busy ? "true" : "false");
     }
   }
 
+  function setGenerating(state) {
+    isGenerating = state;
+    updateBusyIndicators();
+  }
+
+  function setPlacing(state) {
+    isPlacing = state;
+    updateBusyIndicators();
+  }
+
   const DEFAULT_CONFIG = Object.freeze({
     color: "#1f77b4",
     count: 1000,
     minSize: 5,
     maxSize: 50,
-    colorZones: [], // Array of {x, y, radius, color} objects
+    colorZones: [], // Zone objects as described in zoneShapes.js
   });
 
   let activeConfig = { ...DEFAULT_CONFIG };
@@ -108,7 +204,6 @@
       // Also resize the source canvas
       sourceCanvas.width = displayWidth;
       sourceCanvas.height = displayHeight;
-      sourceCtx.setTransform(dpr, 0, 0, dpr, 0, 0); // draw in CSS pixels
 
       // Resize shader system if it exists
       if (frameGlassShader) {
@@ -120,6 +215,13 @@
     }
   }
 
+  // Set some nice default values for the effects (also used by PNG exports)
+  function applyShaderSettings(shader) {
+    shader.setFrameWidth(0.08); // 8% frame width
+    shader.setGlassIntensity(0.8); // Subtle glass effect
+    shader.setReflectionIntensity(0.6); // Subtle reflective frame
+  }
+
   // Initialize shader system
   function initShaderSystem() {
     try {
@@ -127,10 +229,7 @@
         frameGlassShader = new window.FrameGlassShader(canvas);
         console.log('Frame and glass shader system initialized successfully');
 
-        // Set some nice default values for the effects
-        frameGlassShader.setFrameWidth(0.08); // 8% frame width
-        frameGlassShader.setGlassIntensity(0.8); // Subtle glass effect
-        frameGlassShader.setReflectionIntensity(0.6); // Subtle reflective frame
+        applyShaderSettings(frameGlassShader);
       } else {
         console.warn('FrameGlassShader not available - falling back to standard rendering');
         ctx = canvas.getContext("2d");
@@ -143,45 +242,6 @@
     }
   }
 
-  // Geometry helpers
-  function rectContains(outer, inner) {
-    return (
-      inner.x >= outer.x &&
-      inner.y >= outer.y &&
-      inner.x + inner.w <= outer.x + outer.w &&
-      inner.y + inner.h <= outer.y + outer.h
-    );
-  }
-
-  function containsWithGap(outer, inner, gap) {
-    return (
-      inner.x - outer.x >= gap &&
-      inner.y - outer.y >= gap &&
-      outer.x + outer.w - (inner.x + inner.w) >= gap &&
-      outer.y + outer.h - (inner.y + inner.h) >= gap
-    );
-  }
-
-  function rectsIntersectStrict(a, b) {
-    // True if areas overlap (not just touching edges)
-    return !(
-      a.x + a.w <= b.x ||
-      b.x + b.w <= a.x ||
-      a.y + a.h <= b.y ||
-      b.y + b.h <= a.y
-    );
-  }
-
-  function rectsTouchOrOverlap(a, b) {
-    // True if they overlap or touch (zero gap)
-    return !(
-      a.x + a.w < b.x ||
-      b.x + b.w < a.x ||
-      a.y + a.h < b.y ||
-      b.y + b.h < a.y
-    );
-  }
-
   function sanitizeRectangles(rectangles) {
     if (!Array.isArray(rectangles)) return [];
     const cleaned = [];
@@ -214,140 +274,64 @@
       .filter(Boolean);
   }
 
-  // Minimum edge-to-edge distance (Euclidean) between two axis-aligned rectangles.
-  function minEdgeDistance(a, b) {
-    const dx =
-      a.x > b.x + b.w
-        ? a.x - (b.x + b.w)
-        : b.x > a.x + a.w
-        ? b.x - (a.x + a.w)
-        : 0; // overlap in x -> dx=0
-    const dy =
-      a.y > b.y + b.h
-        ? a.y - (b.y + b.h)
-        : b.y > a.y + a.h
-        ? b.y - (a.y + a.h)
-        : 0; // overlap in y -> dy=0
-    return Math.hypot(dx, dy);
-  }
-
-  // Color zone utilities
-
-  function getEffectiveColor(rect, zones, defaultColor) {
-    // Simple center-point check: if rectangle center is inside any zone, use that zone's color
-    const rectCenterX = rect.x + rect.w / 2;
-    const rectCenterY = rect.y + rect.h / 2;
-
-    for (const zone of zones) {
-      if (zone.type === "circle") {
-        const distanceToZoneCenter = Math.hypot(
-          rectCenterX - zone.x,
-          rectCenterY - zone.y
-        );
-        if (distanceToZoneCenter <= zone.radius) {
-          return zone.color; // First matching zone wins
-        }
-      } else if (zone.type === "rectangle") {
-        // Check if rectangle center is inside the rectangular zone
-        if (
-          rectCenterX >= zone.x &&
-          rectCenterX <= zone.x + zone.width &&
-          rectCenterY >= zone.y &&
-          rectCenterY <= zone.y + zone.height
-        ) {
-          return zone.color; // First matching zone wins
-        }
-      }
-    }
-
-    return defaultColor; // Not in any zone
-  }
-
-  // Validate a candidate rectangle against existing ones, allowing nesting with ≥ GAP margin.
-  function isValidPlacement(candidate, rects, gap) {
-    for (let i = 0; i < rects.length; i++) {
-      const r = rects[i];
-
-      // If they overlap in area, reject immediately.
-      if (rectsIntersectStrict(candidate, r)) return false;
-
-      const touchOrOverlap = rectsTouchOrOverlap(candidate, r);
-
-      // If one contains the other, ensure ≥ gap margins on all sides.
-      const candInR = rectContains(r, candidate);
-      const rInCand = rectContains(candidate, r);
-
-      if (candInR || rInCand) {
-        const ok = candInR
-          ? containsWithGap(r, candidate, gap)
-          : containsWithGap(candidate, r, gap);
-        if (!ok) return false;
-        // If containment with margins is satisfied, it's fine regardless of diagonal distances.
-        continue;
-      }
-
-      // Otherwise, they are disjoint (neither contains the other)
-      // Ensure their minimum border distance ≥ gap (handles horizontal, vertical, and diagonal separation).
-      const dist = minEdgeDistance(candidate, r);
-      if (dist < gap) return false;
-
-      // If they merely "touch" (dist == 0) and not contained, also reject (borders cannot overlap or touch)
-      if (touchOrOverlap && dist === 0) return false;
-    }
-    return true;
-  }
-
-  // Try to place `targetCount` rectangles with random sizes in [minSize, maxSize].
-  function generateRectangles(width, height, targetCount, minSize, maxSize) {
-    console.log(
-      `Debug: Generating rectangles - target: ${targetCount}, canvas: ${width}x${height}, size: ${minSize}-${maxSize}`
-    );
-
-    const rects = [];
-    let attempts = 0;
-
-    // Safety to avoid infinite loops if space is tight.
-    const MAX_TOTAL_ATTEMPTS = targetCount * MAX_ATTEMPTS_PER_RECT;
-
-    while (rects.length < targetCount && attempts < MAX_TOTAL_ATTEMPTS) {
-      attempts++;
-
-      const w = randInt(minSize, maxSize);
-      const h = randInt(minSize, maxSize);
-
-      // Ensure fully contained within canvas with GAP margin from canvas border?
-      // Requirement only says fully contained; borders can't overlap each other, not the canvas.
-      // We'll allow rectangles to sit against the canvas edge (no gap required vs canvas).
-      const x = randInt(0, Math.max(0, width - w));
-      const y = randInt(0, Math.max(0, height - h));
-
-      const cand = { x, y, w, h };
-
-      if (isValidPlacement(cand, rects, GAP)) {
-        rects.push(cand);
-      }
-    }
-
-    console.log(
-      `Debug: Rectangle generation complete: ${rects.length}/${targetCount} rectangles placed in ${attempts} attempts`
+  // What the source canvas shows, in layout coordinates (the CSS-pixel canvas size the layout was
+  // placed at), so a resize can draw the same rectangles again at the new size.
+  const frame = {
+    width: 0,
+    height: 0,
+    color: DEFAULT_CONFIG.color,
+    palette: null,
+    style: null,
+    minSize: DEFAULT_CONFIG.minSize,
+    maxSize: DEFAULT_CONFIG.maxSize,
+    colorZones: [],
+    rects: [],
+  };
+  let frameBaseColor = DEFAULT_CONFIG.color; // what drawRectBatch() colors with, see beginFrame()
+
+  // Layout coordinates to CSS pixels on the canvas: the layout is scaled uniformly and centered,
+  // letterboxed when the aspect ratios differ. Zones go through the same transform.
+  function currentView() {
+    const dpr = window.devicePixelRatio || 1;
+    return renderer.fitToSize(
+      frame.width,
+      frame.height,
+      Math.floor(canvas.width / dpr),
+      Math.floor(canvas.height / dpr)
     );
-    return rects;
   }
 
-  function randInt(min, max) {
-    // inclusive of min, inclusive of max
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+  function applyViewTransform() {
+    const dpr = window.devicePixelRatio || 1;
+    const { scale, offsetX, offsetY } = currentView();
+    sourceCtx.setTransform(dpr * scale, 0, 0, dpr * scale, dpr * offsetX, dpr * offsetY);
   }
 
-  function draw(rects, color, colorZones = []) {
+  // Clear both canvases and paint the zone guides; rectangles go on top via drawRectBatch().
+  // `layout`: { width, height, color, palette, style, minSize, maxSize, colorZones }.
+  function beginFrame(layout) {
+    frame.width = layout.width;
+    frame.height = layout.height;
+    frame.color = layout.color;
+    frame.palette = layout.palette || null;
+    frame.style = layout.style || null;
+    frame.minSize = layout.minSize;
+    frame.maxSize = layout.maxSize;
+    frame.colorZones = layout.colorZones || [];
+    frame.rects = [];
+    frameBaseColor = renderer.createBaseColor(frame, frame.width, frame.height);
+
     // Clear both canvases
+    sourceCtx.setTransform(1, 0, 0, 1, 0, 0);
     sourceCtx.clearRect(0, 0, sourceCanvas.width, sourceCanvas.height);
     if (ctx) {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
     }
+    applyViewTransform();
 
-    // Draw to source canvas first
-    // Draw color zones first (as semi-transparent guides)
+    const colorZones = frame.colorZones;
+
+    // Color zones go first, as semi-transparent guides (zone coordinates are CSS pixels)
     if (colorZones.length > 0) {
       console.log(
         "Debug: Drawing",
@@ -359,67 +343,18 @@
         ":",
         colorZones
       );
-      sourceCtx.globalAlpha = 0.4; // Much more visible for debugging
-      for (const zone of colorZones) {
-        // Test: Use zone coordinates directly (assuming they're already in CSS pixels)
-        const dpr = window.devicePixelRatio || 1;
-        const cssCanvasWidth = canvas.width / dpr;
-        const cssCanvasHeight = canvas.height / dpr;
-
-        // Try both approaches to see which works
-        const zoneXDirect = zone.x;
-        const zoneYDirect = zone.y;
-        const zoneRadiusDirect = zone.radius;
-
-        const zoneXDivided = zone.x / dpr;
-        const zoneYDivided = zone.y / dpr;
-        const zoneRadiusDivided = zone.radius / dpr;
-
-        console.log(
-          `Debug: Zone raw values: (${zone.x},${zone.y}) radius ${zone.radius}`
-        );
-        console.log(
-          `Debug: Canvas CSS size: ${cssCanvasWidth} x ${cssCanvasHeight}`
-        );
-        console.log(
-          `Debug: Direct approach: (${zoneXDirect},${zoneYDirect}) radius ${zoneRadiusDirect}`
-        );
-        console.log(
-          `Debug: Divided approach: (${zoneXDivided},${zoneYDivided}) radius ${zoneRadiusDivided}`
-        );
-        console.log(
-          `Debug: Direct percentages: X=${(
-            (zoneXDirect / cssCanvasWidth) *
-            100
-          ).toFixed(1)}%, Y=${((zoneYDirect / cssCanvasHeight) * 100).toFixed(
-            1
-          )}%, R=${((zoneRadiusDirect / cssCanvasWidth) * 100).toFixed(
-            1
-          )}% of width`
-        );
-
-        // Use direct coordinates (assume AI gives CSS pixel values)
-        sourceCtx.fillStyle = zone.color;
-
-        if (zone.type === "circle") {
-          sourceCtx.beginPath();
-          sourceCtx.arc(zoneXDirect, zoneYDirect, zoneRadiusDirect, 0, 2 * Math.PI);
-          sourceCtx.fill();
-        } else if (zone.type === "rectangle") {
-          sourceCtx.fillRect(zone.x, zone.y, zone.width, zone.height);
-        }
-      }
-      sourceCtx.globalAlpha = 1.0;
+      renderer.drawZoneGuides(sourceCtx, colorZones);
     }
+  }
 
-    // Draw rectangles with zone-based coloring to source canvas
-    for (const r of rects) {
-      const effectiveColor = getEffectiveColor(r, colorZones, color);
-      sourceCtx.fillStyle = effectiveColor;
-      sourceCtx.fillRect(r.x, r.y, r.w, r.h);
-    }
+  // Draw rectangles with zone-based coloring to source canvas
+  function drawRectBatch(rects) {
+    for (const rect of rects) frame.rects.push(rect);
+    renderer.drawRectangles(sourceCtx, rects, frameBaseColor, frame.colorZones, frame.style);
+  }
 
-    // Apply shader effects if available, otherwise copy directly
+  // Copy the source canvas to the display, through the shader when available.
+  function presentFrame() {
     if (frameGlassShader) {
       frameGlassShader.render(sourceCanvas);
     } else if (ctx) {
@@ -428,6 +363,20 @@
     }
   }
 
+  function draw(layout, rects) {
+    beginFrame(layout);
+    drawRectBatch(rects);
+    if (zoneEditor) zoneEditor.drawOverlay(sourceCtx);
+    presentFrame();
+  }
+
+  // Fit what is on the canvas to its current size. Rectangles are never regenerated here.
+  function redrawFrame() {
+    resizeCanvasToDisplaySize();
+    if (!frame.width || !frame.height) return;
+    draw(frame, frame.rects);
+  }
+
   function setStatusMessage(text) {
     statusEl.textContent = text;
   }
@@ -447,10 +396,25 @@
       Math.max(DEFAULT_CONFIG.maxSize, minSize)
     );
     const maxSize = Math.max(minSize, maxCandidate);
-    const count = clampNumber(config.count, 500, 5000, DEFAULT_CONFIG.count);
+    const count = clampNumber(
+      config.count,
+      500,
+      placement.MAX_RECTANGLE_COUNT,
+      DEFAULT_CONFIG.count
+    );
     const colorZones = sanitizeColorZones(config.colorZones);
-
-    return { color, count, minSize, maxSize, colorZones };
+    const seed = placement.normalizeSeed(config.seed);
+    const layout = placement.normalizeLayout(config.layout);
+    const palette = palettes.normalizePalette(config.palette);
+    const style = rectStyle.normalizeStyle(config.style);
+
+    const safeConfig = { color, count, minSize, maxSize, colorZones };
+    if (seed !== null) safeConfig.seed = seed;
+    if (palette) safeConfig.palette = palette;
+    if (style) safeConfig.style = style;
+    // Left out for the default, so configs saved before layouts existed stay as they were.
+    if (layout !== "random") safeConfig.layout = layout;
+    return safeConfig;
   }
 
   function sanitizeColorZones(zones) {
@@ -461,42 +425,27 @@
     return zones
       .filter((zone) => zone && typeof zone === "object")
       .map((zone) => {
-        const baseZone = {
-          type: zone.type || "circle", // Default to circle for backward compatibility
+        // Invalid or missing types default to circle for backward compatibility
+        const type = zoneShapes.ZONE_TYPES.includes(zone.type) ? zone.type : "circle";
+        const candidate = {
+          ...zone,
+          type,
           x: Number(zone.x) || 0,
           y: Number(zone.y) || 0,
           color: parseColor(zone.color),
         };
 
-        if (baseZone.type === "circle") {
-          return {
-            ...baseZone,
-            radius: Math.max(1, Number(zone.radius) || 50),
-          };
-        } else if (baseZone.type === "rectangle") {
-          return {
-            ...baseZone,
-            width: Math.max(1, Number(zone.width) || 100),
-            height: Math.max(1, Number(zone.height) || 100),
-          };
+        if (type === "circle") {
+          candidate.radius = Math.max(1, Number(zone.radius) || 50);
+        } else if (type === "rectangle") {
+          candidate.width = Math.max(1, Number(zone.width) || 100);
+          candidate.height = Math.max(1, Number(zone.height) || 100);
+        } else if (zoneShapes.isGradient(candidate)) {
+          candidate.color2 = zone.color2 === undefined ? candidate.color : parseColor(zone.color2);
         }
-
-        // Invalid type, default to circle
-        return {
-          ...baseZone,
-          type: "circle",
-          radius: Math.max(1, Number(zone.radius) || 50),
-        };
+        return zoneShapes.normalizeZone(candidate);
       })
-      .filter((zone) => {
-        const baseValid = Number.isFinite(zone.x) && Number.isFinite(zone.y);
-        if (zone.type === "circle") {
-          return baseValid && Number.isFinite(zone.radius);
-        } else if (zone.type === "rectangle") {
-          return baseValid && Number.isFinite(zone.width) && Number.isFinite(zone.height);
-        }
-        return false;
-      });
+      .filter(Boolean);
   }
 
   function clampNumber(value, min, max, fallback) {
@@ -509,21 +458,86 @@
   }
 
   function parseColor(value) {
-    if (typeof value !== "string") return DEFAULT_CONFIG.color;
-    const trimmed = value.trim();
-    if (/^#([0-9a-f]{6})$/i.test(trimmed)) {
-      return trimmed.toLowerCase();
-    }
-    if (/^#([0-9a-f]{3})$/i.test(trimmed)) {
-      const hex = trimmed.slice(1);
-      return `#${hex[0]}${hex[0]}${hex[1]}${hex[1]}${hex[2]}${hex[2]}`.toLowerCase();
+    return palettes.parseColor(value) || DEFAULT_CONFIG.color;
+  }
+
+  const RESIZE_DEBOUNCE_MS = 150;
+  let resizeTimer = null;
+  let renderRunId = 0;
+  let lastPlacementProgress = null;
+
+  // Place rectangles in the worker, drawing each batch as it arrives (coalesced per frame).
+  // Resolves with the placed rectangles, or null when the job was cancelled or superseded.
+  function placeRectangles(width, height, config, runId) {
+    if (!placementRunner) {
+      const rects = placement.generateRectangles(
+        width,
+        height,
+        config.count,
+        config.minSize,
+        config.maxSize,
+        {
+          seed: config.seed,
+          layout: config.layout,
+          rotation: config.style?.rotation,
+          zones: config.colorZones,
+        }
+      );
+      return Promise.resolve(rects);
     }
-    return DEFAULT_CONFIG.color;
+
+    beginFrame({ ...config, width, height });
+    presentFrame();
+
+    let pending = [];
+    let frameRequested = false;
+    const flush = () => {
+      frameRequested = false;
+      if (runId !== renderRunId || !pending.length) return;
+      drawRectBatch(pending);
+      pending = [];
+      presentFrame();
+    };
+
+    lastPlacementProgress = { placed: 0, target: config.count };
+    setPlacing(true);
+
+    return placementRunner
+      .run(width, height, config, {
+        onBatch(batch, placed, target) {
+          if (runId !== renderRunId) return;
+          pending.push(...batch);
+          lastPlacementProgress = { placed, target };
+          setStatusMessage(`Placing rectangles... ${placed}/${target}`);
+          if (!frameRequested) {
+            frameRequested = true;
+            window.requestAnimationFrame(flush);
+          }
+        },
+      })
+      .then((outcome) => {
+        // The finished layout is drawn in one pass; batches still waiting on a frame are in it.
+        pending = [];
+        return outcome.cancelled ? null : outcome.rects;
+      })
+      .finally(() => {
+        if (!placementRunner.isRunning()) setPlacing(false);
+      });
   }
 
-  function runWithConfig(config, sourceLabel = "defaults", options = {}) {
+  // Renders `config` and resolves with its render details once every rectangle is drawn, or with
+  // null if the run was cancelled or replaced by a newer one. `onRendered` fires only on completion.
+  // The render is recorded for undo unless `options.recordUndo` is false.
+  async function runWithConfig(config, sourceLabel = "defaults", options = {}) {
     resizeCanvasToDisplaySize();
     const safeConfig = sanitizeConfig(config);
+
+    const hasProvidedRectangles = Array.isArray(options.rectangles);
+    // Every generated layout gets a seed so it can be saved and replayed without its rectangles.
+    if (!hasProvidedRectangles && safeConfig.seed === undefined) {
+      safeConfig.seed = placement.randomSeed();
+    }
+
     console.log("Rectangle tool payload", {
       source: sourceLabel,
       config: safeConfig,
@@ -531,30 +545,42 @@
     activeConfig = safeConfig;
     activeSourceLabel = sourceLabel;
 
-    // Calculate CSS pixel dimensions for rectangle generation
-    const dpr = window.devicePixelRatio || 1;
-    const cssWidth = canvas.width / dpr;
-    const cssHeight = canvas.height / dpr;
+    // A newer run always replaces one that is still placing.
+    const runId = ++renderRunId;
+    if (placementRunner) placementRunner.cancel();
 
-    // Show placing rectangles message
-    setStatusMessage("Placing rectangles...");
-
-    const hasProvidedRectangles = Array.isArray(options.rectangles);
-    const providedRectangles = hasProvidedRectangles
-      ? sanitizeRectangles(options.rectangles)
-      : null;
-
-    const rects = hasProvidedRectangles
-      ? providedRectangles
-      : generateRectangles(
-          cssWidth,
-          cssHeight,
-          safeConfig.count,
-          safeConfig.minSize,
-          safeConfig.maxSize
-        );
+    // Calculate CSS pixel dimensions for rectangle generation. Whole pixels keep seeded
+    // layouts reproducible from the integer canvas size stored in history.
+    const dpr = window.devicePixelRatio || 1;
+    const cssWidth = Math.floor(canvas.width / dpr);
+    const cssHeight = Math.floor(canvas.height / dpr);
+
+    // A seeded replay regenerates at the canvas size the seed was originally used with.
+    const layoutWidth = options.canvasSize?.width || cssWidth;
+    const layoutHeight = options.canvasSize?.height || cssHeight;
+
+    let rects;
+    if (hasProvidedRectangles) {
+      rects = sanitizeRectangles(options.rectangles);
+    } else {
+      // Show placing rectangles message
+      setStatusMessage("Placing rectangles...");
+      rects = await placeRectangles(layoutWidth, layoutHeight, safeConfig, runId);
+      if (!rects || runId !== renderRunId) return null;
+    }
 
-    draw(rects, safeConfig.color, safeConfig.colorZones || []);
+    // Redraw in one pass so the final frame doesn't depend on how batches were coalesced.
+    const layout = {
+      width: layoutWidth,
+      height: layoutHeight,
+      color: safeConfig.color,
+      palette: safeConfig.palette,
+      style: safeConfig.style,
+      minSize: safeConfig.minSize,
+      maxSize: safeConfig.maxSize,
+      colorZones: safeConfig.colorZones || [],
+    };
+    draw(layout, rects);
 
     const statusMessage = hasProvidedRectangles
       ? `Loaded saved art with ${rects.length} rectangles`
@@ -567,10 +593,15 @@
         ...safeConfig,
         colorZones: cloneColorZones(safeConfig.colorZones),
       },
-      canvasWidth: cssWidth,
-      canvasHeight: cssHeight,
+      canvasWidth: layoutWidth,
+      canvasHeight: layoutHeight,
       source: sourceLabel,
+      // True when `rects` can be regenerated exactly from config.seed and the canvas size.
+      reproducible: !hasProvidedRectangles,
     };
+    lastRenderDetails = renderDetails;
+    if (options.recordUndo !== false) recordUndoSnapshot(renderDetails);
+    if (zoneEditor) zoneEditor.refresh();
 
     if (typeof options.onRendered === "function") {
       try {
@@ -583,6 +614,20 @@
     return renderDetails;
   }
 
+  function recordUndoSnapshot(renderDetails) {
+    if (!undoHistory) return;
+    currentSnapshot = undoHistory.record({
+      rects: renderDetails.rects,
+      config: renderDetails.config,
+      canvasWidth: renderDetails.canvasWidth,
+      canvasHeight: renderDetails.canvasHeight,
+      source: renderDetails.source,
+      prompt: promptInput ? promptInput.textContent.trim() : "",
+      entry: revisionChain[revisionIndex()] || null,
+      editedFrom: renderDetails.editedFrom || null,
+    });
+  }
+
   function runWithArtPlan(artPlan, sourceLabel = "art plan") {
     console.log("Debug: runWithArtPlan called with:", artPlan);
 
@@ -611,9 +656,34 @@
   }
 
 
+  // Abort the in-flight generate request and any placement still running, without touching the status.
+  function stopActiveRun() {
+    let stopped = false;
+    if (activePromptController) {
+      activePromptController.abort();
+      activePromptController = null;
+      setGenerating(false);
+      stopped = true;
+    }
+    if (placementRunner && placementRunner.cancel()) {
+      renderRunId++;
+      stopped = true;
+    }
+    return stopped;
+  }
+
+  function cancelGeneration() {
+    const progress = isPlacing ? lastPlacementProgress : null;
+    if (!stopActiveRun()) return;
+    setStatusMessage(
+      progress
+        ? `Cancelled after placing ${progress.placed}/${progress.target} rectangles`
+        : "Generation cancelled."
+    );
+  }
+
   async function handlePromptRun(event) {
     if (event) event.preventDefault();
-    if (isGenerating) return;
     const promptText = promptInput ? promptInput.textContent.trim() : "";
     if (!promptText) {
       setStatusMessage("Enter a prompt to generate.");
@@ -626,10 +696,16 @@
       return;
     }
 
-    if (!LLMRectangles.isApiKeyAvailable()) {
-      setStatusMessage("Set OPENAI_API_KEY in config.js to use the agent.");
-      return;
-    }
+    // A refinement sends the config on the canvas along and keeps the revision chain.
+    const refining = isRefining();
+    const parentId = refining ? currentRevisionId : null;
+
+    // A new prompt replaces whatever is still generating.
+    stopActiveRun();
+    setPermalink(null);
+    setCurrentRevision(null, { keepChain: refining });
+    const controller = new AbortController();
+    activePromptController = controller;
 
     setGenerating(true);
     setStatusMessage("Generating concept...");
@@ -653,29 +729,38 @@
       const result = await LLMRectangles.processPrompt(
         promptText,
         canvasWidth,
-        canvasHeight
+        canvasHeight,
+        { signal: controller.signal, currentConfig: refining ? activeConfig : null }
       );
+      if (controller.signal.aborted) return;
 
+      activePromptController = null;
+      setGenerating(false);
       setStatusMessage("Generating artwork...");
 
       let renderOutcome = null;
       if (result.type === "rectangles") {
-        renderOutcome = runWithConfig(result.config, "rectangles");
+        renderOutcome = await runWithConfig(result.config, "rectangles");
       } else if (result.type === "art_plan") {
-        renderOutcome = runWithArtPlan(result.config, "art plan");
+        renderOutcome = await runWithArtPlan(result.config, "art plan");
       } else {
         throw new Error("Unknown result type from AI");
       }
 
+      // Cancelled or superseded runs resolve to null and are not saved.
       if (renderOutcome) {
-        await persistPromptResult(promptText, result.type, renderOutcome);
+        await persistPromptResult(promptText, result.type, renderOutcome, parentId);
       }
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error(error);
       const message = normalizeErrorMessage(error);
       setStatusMessage(`Error: ${message}`);
     } finally {
-      setGenerating(false);
+      if (activePromptController === controller) {
+        activePromptController = null;
+        setGenerating(false);
+      }
     }
   }
 
@@ -694,14 +779,408 @@
     return (
       typeof window !== "undefined" &&
       typeof window.LLMRectangles === "object" &&
-      typeof window.LLMRectangles.processPrompt === "function" &&
-      typeof window.LLMRectangles.isApiKeyAvailable === "function"
+      typeof window.LLMRectangles.processPrompt === "function"
     );
   }
 
 
-  function redrawActiveConfig() {
-    runWithConfig(activeConfig, activeSourceLabel);
+  function isRefining() {
+    return !!refineToggle && refineToggle.checked && !!lastRenderDetails;
+  }
+
+  function revisionIndex() {
+    return revisionChain.findIndex((entry) => entry.id === currentRevisionId);
+  }
+
+  function updateRevisionNav() {
+    if (!revisionNav) return;
+    const index = revisionIndex();
+    revisionNav.hidden = index === -1 || revisionChain.length < 2;
+    if (revisionNav.hidden) return;
+    revisionLabel.textContent = `Version ${index + 1} of ${revisionChain.length}`;
+    revisionBackButton.disabled = index === 0;
+    revisionForwardButton.disabled = index === revisionChain.length - 1;
+  }
+
+  // Call whenever a saved entry lands on the canvas, or with null for unsaved art. A refinement
+  // of an entry in the chain replaces the versions after it; any other entry brings its own chain.
+  function setCurrentRevision(entry, options = {}) {
+    currentRevisionId = entry ? entry.id : null;
+    if (!entry) {
+      if (!options.keepChain) revisionChain = [];
+    } else if (revisionIndex() === -1) {
+      const parentIndex = entry.parentId
+        ? revisionChain.findIndex((item) => item.id === entry.parentId)
+        : -1;
+      if (parentIndex !== -1) {
+        revisionChain = [...revisionChain.slice(0, parentIndex + 1), entry];
+      } else {
+        revisionChain = [entry];
+        if (entry.parentId) loadRevisionChain(entry);
+      }
+    }
+    updateRevisionNav();
+  }
+
+  async function loadRevisionChain(entry) {
+    if (!historyEnabled || !historyClient) return;
+    try {
+      const chain = await historyClient.fetchHistoryRevisions(historyEndpointBase, entry.id);
+      // Something else may have been drawn in the meantime.
+      if (currentRevisionId !== entry.id || !chain.length) return;
+      revisionChain = chain;
+      updateRevisionNav();
+    } catch (error) {
+      console.warn("Failed to load earlier versions", error);
+    }
+  }
+
+  function stepRevision(offset) {
+    const index = revisionIndex();
+    const target = index === -1 ? null : revisionChain[index + offset];
+    if (target) replayHistoryEntry(target);
+  }
+
+  // Resizing keeps the composition: once the window settles, the same rectangles are redrawn to
+  // fit the new size. A run still placing carries on and lands in the resized frame.
+  function handleWindowResize() {
+    window.clearTimeout(resizeTimer);
+    resizeTimer = window.setTimeout(() => {
+      resizeTimer = null;
+      redrawFrame();
+    }, RESIZE_DEBOUNCE_MS);
+  }
+
+  // The settings on the canvas placed again with a fresh seed, at the current canvas size.
+  // The result is new, unsaved art.
+  function generateNewLayout() {
+    const { seed, ...config } = activeConfig;
+    stopActiveRun();
+    setPermalink(null);
+    setCurrentRevision(null);
+    runWithConfig(config, activeSourceLabel);
+  }
+
+  function setZoneEditing(enabled) {
+    if (!zoneEditor || !zoneEditorPanel) return;
+    zoneEditor.setActive(enabled);
+    zoneEditorPanel.hidden = !enabled;
+    if (zoneEditButton) zoneEditButton.setAttribute("aria-pressed", String(enabled));
+    redrawFrame();
+  }
+
+  // Zone edits recolor the rectangles already on the canvas; nothing is placed again. Every
+  // finished edit is an undo step and makes the art unsaved, remembering the entry it came from.
+  function applyZoneEdit(zones, { final }) {
+    if (!lastRenderDetails) return;
+    const colorZones = sanitizeColorZones(zones);
+    frame.colorZones = colorZones;
+    draw(frame, frame.rects);
+    if (!final) return;
+
+    const editedFrom = lastRenderDetails.editedFrom || currentRevisionId;
+    // Zones that steer placement would place these rectangles differently from the seed, so the
+    // rectangles are kept with the art instead.
+    const steered = [...lastRenderDetails.config.colorZones, ...colorZones].some(
+      placement.affectsPlacement
+    );
+    activeConfig = { ...activeConfig, colorZones };
+    activeSourceLabel = "zone editor";
+    lastRenderDetails = {
+      ...lastRenderDetails,
+      config: { ...lastRenderDetails.config, colorZones: cloneColorZones(colorZones) },
+      source: "zone editor",
+      reproducible: lastRenderDetails.reproducible && !steered,
+      editedFrom,
+    };
+    setPermalink(null);
+    setCurrentRevision(null, { keepChain: true });
+    recordUndoSnapshot(lastRenderDetails);
+    zoneEditor.refresh();
+    setStatusMessage(`Edited zones: ${colorZones.length} on the canvas. Save to keep them.`);
+  }
+
+  // Saves hand-edited zones as a "manual" entry, a new version of the entry they were edited from.
+  async function saveZoneEdits() {
+    if (!lastRenderDetails || lastRenderDetails.source !== "zone editor") {
+      setStatusMessage("Edit a zone first, then save.");
+      return;
+    }
+    if (!historyEnabled || !currentUser) {
+      setStatusMessage("Sign in to save edited art.");
+      return;
+    }
+    const details = lastRenderDetails;
+    const promptText = promptInput ? promptInput.textContent.trim() : "";
+    await persistPromptResult(promptText, "manual", details, details.editedFrom || null);
+    if (lastRenderDetails === details && currentRevisionId) {
+      setStatusMessage("Saved the edited zones.");
+    }
+  }
+
+  // Puts an undo snapshot back exactly as it was drawn, without recording it again.
+  async function restoreSnapshot(state, verb) {
+    stopActiveRun();
+    if (promptInput) promptInput.textContent = state.prompt;
+    setPermalink(state.entry ? state.entry.id : null);
+    setCurrentRevision(state.entry);
+    currentSnapshot = state.snapshot;
+
+    const renderDetails = await runWithConfig(state.config, state.source, {
+      rectangles: state.rects,
+      canvasSize: { width: state.canvasWidth, height: state.canvasHeight },
+      recordUndo: false,
+    });
+    if (renderDetails) {
+      if (state.editedFrom) renderDetails.editedFrom = state.editedFrom;
+      const label = state.prompt ? `"${state.prompt}"` : `the ${state.source} layout`;
+      setStatusMessage(`${verb}: back to ${label} (${renderDetails.rects.length} rectangles)`);
+    }
+  }
+
+  function undoRender() {
+    if (!undoHistory) return;
+    // An unfinished run isn't in the stack yet, so the first undo just puts back what it replaced.
+    const interrupted = isGenerating || isPlacing;
+    const state = interrupted ? undoHistory.current() : undoHistory.undo();
+    if (state) {
+      restoreSnapshot(state, "Undo");
+    } else {
+      setStatusMessage("Nothing to undo.");
+    }
+  }
+
+  function redoRender() {
+    if (!undoHistory) return;
+    const state = undoHistory.redo();
+    if (state) {
+      restoreSnapshot(state, "Redo");
+    } else {
+      setStatusMessage("Nothing to redo.");
+    }
+  }
+
+  // Text fields keep their own undo.
+  function isTextEditingTarget(target) {
+    if (!target || typeof target !== "object") return false;
+    if (target.isContentEditable) return true;
+    return ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+  }
+
+  function handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (isTextEditingTarget(event.target)) return;
+    if (historyModal && !historyModal.hidden) return;
+    const key = event.key.toLowerCase();
+    if (key === "z") {
+      event.preventDefault();
+      if (event.shiftKey) {
+        redoRender();
+      } else {
+        undoRender();
+      }
+    } else if (key === "y" && !event.shiftKey) {
+      event.preventDefault();
+      redoRender();
+    }
+  }
+
+  function isExportPanelOpen() {
+    return !!exportPanel && !exportPanel.hidden;
+  }
+
+  function openExportPanel() {
+    if (!exportPanel) return;
+    exportPanel.hidden = false;
+    if (exportButton) exportButton.setAttribute("aria-expanded", "true");
+  }
+
+  function closeExportPanel() {
+    if (!exportPanel) return;
+    exportPanel.hidden = true;
+    if (exportButton) exportButton.setAttribute("aria-expanded", "false");
+  }
+
+  function exportFileName(extension) {
+    const promptText = promptInput ? promptInput.textContent.trim() : "";
+    const slug = promptText
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 48);
+    return `rectangle-joy${slug ? `-${slug}` : ""}.${extension}`;
+  }
+
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before releasing the blob.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Export the artwork on the canvas as SVG. Uses the stored layout rather than the pixels,
+  // so coordinates match the CSS-pixel values saved in history.
+  function exportSvg() {
+    if (!lastRenderDetails || isPlacing) {
+      setStatusMessage("Nothing to export yet.");
+      return;
+    }
+
+    const svg = renderer.buildSvg(lastRenderDetails, {
+      includeZoneGuides: exportZoneGuides ? exportZoneGuides.checked : true,
+      title: promptInput ? promptInput.textContent : "",
+    });
+    const fileName = exportFileName("svg");
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), fileName);
+    closeExportPanel();
+    setStatusMessage(`Exported ${lastRenderDetails.rects.length} rectangles to ${fileName}`);
+  }
+
+  // Resolve the "Render at…" choice to pixel dimensions, or null when the custom size is invalid.
+  function resolvePngExportSize(details) {
+    const choice = exportPngSize ? exportPngSize.value : "6000x4000";
+    if (choice === "custom") {
+      const width = Math.round(Number(exportCustomWidth?.value));
+      const height = Math.round(Number(exportCustomHeight?.value));
+      if (
+        !Number.isFinite(width) ||
+        !Number.isFinite(height) ||
+        width < 1 ||
+        height < 1 ||
+        width > MAX_EXPORT_DIMENSION ||
+        height > MAX_EXPORT_DIMENSION ||
+        width * height > MAX_EXPORT_PIXELS
+      ) {
+        return null;
+      }
+      return { width, height };
+    }
+
+    const preset = PNG_EXPORT_PRESETS[choice] || PNG_EXPORT_PRESETS["6000x4000"];
+    const portrait = details.canvasHeight > details.canvasWidth;
+    return portrait
+      ? { width: preset.height, height: preset.width }
+      : { width: preset.width, height: preset.height };
+  }
+
+  // Run the frame and glass pass over `source` on a throwaway WebGL canvas of the same size.
+  // Returns a 2D canvas holding the result, since WebGL buffers are not kept after compositing.
+  function applyFrameGlassPass(source) {
+    const glCanvas = document.createElement("canvas");
+    glCanvas.width = source.width;
+    glCanvas.height = source.height;
+    const shader = new window.FrameGlassShader(glCanvas);
+
+    try {
+      const maxTexture = shader.gl.getParameter(shader.gl.MAX_TEXTURE_SIZE);
+      if (source.width > maxTexture || source.height > maxTexture) {
+        throw new Error(
+          `The frame and glass pass is limited to ${maxTexture}px per side on this device.`
+        );
+      }
+
+      applyShaderSettings(shader);
+      shader.render(source);
+
+      const output = document.createElement("canvas");
+      output.width = source.width;
+      output.height = source.height;
+      output.getContext("2d").drawImage(glCanvas, 0, 0);
+      return output;
+    } finally {
+      shader.destroy();
+      const loseContext = shader.gl.getExtension("WEBGL_lose_context");
+      if (loseContext) loseContext.loseContext();
+    }
+  }
+
+  function canvasToPngBlob(target) {
+    return new Promise((resolve, reject) => {
+      target.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error("The browser could not encode a PNG this large."));
+      }, "image/png");
+    });
+  }
+
+  // Render the current composition offscreen at a print size and download it as PNG.
+  // The stored layout is scaled from its canvasWidth/canvasHeight; nothing is regenerated.
+  async function exportPng() {
+    if (!lastRenderDetails || isPlacing) {
+      setStatusMessage("Nothing to export yet.");
+      return;
+    }
+    if (isExportingPng) return;
+
+    const details = lastRenderDetails;
+    const size = resolvePngExportSize(details);
+    if (!size) {
+      setStatusMessage(
+        `Enter a size up to ${MAX_EXPORT_DIMENSION}px per side and ${Math.round(
+          MAX_EXPORT_PIXELS / 1e6
+        )} megapixels.`
+      );
+      return;
+    }
+
+    const withShader =
+      !!exportPngShader && exportPngShader.checked && !exportPngShader.disabled;
+
+    isExportingPng = true;
+    if (exportPngButton) exportPngButton.disabled = true;
+    closeExportPanel();
+    setStatusMessage(`Rendering ${size.width}×${size.height} PNG...`);
+
+    try {
+      // Let the status paint before the synchronous drawing work starts.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      let output = document.createElement("canvas");
+      output.width = size.width;
+      output.height = size.height;
+      const outputCtx = output.getContext("2d");
+      if (!outputCtx) {
+        throw new Error("The browser could not create a canvas this large.");
+      }
+
+      renderer.drawArtwork(outputCtx, details, {
+        width: size.width,
+        height: size.height,
+        includeZoneGuides: exportZoneGuides ? exportZoneGuides.checked : true,
+        background: "#ffffff",
+      });
+
+      if (withShader) {
+        output = applyFrameGlassPass(output);
+      }
+
+      const blob = await canvasToPngBlob(output);
+      const fileName = exportFileName("png");
+      downloadBlob(blob, fileName);
+      setStatusMessage(`Exported ${size.width}×${size.height} PNG to ${fileName}`);
+    } catch (error) {
+      console.error(error);
+      setStatusMessage(`Error: ${normalizeErrorMessage(error)}`);
+    } finally {
+      isExportingPng = false;
+      if (exportPngButton) exportPngButton.disabled = false;
+    }
+  }
+
+  function updatePngExportControls() {
+    if (exportCustomSize && exportPngSize) {
+      exportCustomSize.hidden = exportPngSize.value !== "custom";
+    }
+    if (exportPngShader && !frameGlassShader) {
+      // No WebGL on this device, so there is no frame and glass pass to apply.
+      exportPngShader.checked = false;
+      exportPngShader.disabled = true;
+    }
   }
 
   // Mouse tracking for interactive reflections
@@ -760,20 +1239,81 @@
     modalClose.addEventListener("click", closeHistoryModal);
   }
 
+  if (cancelButton) {
+    cancelButton.addEventListener("click", cancelGeneration);
+  }
+
+  if (revisionBackButton && revisionForwardButton) {
+    revisionBackButton.addEventListener("click", () => stepRevision(-1));
+    revisionForwardButton.addEventListener("click", () => stepRevision(1));
+  }
+
+  if (newLayoutButton) {
+    newLayoutButton.addEventListener("click", generateNewLayout);
+  }
+
+  if (zoneEditButton && zoneEditor) {
+    zoneEditButton.addEventListener("click", () => setZoneEditing(!zoneEditor.isActive()));
+  } else if (zoneEditButton) {
+    zoneEditButton.hidden = true;
+  }
+
+  if (zoneSaveButton) {
+    zoneSaveButton.addEventListener("click", saveZoneEdits);
+  }
+
+  if (exportButton && exportPanel) {
+    exportButton.addEventListener("click", () => {
+      if (isExportPanelOpen()) {
+        closeExportPanel();
+      } else {
+        openExportPanel();
+      }
+    });
+    document.addEventListener("click", (event) => {
+      if (!isExportPanelOpen()) return;
+      if (exportPanel.contains(event.target) || exportButton.contains(event.target)) return;
+      closeExportPanel();
+    });
+  }
+
+  if (exportSvgButton) {
+    exportSvgButton.addEventListener("click", exportSvg);
+  }
+
+  if (exportPngButton) {
+    exportPngButton.addEventListener("click", exportPng);
+  }
+
+  if (exportPngSize) {
+    exportPngSize.addEventListener("change", updatePngExportControls);
+  }
+
   document.addEventListener("keydown", (event) => {
-    if (event.key === "Escape" && historyModal && !historyModal.hidden) {
+    if (event.key !== "Escape") return;
+    if (historyModal && !historyModal.hidden) {
       closeHistoryModal();
+    } else if (isExportPanelOpen()) {
+      closeExportPanel();
+      if (exportButton) exportButton.focus();
+    } else if (isGenerating || isPlacing) {
+      cancelGeneration();
+    } else if (zoneEditor && zoneEditor.isActive()) {
+      setZoneEditing(false);
     }
   });
 
+  document.addEventListener("keydown", handleUndoShortcut);
+
   // Add mouse tracking for interactive reflections
   canvas.addEventListener("mousemove", handleMouseMove);
   canvas.addEventListener("mouseleave", handleMouseLeave);
 
-  window.addEventListener("resize", redrawActiveConfig);
+  window.addEventListener("resize", handleWindowResize);
 
   // Initialize shader system after DOM is ready
   initShaderSystem();
+  updatePngExportControls();
 
   function formatHistoryTimestamp(timestamp) {
     if (historyClient && typeof historyClient.formatHistoryTimestamp === "function") {
@@ -786,6 +1326,222 @@
     }
   }
 
+  const RESULT_TYPE_LABELS = {
+    rectangles: "Rectangles",
+    art_plan: "Art plan",
+    manual: "Edited by hand",
+  };
+  const MAX_PALETTE_SWATCHES = 8;
+
+  function describeRectangleCount(count, isTarget) {
+    const formatted = Number(count || 0).toLocaleString();
+    const noun = count === 1 ? "rectangle" : "rectangles";
+    return isTarget ? `up to ${formatted} ${noun}` : `${formatted} ${noun}`;
+  }
+
+  // The default color, or the palette's colors, followed by each zone color, without repeats.
+  function getEntryPalette(entry) {
+    const palette = palettes.normalizePalette(entry.config?.palette);
+    const colors = palette ? [...palette.colors] : [entry.config?.color];
+    const zones = Array.isArray(entry.config?.colorZones) ? entry.config.colorZones : [];
+    for (const zone of zones) colors.push(zone.color);
+    const unique = [...new Set(colors.filter((color) => typeof color === "string" && color))];
+    return unique.slice(0, MAX_PALETTE_SWATCHES);
+  }
+
+  function buildHistoryDetails(entry) {
+    const details = document.createElement("div");
+    details.className = "history-details";
+
+    const promptLabel = document.createElement("span");
+    promptLabel.className = "history-prompt";
+    promptLabel.textContent = entry.title || entry.prompt || "(untitled)";
+    if (entry.title && entry.prompt) promptLabel.title = entry.prompt;
+
+    // Seeded entries only know their target count until the preview regenerates them.
+    const storedCount = entry.rectangles.length;
+    const countLabel = document.createElement("span");
+    countLabel.textContent = storedCount
+      ? describeRectangleCount(storedCount, false)
+      : describeRectangleCount(entry.config?.count, true);
+
+    const meta = document.createElement("span");
+    meta.className = "history-meta";
+    meta.append(
+      `${RESULT_TYPE_LABELS[entry.resultType] || entry.resultType} • `,
+      countLabel,
+      ` • ${entry.canvasWidth}×${entry.canvasHeight}`
+    );
+
+    const timestamp = document.createElement("span");
+    timestamp.className = "history-meta";
+    timestamp.textContent = formatHistoryTimestamp(entry.createdAt);
+    if (!isOwnEntry(entry)) {
+      timestamp.textContent += entry.ownerName ? ` • by ${entry.ownerName}` : "";
+    } else if (entry.visibility !== "public") {
+      timestamp.textContent += ` • ${entry.visibility}`;
+    }
+    if (entry.parentId) timestamp.textContent += " • refined";
+
+    const swatches = document.createElement("div");
+    swatches.className = "history-swatches";
+    for (const color of getEntryPalette(entry)) {
+      const swatch = document.createElement("span");
+      swatch.className = "history-swatch";
+      swatch.style.background = color;
+      swatch.title = color;
+      swatches.appendChild(swatch);
+    }
+
+    details.append(promptLabel, meta, timestamp, swatches);
+    return { details, countLabel };
+  }
+
+  function isOwnEntry(entry) {
+    return !!currentUser && entry.ownerId === currentUser.id;
+  }
+
+  function showsOwnHistory() {
+    return !!currentUser && historyScope === "mine";
+  }
+
+  function describeEmptyHistory() {
+    if (hasActiveHistoryFilters()) return "No saved art matches your search.";
+    if (showsOwnHistory()) return "No saved art yet.";
+    return currentUser ? "No public art yet." : "No public art yet. Sign in to save your own.";
+  }
+
+  function updateAccountUI() {
+    if (historyAccount) historyAccount.hidden = !historyEnabled;
+    if (historyAuthForm) historyAuthForm.hidden = !!currentUser;
+    if (historySignedIn) historySignedIn.hidden = !currentUser;
+    if (historyUserName) historyUserName.textContent = currentUser ? currentUser.username : "";
+    if (historyScopeFilter) {
+      historyScopeFilter.hidden = !currentUser;
+      historyScopeFilter.value = historyScope;
+    }
+    if (historyTitle) {
+      historyTitle.textContent = showsOwnHistory() ? "Your Saved Art" : "Public Art";
+    }
+  }
+
+  function showAuthError(message) {
+    if (!historyAuthError) return;
+    historyAuthError.textContent = message || "";
+    historyAuthError.hidden = !message;
+  }
+
+  async function submitCredentials(mode) {
+    if (!historyEnabled || !historyClient) return;
+    const username = historyUsernameInput ? historyUsernameInput.value.trim() : "";
+    const password = historyPasswordInput ? historyPasswordInput.value : "";
+    if (!username || !password) {
+      showAuthError("Enter a username and password.");
+      return;
+    }
+
+    showAuthError("");
+    try {
+      currentUser = await historyClient.signIn(historyEndpointBase, mode, username, password);
+      if (historyPasswordInput) historyPasswordInput.value = "";
+      historyScope = "mine";
+      updateAccountUI();
+      setStatusMessage(`Signed in as ${currentUser.username}.`);
+      await reloadHistory();
+    } catch (error) {
+      console.warn("Failed to sign in", error);
+      showAuthError(error && error.message ? error.message : "Unable to sign in right now.");
+    }
+  }
+
+  async function signOutOfHistory() {
+    if (!historyClient) return;
+    try {
+      await historyClient.signOut(historyEndpointBase);
+    } catch (error) {
+      console.warn("Failed to sign out", error);
+      setStatusMessage("Unable to sign out right now.");
+      return;
+    }
+    currentUser = null;
+    updateAccountUI();
+    setStatusMessage("Signed out.");
+    await reloadHistory();
+  }
+
+  if (historyAuthForm) {
+    historyAuthForm.addEventListener("submit", (event) => {
+      event.preventDefault();
+      submitCredentials("login");
+    });
+  }
+  if (historyRegisterButton) {
+    historyRegisterButton.addEventListener("click", () => submitCredentials("register"));
+  }
+  if (historySignOutButton) {
+    historySignOutButton.addEventListener("click", signOutOfHistory);
+  }
+  if (historyScopeFilter) {
+    historyScopeFilter.addEventListener("change", () => {
+      historyScope = historyScopeFilter.value === "all" ? "all" : "mine";
+      updateAccountUI();
+      reloadHistory();
+    });
+  }
+
+  // Private → unlisted (link only) → public → private.
+  const VISIBILITY_STEPS = {
+    private: { icon: "🔒", label: "Private", next: "unlisted" },
+    unlisted: {
+      icon: "🔗",
+      label: "Unlisted, anyone with the link can open it",
+      next: "public",
+    },
+    public: { icon: "🌐", label: "Public", next: "private" },
+  };
+
+  function buildVisibilityButton(entry) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-button visibility";
+    const step = VISIBILITY_STEPS[entry.visibility] || VISIBILITY_STEPS.public;
+    button.textContent = step.icon;
+    button.title = `${step.label}. Click to make it ${step.next}.`;
+    button.setAttribute("aria-label", button.title);
+    button.addEventListener("click", async () => {
+      if (!historyEnabled || !historyClient) return;
+      button.disabled = true;
+      try {
+        const updated = await historyClient.setHistoryVisibility(
+          historyEndpointBase,
+          entry.id,
+          step.next
+        );
+        if (!updated) return;
+        artHistory = artHistory.map((item) => (item.id === updated.id ? updated : item));
+        historyLoadError = null;
+        updateHistoryUI();
+      } catch (error) {
+        console.warn("Failed to update history", error);
+        historyLoadError = "Unable to update saved art right now.";
+        updateHistoryUI();
+      } finally {
+        button.disabled = false;
+      }
+    });
+    return button;
+  }
+
+  function buildLinkButton(entry) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-button secondary";
+    button.textContent = "Link";
+    button.title = "Copy a link that opens this art";
+    button.addEventListener("click", () => copyPermalink(entry));
+    return button;
+  }
+
   function updateHistoryUI() {
     if (!historyListEl) return;
     historyListEl.innerHTML = "";
@@ -805,7 +1561,7 @@
     } else if (historyLoadError) {
       message = historyLoadError;
     } else if (!artHistory.length) {
-      message = "No saved art yet.";
+      message = describeEmptyHistory();
     }
 
     if (message) {
@@ -821,10 +1577,14 @@
       const item = document.createElement("li");
       item.className = "history-item";
 
-      const label = document.createElement("span");
-      label.textContent = `${entry.prompt || "(untitled)"} • ${
-        formatHistoryTimestamp(entry.createdAt)
-      }`;
+      const preview = document.createElement("div");
+      preview.className = "history-preview";
+      const { details, countLabel } = buildHistoryDetails(entry);
+      if (historyThumbnails) {
+        historyThumbnails.attach(entry, preview, (rectCount) => {
+          countLabel.textContent = describeRectangleCount(rectCount, false);
+        });
+      }
 
       const buttons = document.createElement("div");
       buttons.className = "history-buttons";
@@ -844,7 +1604,7 @@
       deleteButton.textContent = "✕";
       deleteButton.addEventListener("click", async () => {
         if (!historyEnabled || !historyClient) return;
-        const promptLabel = entry.prompt || "(untitled)";
+        const promptLabel = entry.title || entry.prompt || "(untitled)";
         const confirmed = window.confirm(
           `Delete saved art "${promptLabel}"? This action cannot be undone.`
         );
@@ -855,6 +1615,8 @@
           await historyClient.deleteHistory(historyEndpointBase, entry.id);
           historyLoadError = null;
           artHistory = artHistory.filter((itemEntry) => itemEntry.id !== entry.id);
+          if (historyThumbnails) historyThumbnails.forget(entry.id);
+          if (readPermalinkId() === entry.id) setPermalink(null);
           updateHistoryUI();
           setStatusMessage(`Deleted saved art: "${promptLabel}"`);
           closeHistoryModal();
@@ -867,49 +1629,307 @@
         }
       });
 
-      buttons.appendChild(deleteButton);
+      // Only the owner may change or delete an entry; the server enforces the same.
+      if (isOwnEntry(entry)) {
+        buttons.appendChild(deleteButton);
+        buttons.appendChild(buildVisibilityButton(entry));
+      }
+      buttons.appendChild(buildLinkButton(entry));
       buttons.appendChild(viewButton);
 
-      item.appendChild(label);
+      item.appendChild(preview);
+      item.appendChild(details);
       item.appendChild(buttons);
       fragment.appendChild(item);
     }
 
+    if (historyNextCursor) {
+      fragment.appendChild(buildHistoryMoreItem());
+    }
+
     historyListEl.appendChild(fragment);
   }
 
+  // Infinite scroll: the last list item loads the next page when it scrolls into view, and
+  // doubles as a "Load more" button where IntersectionObserver is unavailable.
+  const historyMoreObserver =
+    typeof IntersectionObserver === "function" && historyListEl
+      ? new IntersectionObserver(
+          (observations) => {
+            if (observations.some((observation) => observation.isIntersecting)) {
+              loadMoreHistory();
+            }
+          },
+          { root: historyListEl.closest(".modal-body"), rootMargin: "200px 0px" }
+        )
+      : null;
+
+  function buildHistoryMoreItem() {
+    const item = document.createElement("li");
+    item.className = "history-more";
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-button view";
+    button.textContent = historyLoadingMore ? "Loading..." : "Load more";
+    button.disabled = historyLoadingMore;
+    button.addEventListener("click", loadMoreHistory);
+    item.appendChild(button);
+
+    if (historyMoreObserver) {
+      historyMoreObserver.disconnect();
+      historyMoreObserver.observe(item);
+    }
+    return item;
+  }
+
+  function hasActiveHistoryFilters() {
+    return !!(historyFilters.q || historyFilters.resultType);
+  }
+
+  // Load the first page for the current filters, replacing the list. Any older request is dropped.
+  async function reloadHistory() {
+    if (!historyEnabled || !historyClient) return;
+    if (historyRequestController) historyRequestController.abort();
+    const controller = new AbortController();
+    historyRequestController = controller;
+
+    historyLoading = true;
+    historyLoadingMore = false;
+    historyLoadError = null;
+    updateHistoryUI();
+
+    try {
+      const page = await historyClient.fetchHistory(historyEndpointBase, {
+        ...historyFilters,
+        mine: showsOwnHistory(),
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+      artHistory = page.items;
+      historyNextCursor = page.nextCursor;
+      historyLoadError = null;
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.warn("Failed to fetch history", error);
+      artHistory = [];
+      historyNextCursor = null;
+      historyLoadError =
+        error && typeof error.message === "string" ? error.message : "Failed to load history.";
+    } finally {
+      if (historyRequestController === controller) {
+        historyRequestController = null;
+        historyLoading = false;
+        updateHistoryUI();
+      }
+    }
+  }
+
+  async function loadMoreHistory() {
+    if (!historyNextCursor || historyLoading || historyLoadingMore) return;
+    const controller = new AbortController();
+    historyRequestController = controller;
+    historyLoadingMore = true;
+    updateHistoryUI();
+
+    try {
+      const page = await historyClient.fetchHistory(historyEndpointBase, {
+        ...historyFilters,
+        mine: showsOwnHistory(),
+        cursor: historyNextCursor,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+      // Entries saved during this session may already be in the list.
+      const knownIds = new Set(artHistory.map((entry) => entry.id));
+      artHistory = artHistory.concat(page.items.filter((entry) => !knownIds.has(entry.id)));
+      historyNextCursor = page.nextCursor;
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.warn("Failed to fetch more history", error);
+      historyLoadError = "Unable to load more history right now.";
+      historyNextCursor = null;
+    } finally {
+      if (historyRequestController === controller) {
+        historyRequestController = null;
+        historyLoadingMore = false;
+        updateHistoryUI();
+      }
+    }
+  }
+
+  function handleHistoryFilterChange() {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(() => {
+      const nextFilters = {
+        q: historySearchInput ? historySearchInput.value.trim() : "",
+        resultType: historyTypeFilter ? historyTypeFilter.value : "",
+      };
+      if (
+        nextFilters.q === historyFilters.q &&
+        nextFilters.resultType === historyFilters.resultType
+      ) {
+        return;
+      }
+      historyFilters = nextFilters;
+      reloadHistory();
+    }, HISTORY_SEARCH_DEBOUNCE_MS);
+  }
+
+  if (historySearchInput) {
+    historySearchInput.addEventListener("input", handleHistoryFilterChange);
+  }
+  if (historyTypeFilter) {
+    historyTypeFilter.addEventListener("change", handleHistoryFilterChange);
+  }
+
   function loadHistoryEntry(entryId) {
     const entry = artHistory.find((item) => item.id === entryId);
     if (!entry) return;
+    replayHistoryEntry(entry);
+  }
 
+  // Draws a saved entry and points the address bar at its permalink.
+  function replayHistoryEntry(entry) {
     if (promptInput) {
       promptInput.textContent = entry.prompt;
     }
 
-    runWithConfig(entry.config, "history", {
-      rectangles: entry.rectangles,
+    stopActiveRun();
+    setPermalink(entry.id);
+    setCurrentRevision(entry);
+
+    // Seeded entries are stored without rectangles and regenerated at their original size. Either
+    // way the layout keeps its stored size and is fitted to the canvas.
+    const replayFromSeed =
+      entry.rectangles.length === 0 && placement.normalizeSeed(entry.config?.seed) !== null;
+    const canvasSize =
+      entry.canvasWidth > 0 && entry.canvasHeight > 0
+        ? { width: entry.canvasWidth, height: entry.canvasHeight }
+        : null;
+
+    const replay = replayFromSeed
+      ? runWithConfig(entry.config, "history", { canvasSize })
+      : runWithConfig(entry.config, "history", {
+          rectangles: entry.rectangles,
+          canvasSize,
+        });
+
+    return replay.then((renderDetails) => {
+      if (renderDetails) {
+        setStatusMessage(`Loaded saved art from prompt: "${entry.prompt}"`);
+      }
+      return renderDetails;
     });
+  }
+
+  // Permalinks are the page URL with `?art=<entry id>`.
+  const PERMALINK_PARAM = "art";
+  const PERMALINK_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+  function readPermalinkId() {
+    try {
+      const id = new URLSearchParams(window.location.search).get(PERMALINK_PARAM);
+      return id && PERMALINK_ID_PATTERN.test(id) ? id.toLowerCase() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function buildPermalink(id) {
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.hash = "";
+    url.searchParams.set(PERMALINK_PARAM, id);
+    return url.toString();
+  }
+
+  // Keeps the address bar in step with the canvas without adding history entries.
+  function setPermalink(id) {
+    if (!window.history || typeof window.history.replaceState !== "function") return;
+    try {
+      const url = new URL(window.location.href);
+      if (id) {
+        url.searchParams.set(PERMALINK_PARAM, id);
+      } else {
+        url.searchParams.delete(PERMALINK_PARAM);
+      }
+      if (url.href !== window.location.href) {
+        window.history.replaceState(window.history.state, "", url.href);
+      }
+    } catch (error) {
+      console.warn("Failed to update the permalink", error);
+    }
+  }
 
-    setStatusMessage(`Loaded saved art from prompt: "${entry.prompt}"`);
+  async function copyPermalink(entry) {
+    const link = buildPermalink(entry.id);
+    const note =
+      entry.visibility === "private" ? " Only you can open it while the art is private." : "";
+    try {
+      await navigator.clipboard.writeText(link);
+      setStatusMessage(`Link copied.${note}`);
+    } catch (error) {
+      // Clipboard access can be denied; let the user copy it by hand.
+      window.prompt("Copy this link:", link);
+      if (note) setStatusMessage(note.trim());
+    }
   }
 
-  async function persistPromptResult(promptText, resultType, renderDetails) {
-    if (!historyEnabled) return;
+  // Boot path for `?art=<id>`: draw that entry instead of the default run. Falls back to the
+  // defaults when it is missing, private to someone else, or history is unavailable.
+  async function openPermalink(id, historyReady) {
+    await historyReady;
+    let entry = null;
+    let failureMessage = "Shared art needs the history server.";
+    if (historyEnabled && historyClient) {
+      try {
+        entry = await historyClient.fetchHistoryEntry(historyEndpointBase, id);
+        failureMessage = "That saved art doesn't exist or isn't shared.";
+      } catch (error) {
+        console.warn("Failed to load shared art", error);
+        failureMessage = "Unable to load the shared art right now.";
+      }
+    }
+
+    if (entry) {
+      await replayHistoryEntry(entry);
+      return;
+    }
+    setPermalink(null);
+    await runWithConfig(DEFAULT_CONFIG, "defaults");
+    // After the run, so placement progress doesn't overwrite it.
+    setStatusMessage(failureMessage);
+  }
+
+  // Only signed-in users can save; their art lands in their own (private by default) gallery.
+  // `parentId` is the entry a refinement was made from.
+  async function persistPromptResult(promptText, resultType, renderDetails, parentId = null) {
+    if (!historyEnabled || !currentUser) return;
     if (!renderDetails || !Array.isArray(renderDetails.rects)) return;
+    // The render's undo snapshot, so undoing back to it later restores the permalink too.
+    const snapshot = lastRenderDetails === renderDetails ? currentSnapshot : null;
 
     try {
       const savedEntry = await historyClient.persistHistory(
         historyEndpointBase,
         promptText,
         resultType,
-        renderDetails
+        renderDetails,
+        { parentId }
       );
       if (!savedEntry) return;
 
       historyLoadError = null;
-      artHistory.unshift(savedEntry);
-      if (artHistory.length > HISTORY_LIMIT) {
-        artHistory = artHistory.slice(0, HISTORY_LIMIT);
+      if (snapshot) snapshot.entry = savedEntry;
+      // Unless something else has been drawn since, the canvas now has a permalink.
+      if (lastRenderDetails === renderDetails) {
+        setPermalink(savedEntry.id);
+        setCurrentRevision(savedEntry);
+      }
+      // A filtered list only shows search results; the new entry turns up once filters clear.
+      if (!hasActiveHistoryFilters()) {
+        artHistory.unshift(savedEntry);
       }
       updateHistoryUI();
     } catch (error) {
@@ -952,26 +1972,23 @@
     }
 
     historyEnabled = true;
-    historyLoading = true;
-    historyLoadError = null;
-    updateHistoryUI();
-
     try {
-      const items = await historyClient.fetchHistory(historyEndpointBase);
-      artHistory = items;
-      historyLoadError = null;
+      currentUser = await historyClient.fetchCurrentUser(historyEndpointBase);
     } catch (error) {
-      console.warn("Failed to fetch history", error);
-      historyLoadError =
-        error && typeof error.message === "string" ? error.message : "Failed to load history.";
-    } finally {
-      historyLoading = false;
-      updateHistoryUI();
+      console.warn("Failed to load the signed-in user", error);
+      currentUser = null;
     }
+    updateAccountUI();
+    await reloadHistory();
   }
 
-  initializeHistory();
+  const historyReady = initializeHistory();
 
-  // Initial draw
-  runWithConfig(DEFAULT_CONFIG, "defaults");
+  // Initial draw: a permalink's art, or the defaults.
+  const permalinkId = readPermalinkId();
+  if (permalinkId) {
+    openPermalink(permalinkId, historyReady);
+  } else {
+    runWithConfig(DEFAULT_CONFIG, "defaults");
+  }
 })();
@@ -0,0 +1,174 @@
+// Placement benchmark and randomized equivalence check for the grid index.
+//
+//   npm run bench                       # compare, then benchmark
+//   node scripts/bench-placement.js --trials 200 --brute-max 5000
+//
+// The comparison step fails (exit code 1) if the grid index ever disagrees with the brute-force
+// isValidPlacement checker, either on a single candidate or on a whole seeded layout. Trials take
+// turns through the layouts (placement.LAYOUTS); the nested one checks with nesting allowed.
+// Every other round of layouts turns the rectangles (`rotation`), so the whole-layout comparison
+// covers the outline checks too.
+
+const placement = require("../placement");
+
+function readArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1 || index + 1 >= process.argv.length) return fallback;
+  const value = Number(process.argv[index + 1]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const TRIALS = readArg("trials", 50);
+const BRUTE_FORCE_MAX = readArg("brute-max", 2000);
+const BENCH_COUNTS = [1000, 5000, 20000, 50000];
+const BENCH_CANVAS = { width: 1920, height: 1080 };
+const COMPARE_ROTATION = 10; // degrees, for the rounds with turned rectangles
+
+// generateRectangles logs progress; keep the harness output readable.
+function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+function randomCandidate(rng, width, height, minSize, maxSize, existing) {
+  const randInt = (min, max) => Math.floor(rng() * (max - min + 1)) + min;
+
+  // Bias some candidates to sit inside or right next to an existing rectangle so the
+  // nesting and touching branches get exercised, not just open space.
+  if (existing.length && rng() < 0.5) {
+    const host = existing[randInt(0, existing.length - 1)];
+    const w = randInt(1, Math.max(1, host.w));
+    const h = randInt(1, Math.max(1, host.h));
+    return {
+      x: host.x + randInt(-3, Math.max(0, host.w - w) + 3),
+      y: host.y + randInt(-3, Math.max(0, host.h - h) + 3),
+      w,
+      h,
+    };
+  }
+
+  const w = randInt(minSize, maxSize);
+  const h = randInt(minSize, maxSize);
+  return {
+    x: randInt(0, Math.max(0, width - w)),
+    y: randInt(0, Math.max(0, height - h)),
+    w,
+    h,
+  };
+}
+
+function compare() {
+  const rng = placement.createRng(20250101);
+  const randInt = (min, max) => Math.floor(rng() * (max - min + 1)) + min;
+  let candidateChecks = 0;
+
+  for (let trial = 0; trial < TRIALS; trial++) {
+    const width = randInt(50, 600);
+    const height = randInt(50, 600);
+    const minSize = randInt(1, 30);
+    const maxSize = randInt(minSize, 60);
+    const count = randInt(10, 600);
+    const seed = placement.randomSeed();
+    const layout = placement.LAYOUTS[trial % placement.LAYOUTS.length];
+    const allowNesting = layout === "nested";
+    const round = Math.floor(trial / placement.LAYOUTS.length);
+    const rotation = round % 2 ? COMPARE_ROTATION : 0;
+
+    const indexed = quietly(() =>
+      placement.generateRectangles(width, height, count, minSize, maxSize, {
+        seed,
+        layout,
+        rotation,
+      })
+    );
+    const brute = quietly(() =>
+      placement.generateRectangles(width, height, count, minSize, maxSize, {
+        seed,
+        layout,
+        rotation,
+        bruteForce: true,
+      })
+    );
+
+    if (JSON.stringify(indexed) !== JSON.stringify(brute)) {
+      console.error(
+        `Layout mismatch: seed=${seed} layout=${layout} rotation=${rotation} canvas=${width}x${height} count=${count} size=${minSize}-${maxSize}`
+      );
+      return false;
+    }
+
+    const index = placement.createSpatialIndex(width, height, maxSize + placement.GAP);
+    for (const rect of indexed) index.insert(rect);
+
+    for (let i = 0; i < 500; i++) {
+      const candidate = randomCandidate(rng, width, height, minSize, maxSize, indexed);
+      const expected = placement.isValidPlacement(candidate, indexed, placement.GAP, allowNesting);
+      const actual = index.isValid(candidate, placement.GAP, allowNesting);
+      candidateChecks++;
+      if (expected !== actual) {
+        console.error(
+          `Candidate mismatch: ${JSON.stringify(candidate)} brute=${expected} grid=${actual} (seed=${seed}, layout=${layout})`
+        );
+        return false;
+      }
+    }
+  }
+
+  console.log(
+    `Comparison passed: ${TRIALS} seeded layouts and ${candidateChecks} candidates agree with the brute-force checker.`
+  );
+  return true;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return { result, elapsedMs };
+}
+
+function bench() {
+  const { width, height } = BENCH_CANVAS;
+  const minSize = 5;
+  const maxSize = 20;
+
+  console.log(`\nBenchmark on ${width}x${height}, sizes ${minSize}-${maxSize}, seed 1:`);
+  console.log("count    placed   grid (ms)   brute force (ms)");
+
+  for (const count of BENCH_COUNTS) {
+    const grid = time(() =>
+      quietly(() =>
+        placement.generateRectangles(width, height, count, minSize, maxSize, { seed: 1 })
+      )
+    );
+
+    let bruteLabel = "skipped";
+    if (count <= BRUTE_FORCE_MAX) {
+      const brute = time(() =>
+        quietly(() =>
+          placement.generateRectangles(width, height, count, minSize, maxSize, {
+            seed: 1,
+            bruteForce: true,
+          })
+        )
+      );
+      bruteLabel = brute.elapsedMs.toFixed(1);
+    }
+
+    console.log(
+      `${String(count).padEnd(8)} ${String(grid.result.length).padEnd(8)} ${grid.elapsedMs
+        .toFixed(1)
+        .padEnd(11)} ${bruteLabel}`
+    );
+  }
+}
+
+if (!compare()) {
+  process.exit(1);
+}
+bench();
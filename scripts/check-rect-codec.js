@@ -0,0 +1,117 @@
+// Round-trip check for the packed rectangle format (rectCodec.js).
+//
+//   npm run check:codec
+//
+// Encodes seeded layouts, fractional and extreme values, and checks they decode to the same
+// rectangles; malformed input must throw. Prints how much smaller the packed form is than JSON.
+// Exits with code 1 on any mismatch.
+
+const placement = require("../placement");
+const rectCodec = require("../rectCodec");
+
+const LAYOUTS = [
+  { width: 640, height: 480, count: 200, minSize: 5, maxSize: 60 },
+  { width: 1920, height: 1080, count: 5000, minSize: 2, maxSize: 40 },
+  { width: 3840, height: 2160, count: 50000, minSize: 1, maxSize: 12 },
+];
+
+let failed = false;
+
+function fail(message) {
+  failed = true;
+  console.error(message);
+}
+
+function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// Packed values pass through JSON in storage and over HTTP, so the check does too.
+function roundTrip(rects) {
+  const packed = JSON.parse(JSON.stringify(rectCodec.encodeRectangles(rects)));
+  return { packed, decoded: rectCodec.decodeRectangles(packed) };
+}
+
+function compare(label, expected, actual, tolerance) {
+  if (expected.length !== actual.length) {
+    fail(`${label}: expected ${expected.length} rectangles, decoded ${actual.length}.`);
+    return;
+  }
+  for (let i = 0; i < expected.length; i++) {
+    for (const key of ["x", "y", "w", "h"]) {
+      if (Math.abs(expected[i][key] - actual[i][key]) > tolerance) {
+        fail(`${label}: rectangle ${i} ${key} is ${actual[i][key]}, expected ${expected[i][key]}.`);
+        return;
+      }
+    }
+  }
+}
+
+LAYOUTS.forEach((layout, index) => {
+  const rects = quietly(() =>
+    placement.generateRectangles(
+      layout.width,
+      layout.height,
+      layout.count,
+      layout.minSize,
+      layout.maxSize,
+      { seed: 1000 + index }
+    )
+  );
+  const { packed, decoded } = roundTrip(rects);
+  compare(`seeded ${layout.width}x${layout.height}`, rects, decoded, 0);
+  if (packed.scale !== 1) fail(`Whole-pixel layouts should use scale 1, got ${packed.scale}.`);
+
+  const jsonBytes = JSON.stringify(rects).length;
+  const packedBytes = JSON.stringify(packed).length;
+  console.log(
+    `${rects.length} rectangles on ${layout.width}x${layout.height}: JSON ${jsonBytes} bytes, packed ${packedBytes} bytes (${(
+      jsonBytes / packedBytes
+    ).toFixed(1)}x smaller)`
+  );
+});
+
+// Fractional coordinates are kept to 1/100 px; negative and very large values survive.
+const fractional = [
+  { x: 10.25, y: 3.5, w: 1.125, h: 7.999 },
+  { x: -4.5, y: -0.01, w: 0.5, h: 0.25 },
+];
+compare("fractional", fractional, roundTrip(fractional).decoded, 0.005);
+
+const extreme = [
+  { x: 0, y: 0, w: 0, h: 0 },
+  { x: 2 ** 40, y: -(2 ** 40), w: 2 ** 31, h: 1 },
+  { x: -1, y: 1, w: 3, h: 3 },
+];
+compare("extreme", extreme, roundTrip(extreme).decoded, 0);
+compare("empty", [], roundTrip([]).decoded, 0);
+
+const legacy = [{ x: 1, y: 2, w: 3, h: 4 }];
+if (rectCodec.decodeRectangles(legacy) !== legacy) fail("Legacy arrays should pass through unchanged.");
+
+const good = rectCodec.encodeRectangles(legacy);
+const malformed = {
+  "unknown version": { ...good, version: 99 },
+  "negative count": { ...good, count: -1 },
+  "count too high": { ...good, count: 2 },
+  "trailing data": { ...good, count: 0 },
+  "missing data": { ...good, data: undefined },
+  "not packed": { x: 1 },
+};
+for (const [label, value] of Object.entries(malformed)) {
+  try {
+    rectCodec.decodeRectangles(value);
+    fail(`Malformed input (${label}) decoded without an error.`);
+  } catch (error) {
+    // Expected.
+  }
+}
+
+if (failed) process.exit(1);
+console.log("Packed rectangles round-trip.");
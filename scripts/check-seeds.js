@@ -0,0 +1,87 @@
+// Replay check for seeded placement (placement.js).
+//
+//   npm run check:seeds
+//
+// Saved history entries replay their rectangles from `config.seed`, so a seed must keep giving
+// the same layout. Generates fixed seeds and compares a hash of the result with the one recorded
+// here; the first three hashes date back to when seeds were introduced. Exits with code 1 on
+// any mismatch.
+//
+// Only update a recorded hash when a layout change is meant to move existing seeds.
+
+const placement = require("../placement");
+
+const SEEDS = [
+  { seed: 42, args: [1200, 700, 3000, 10, 30], rects: 1655, hash: "4f1a3e6e" },
+  { seed: 7, args: [300, 200, 500, 5, 50], rects: 176, hash: "f489edb9" },
+  { seed: 3, args: [800, 600, 2000, 5, 20], rects: 2000, hash: "57912ea7" },
+  // Above the count ceiling seeds were introduced with, so placement stops once the canvas is full.
+  { seed: 9, args: [600, 400, 8000, 5, 20], rects: 1167, hash: "c15351a3" },
+  // Placement zones and rotation came later too, so these stop once the canvas is full as well.
+  {
+    seed: 12,
+    args: [300, 200, 5000, 5, 20],
+    options: {
+      zones: [{ type: "circle", x: 150, y: 100, radius: 60, color: "#ff0000", density: 3 }],
+    },
+    rects: 303,
+    hash: "d36cd08f",
+  },
+  {
+    seed: 11,
+    args: [300, 200, 5000, 30, 50],
+    options: { rotation: 15 },
+    rects: 25,
+    hash: "09c0f6a3",
+  },
+];
+
+function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+// FNV-1a over every coordinate, as an 8-digit hex string.
+function hashRectangles(rects) {
+  let hash = 0x811c9dc5;
+  for (const rect of rects) {
+    for (const value of [rect.x, rect.y, rect.w, rect.h]) {
+      const text = `${value},`;
+      for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+      }
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+let failed = false;
+
+for (const expected of SEEDS) {
+  const [width, height, count, minSize, maxSize] = expected.args;
+  const rects = quietly(() =>
+    placement.generateRectangles(width, height, count, minSize, maxSize, {
+      ...expected.options,
+      seed: expected.seed,
+    })
+  );
+  const hash = hashRectangles(rects);
+  const extras = expected.options ? `, with ${Object.keys(expected.options).join(" and ")}` : "";
+  const label = `seed ${expected.seed} on ${width}x${height} (count ${count}, sizes ${minSize}-${maxSize}${extras})`;
+  if (rects.length !== expected.rects || hash !== expected.hash) {
+    failed = true;
+    console.error(
+      `${label}: ${rects.length} rectangles, hash ${hash}; expected ${expected.rects}, hash ${expected.hash}.`
+    );
+  } else {
+    console.log(`${label}: ${rects.length} rectangles, hash ${hash}`);
+  }
+}
+
+if (failed) process.exit(1);
+console.log("Seeded layouts replay unchanged.");
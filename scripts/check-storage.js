@@ -0,0 +1,290 @@
+// Runs the same history scenario against every storage backend and checks they agree.
+//
+//   npm run check:storage                          # file and sqlite stores, in a temp directory
+//   DATABASE_URL=postgres://... npm run check:storage   # also Postgres
+//
+// Entries are tagged with a per-run word and removed afterwards, so existing history is left alone.
+// Exits with code 1 when a store fails a check or disagrees with the others.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const storage = require("../server/storage");
+const migrate = require("../server/migrate");
+const historyQuery = require("../server/historyQuery");
+
+const PROMPTS = [
+  "Happy face",
+  "traffic light at night",
+  "blue rectangles",
+  "sunny tree",
+  "Red house",
+  "Traffic-jam chaos",
+  "happy sun",
+];
+const ENTRY_COUNT = 23;
+
+const RUN_TAG = `check${Date.now().toString(36)}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Every query is scoped to this run's entries through the tag word.
+function parse(query, viewerId) {
+  const q = [RUN_TAG, query.q].filter(Boolean).join(" ");
+  const parsed = historyQuery.parseHistoryQuery({ ...query, q }, 5);
+  if (parsed.error) throw new Error(parsed.error);
+  return { ...parsed, viewerId };
+}
+
+function promptOf(entry) {
+  return entry.prompt.replace(` ${RUN_TAG}`, "");
+}
+
+// JSON with sorted keys: Postgres jsonb doesn't keep key order, and callers don't rely on it.
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, canonical(value[key])])
+    );
+  }
+  return value;
+}
+
+async function listAll(store, query, viewerId) {
+  const prompts = [];
+  let cursor;
+  do {
+    const page = await store.listEntries(parse({ ...query, cursor }, viewerId));
+    prompts.push(...page.items.map(promptOf));
+    cursor = page.nextCursor || undefined;
+  } while (cursor);
+  return prompts;
+}
+
+// Returns a plain summary of what the store did; stores agree when their summaries match.
+async function runScenario(store) {
+  // Even entries belong to `owner` and alternate between private and unlisted; odd ones belong
+  // to `other` and are public.
+  const owner = await store.createUser({ username: `owner${RUN_TAG}`, passwordHash: "x" });
+  const other = await store.createUser({ username: `other${RUN_TAG}`, passwordHash: "y" });
+  const list = (query, viewerId = owner.id) => listAll(store, query, viewerId);
+
+  const created = [];
+  for (let i = 0; i < ENTRY_COUNT; i++) {
+    created.push(
+      await store.createEntry({
+        prompt: `${PROMPTS[i % PROMPTS.length]} ${i} ${RUN_TAG}`,
+        resultType: i % 3 === 0 ? "art_plan" : "rectangles",
+        config: {
+          color: "#123456",
+          seed: i,
+          colorZones: [{ type: "circle", x: 1, y: 2, radius: 3, color: "#ff0000" }],
+        },
+        rectangles: i % 2 ? [] : [{ x: i, y: 1, w: 2, h: 3 }],
+        canvasWidth: 640,
+        canvasHeight: 480,
+        seed: i,
+        title: i % 2 ? null : `Title ${i}`,
+        tags: i % 2 ? [] : ["check", `n${i}`],
+        ownerId: i % 2 ? other.id : owner.id,
+        visibility: i % 2 ? "public" : i % 4 === 0 ? "private" : "unlisted",
+      })
+    );
+    await sleep(3); // distinct timestamps, so ordering doesn't hinge on random ids
+  }
+
+  const sample = created[4];
+  const fetched = await store.getEntry(sample.id);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const token = `token${RUN_TAG}`;
+  const expiresAt = (offset) => new Date(Date.now() + offset);
+  await store.createSession({ tokenHash: token, userId: owner.id, expiresAt: expiresAt(60000) });
+  await store.createSession({ tokenHash: `${token}old`, userId: owner.id, expiresAt: expiresAt(-1000) });
+
+  const summary = {
+    firstPage: (await store.listEntries(parse({}, owner.id))).items.map(promptOf),
+    all: await list({}),
+    searchHappy: await list({ q: "happy" }),
+    searchPrefix: await list({ q: "TRAF nig" }),
+    searchHyphen: await list({ q: "jam" }),
+    searchNone: await list({ q: "zebra" }),
+    artPlans: await list({ resultType: "art_plan" }),
+    happyArtPlans: await list({ q: "happy", resultType: "art_plan" }),
+    today: (await list({ from: today, to: today })).length,
+    past: (await list({ to: "2000-01-01" })).length,
+    anonymous: await list({}, null),
+    otherViewer: await list({}, other.id),
+    ownerMine: await list({ mine: "1" }),
+    otherMine: await list({ mine: "1" }, other.id),
+    duplicateUser: await store.createUser({ username: `owner${RUN_TAG}`, passwordHash: "z" }),
+    foundUser: (await store.findUserByUsername(`owner${RUN_TAG}`)).passwordHash,
+    sessionUser: (await store.getSessionUser(token))?.username.replace(RUN_TAG, ""),
+    expiredSession: await store.getSessionUser(`${token}old`),
+    madePublic: (await store.setEntryVisibility(created[0].id, "public"))?.visibility,
+    anonymousAfterPublish: (await list({}, null)).length,
+    loggedOut: await store.deleteSession(token).then(() => store.getSessionUser(token)),
+    fetched: fetched && {
+      prompt: promptOf(fetched),
+      resultType: fetched.resultType,
+      config: canonical(fetched.config),
+      rectangles: canonical(fetched.rectangles),
+      size: [fetched.canvasWidth, fetched.canvasHeight],
+      seed: fetched.seed,
+      title: fetched.title,
+      tags: fetched.tags,
+      ownerName: fetched.ownerName.replace(RUN_TAG, ""),
+      visibility: fetched.visibility,
+      createdAt: typeof JSON.parse(JSON.stringify(fetched)).createdAt,
+    },
+    missing: await store.getEntry("00000000-0000-4000-8000-000000000000"),
+    deleted: await store.deleteEntry(sample.id),
+    deletedAgain: await store.deleteEntry(sample.id),
+    afterDelete: (await list({})).length,
+    userDeleted: await store.deleteUser(other.id),
+    orphanOwner: (await store.getEntry(created[1].id)).ownerName,
+  };
+
+  // A refinement keeps pointing at the entry it came from until that entry is deleted.
+  const revision = await store.createEntry({
+    prompt: `Refined ${RUN_TAG}`,
+    resultType: "art_plan",
+    config: { color: "#123456", colorZones: [] },
+    rectangles: [],
+    canvasWidth: 640,
+    canvasHeight: 480,
+    ownerId: owner.id,
+    visibility: "private",
+    parentId: created[2].id,
+  });
+  created.push(revision);
+  summary.revisionParent = (await store.getEntry(revision.id)).parentId === created[2].id;
+  summary.parentDeleted = await store.deleteEntry(created[2].id);
+  summary.orphanRevision = (await store.getEntry(revision.id)).parentId;
+
+  for (const entry of created) await store.deleteEntry(entry.id);
+  await store.deleteUser(owner.id);
+  return summary;
+}
+
+// The file store must survive a failed write: the entry whose write failed is not kept in
+// memory, and later writes go through again. The file's path is turned into a directory for one
+// save, so the rename onto it fails.
+async function checkFileWriteFailure(tempDir) {
+  const filePath = path.join(tempDir, "failing.json");
+  const store = storage.createStore("file", { filePath });
+  const entry = (prompt) => ({
+    prompt: `${prompt} ${RUN_TAG}`,
+    resultType: "rectangles",
+    config: { color: "#123456", colorZones: [] },
+    rectangles: [],
+    canvasWidth: 640,
+    canvasHeight: 480,
+  });
+  try {
+    await store.init();
+    await migrate.migrateUp(store);
+    await store.createEntry(entry("before"));
+
+    fs.rmSync(filePath);
+    fs.mkdirSync(filePath);
+    const failedWrite = await store.createEntry(entry("failed")).then(
+      () => false,
+      () => true
+    );
+    fs.rmdirSync(filePath);
+    await store.createEntry(entry("after"));
+
+    const reopened = storage.createStore("file", { filePath });
+    await reopened.init();
+    const inMemory = (await store.listEntries(parse({}))).items.map(promptOf);
+    const onDisk = (await reopened.listEntries(parse({}))).items.map(promptOf);
+
+    const expected = JSON.stringify(["after", "before"]);
+    if (!failedWrite) return "a save onto a directory did not fail.";
+    if (JSON.stringify(inMemory) !== expected) return `kept ${JSON.stringify(inMemory)} in memory.`;
+    if (JSON.stringify(onDisk) !== expected) return `wrote ${JSON.stringify(onDisk)} to the file.`;
+    return null;
+  } finally {
+    await store.close();
+  }
+}
+
+async function main() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "rectangle-joy-storage-"));
+  const stores = [
+    storage.createStore("file", { filePath: path.join(tempDir, "history.json") }),
+    storage.createStore("sqlite", { dbPath: path.join(tempDir, "history.sqlite") }),
+  ];
+  if (process.env.DATABASE_URL) {
+    stores.push(storage.createStore("postgres", { connectionString: process.env.DATABASE_URL }));
+  } else {
+    console.log("DATABASE_URL not set; skipping the Postgres store.");
+  }
+
+  const summaries = [];
+  let failed = false;
+  for (const store of stores) {
+    try {
+      await store.init();
+      await migrate.migrateUp(store);
+      summaries.push({ name: store.name, summary: await runScenario(store) });
+      console.log(`${store.name}: scenario completed.`);
+    } catch (error) {
+      failed = true;
+      console.error(`${store.name}: ${error.message}`);
+    } finally {
+      await store.close();
+    }
+  }
+  try {
+    const writeFailure = await checkFileWriteFailure(tempDir);
+    if (writeFailure) {
+      failed = true;
+      console.error(`file: after a failed write the store ${writeFailure}`);
+    } else {
+      console.log("file: recovers from a failed write.");
+    }
+  } catch (error) {
+    failed = true;
+    console.error(`file: failed write check: ${error.message}`);
+  }
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  const [reference, ...others] = summaries;
+  for (const other of others) {
+    for (const key of Object.keys(reference.summary)) {
+      const expected = JSON.stringify(reference.summary[key]);
+      const actual = JSON.stringify(other.summary[key]);
+      if (expected !== actual) {
+        failed = true;
+        console.error(`${other.name} disagrees with ${reference.name} on ${key}:`);
+        console.error(`  ${reference.name}: ${expected}`);
+        console.error(`  ${other.name}: ${actual}`);
+      }
+    }
+  }
+
+  if (reference && reference.summary.all.length !== ENTRY_COUNT) {
+    failed = true;
+    console.error(
+      `Expected ${ENTRY_COUNT} entries across all pages, got ${reference.summary.all.length}.`
+    );
+  }
+
+  const publicCount = Math.floor(ENTRY_COUNT / 2);
+  if (reference && reference.summary.anonymous.length !== publicCount) {
+    failed = true;
+    console.error(
+      `Expected ${publicCount} public entries, got ${reference.summary.anonymous.length}.`
+    );
+  }
+
+  if (failed) process.exit(1);
+  console.log(`All ${summaries.length} stores agree.`);
+}
+
+main();
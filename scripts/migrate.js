@@ -0,0 +1,61 @@
+// Applies or reverts history store migrations for the store configured in the environment
+// (HISTORY_STORE, DATABASE_URL, HISTORY_SQLITE_PATH, HISTORY_FILE_PATH; .env is read too).
+//
+//   npm run migrate                 # apply every pending migration
+//   npm run migrate -- up 2         # apply pending migrations up to and including 002
+//   npm run migrate -- down         # revert the newest applied migration
+//   npm run migrate -- down 2       # revert the two newest
+//   npm run migrate -- status       # list applied and pending migrations
+
+require("dotenv").config();
+
+const storage = require("../server/storage");
+const migrate = require("../server/migrate");
+
+function parseCount(value, label) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${label} must be a positive integer, got "${value}".`);
+  }
+  return count;
+}
+
+async function printStatus(store) {
+  const { applied, pending, unknown } = await migrate.getStatus(store);
+  for (const migration of applied) console.log(`  applied  ${migrate.describe(migration)}`);
+  for (const migration of pending) console.log(`  pending  ${migrate.describe(migration)}`);
+  for (const id of unknown) console.log(`  unknown  ${String(id).padStart(3, "0")} (not in this checkout)`);
+  if (!pending.length) console.log("Schema is up to date.");
+}
+
+async function main() {
+  const [command = "up", argument] = process.argv.slice(2);
+  const store = storage.createStoreFromEnv();
+  console.log(`History store: ${store.name} (${store.description})`);
+  if (!store.isConfigured()) {
+    throw new Error(store.configurationError || "History store is not configured.");
+  }
+
+  await store.init();
+  try {
+    if (command === "up") {
+      const applied = await migrate.migrateUp(store, { to: parseCount(argument, "Target migration") });
+      if (!applied.length) console.log("No pending migrations.");
+    } else if (command === "down") {
+      const reverted = await migrate.migrateDown(store, { steps: parseCount(argument, "Steps") ?? 1 });
+      if (!reverted.length) console.log("No applied migrations to revert.");
+    } else if (command === "status") {
+      await printStatus(store);
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
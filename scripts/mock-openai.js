@@ -0,0 +1,99 @@
+// Minimal stand-in for the OpenAI Responses and Chat Completions APIs so /api/generate can be
+// exercised offline.
+//
+//   node scripts/mock-openai.js            # listens on http://localhost:8788
+//   OPENAI_API_KEY=mock OPENAI_RESPONSES_URL=http://localhost:8788/v1/responses npm start
+//   LLM_PROVIDER=chat-completions CHAT_COMPLETIONS_URL=http://localhost:8788/v1/chat/completions npm start
+//
+// Prompts mentioning "face" come back as a create_art_plan call; everything else as render_rectangles.
+
+const express = require("express");
+
+const PORT = Number(process.env.MOCK_OPENAI_PORT) || 8788;
+
+const app = express();
+app.use(express.json({ limit: "1mb" }));
+
+function lastUserMessage(messages) {
+  if (!Array.isArray(messages)) return "";
+  const userMessages = messages.filter((message) => message?.role === "user");
+  const last = userMessages[userMessages.length - 1];
+  return typeof last?.content === "string" ? last.content : "";
+}
+
+function pickToolCall(prompt) {
+  if (prompt.includes("face")) {
+    return {
+      name: "create_art_plan",
+      args: {
+        colorZones: [
+          { type: "circle", x: 300, y: 200, radius: 60, color: "#000000" },
+          { type: "circle", x: 600, y: 200, radius: 60, color: "#000000" },
+          { type: "rectangle", x: 300, y: 380, width: 300, height: 60, color: "#ff0000" },
+        ],
+        rectangles: { color: "#f5d76e", count: 2000, minSize: 10, maxSize: 30 },
+      },
+    };
+  }
+
+  return {
+    name: "render_rectangles",
+    args: { color: "#1f77b4", count: 1000, minSize: 5, maxSize: 40 },
+  };
+}
+
+app.post("/v1/responses", (req, res) => {
+  if (!req.headers.authorization) {
+    return res.status(401).json({ error: { message: "Missing Authorization header." } });
+  }
+
+  const prompt = lastUserMessage(req.body?.input).toLowerCase();
+  console.log(`Mock Responses API received: "${prompt}"`);
+
+  const { name, args } = pickToolCall(prompt);
+  res.json({
+    id: `resp_mock_${Date.now()}`,
+    object: "response",
+    output: [
+      {
+        type: "function_call",
+        id: `fc_mock_${Date.now()}`,
+        call_id: `call_mock_${Date.now()}`,
+        name,
+        arguments: JSON.stringify(args),
+      },
+    ],
+  });
+});
+
+app.post("/v1/chat/completions", (req, res) => {
+  const prompt = lastUserMessage(req.body?.messages).toLowerCase();
+  console.log(`Mock Chat Completions API received: "${prompt}"`);
+
+  const { name, args } = pickToolCall(prompt);
+  res.json({
+    id: `chatcmpl_mock_${Date.now()}`,
+    object: "chat.completion",
+    choices: [
+      {
+        index: 0,
+        finish_reason: "tool_calls",
+        message: {
+          role: "assistant",
+          content: null,
+          tool_calls: [
+            {
+              id: `call_mock_${Date.now()}`,
+              type: "function",
+              function: { name, arguments: JSON.stringify(args) },
+            },
+          ],
+        },
+      },
+    ],
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OpenAI API listening on http://localhost:${PORT}/v1`);
+});
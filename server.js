@@ -1,60 +1,79 @@
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
 const dotenv = require("dotenv");
 
 dotenv.config();
 
-const PORT = Number(process.env.PORT) || 8787;
-const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 10;
+const llm = require("./server/llm");
+const render = require("./server/render");
+const historyLayout = require("./server/historyLayout");
+const historyQuery = require("./server/historyQuery");
+const storage = require("./server/storage");
+const migrate = require("./server/migrate");
+const auth = require("./server/auth");
+const placement = require("./placement");
+const rectCodec = require("./rectCodec");
 
-if (!process.env.DATABASE_URL) {
+const PORT = Number(process.env.PORT) || 8787;
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 20; // default page size
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const VISIBILITIES = ["public", "unlisted", "private"];
+const VISIBILITY_ERROR = "`visibility` must be `public`, `unlisted` or `private`.";
+const SECURE_COOKIES = process.env.NODE_ENV === "production";
+
+const llmProvider = llm.getDefaultProvider();
+console.log(`LLM provider: ${llmProvider.name} (model: ${llmProvider.model})`);
+if (!llm.isConfigured()) {
   console.warn(
-    "Warning: DATABASE_URL is not set. The server will start, but database routes will fail until it is provided."
+    `Warning: the ${llmProvider.name} provider is not configured. The server will start, but /api/generate will fail until it is.`
   );
 }
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
-});
+const store = storage.createStoreFromEnv();
+console.log(`History store: ${store.name} (${store.description})`);
+if (!store.isConfigured()) {
+  console.warn(
+    `Warning: the ${store.name} history store is not configured. The server will start, but history routes will fail until it is.`
+  );
+}
 
 const app = express();
 
-app.use(cors());
+// Session cookies need credentialed CORS, which is only offered to the page origins listed in
+// CORS_ORIGIN (comma-separated). Without it any origin may call the API, but without cookies, so
+// signing in from another origin doesn't work until the page's origin is listed.
+const corsOrigins = (process.env.CORS_ORIGIN || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors(corsOrigins.length ? { origin: corsOrigins, credentials: true } : {}));
 app.use(express.json({ limit: "1mb" }));
 
-async function ensureSchema() {
-  if (!pool.options.connectionString) {
-    console.warn("Skipping schema check: DATABASE_URL not provided.");
-    return;
-  }
-
+// Sets `req.user` ({ id, username }) from the session cookie, or null when signed out.
+async function loadSessionUser(req, res, next) {
+  req.user = null;
+  const token = auth.readSessionToken(req);
+  if (!token || !store.isConfigured()) return next();
   try {
-    await pool.query("CREATE EXTENSION IF NOT EXISTS pgcrypto;");
-    await pool.query(`CREATE TABLE IF NOT EXISTS art_history (
-      id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
-      prompt text NOT NULL,
-      result_type text NOT NULL,
-      created_at timestamptz NOT NULL DEFAULT now(),
-      config jsonb NOT NULL,
-      rectangles jsonb NOT NULL,
-      canvas_width integer NOT NULL,
-      canvas_height integer NOT NULL
-    );`);
-    await pool.query(
-      "CREATE INDEX IF NOT EXISTS art_history_created_at_idx ON art_history (created_at DESC);"
-    );
-    console.log("Database schema verified (art_history ready).");
+    req.user = await store.getSessionUser(auth.hashSessionToken(token));
+    next();
   } catch (error) {
-    console.error("Failed to ensure schema", error);
-    throw error;
+    console.error("Failed to load session", error);
+    res.status(500).json({ error: "Failed to load session." });
   }
 }
 
+app.use("/api", loadSessionUser);
+
+// Sends a 500 and returns false when the history store can't be used.
+function requireStore(res) {
+  if (store.isConfigured()) return true;
+  res.status(500).json({ error: store.configurationError || "History store is not configured." });
+  return false;
+}
+
 function validateHistoryPayload(payload) {
   if (!payload || typeof payload !== "object") {
     return "Body must be a JSON object.";
@@ -65,45 +84,79 @@ function validateHistoryPayload(payload) {
   if (typeof prompt !== "string") return "`prompt` must be a string.";
   if (typeof resultType !== "string") return "`resultType` must be a string.";
   if (!config || typeof config !== "object") return "`config` must be an object.";
-  if (!Array.isArray(rectangles)) return "`rectangles` must be an array.";
-  if (!Number.isFinite(canvasWidth)) return "`canvasWidth` must be numeric.";
-  if (!Number.isFinite(canvasHeight)) return "`canvasHeight` must be numeric.";
+  if (!Array.isArray(rectangles) && !rectCodec.isPacked(rectangles)) {
+    return "`rectangles` must be an array or a packed list.";
+  }
+  if (!historyLayout.isCanvasDimension(canvasWidth)) {
+    return `\`canvasWidth\` must be a number between 1 and ${historyLayout.MAX_CANVAS_DIMENSION}.`;
+  }
+  if (!historyLayout.isCanvasDimension(canvasHeight)) {
+    return `\`canvasHeight\` must be a number between 1 and ${historyLayout.MAX_CANVAS_DIMENSION}.`;
+  }
+
+  const { title, tags, visibility, parentId } = payload;
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return VISIBILITY_ERROR;
+  }
+  if (parentId !== undefined && parentId !== null && !validateUuid(parentId)) {
+    return "`parentId` must be a history id.";
+  }
+  if (title !== undefined && title !== null) {
+    if (typeof title !== "string") return "`title` must be a string.";
+    if (title.length > MAX_TITLE_LENGTH) {
+      return `\`title\` must be at most ${MAX_TITLE_LENGTH} characters.`;
+    }
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+      return "`tags` must be an array of strings.";
+    }
+    if (tags.length > MAX_TAGS) return `At most ${MAX_TAGS} tags are allowed.`;
+    if (tags.some((tag) => tag.trim().length > MAX_TAG_LENGTH)) {
+      return `Tags must be at most ${MAX_TAG_LENGTH} characters.`;
+    }
+  }
 
   return null;
 }
 
+// Trimmed, without empties or duplicates, in the order given.
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map((tag) => tag.trim()).filter(Boolean))];
+}
+
+// Newest first, one page at a time. Query: `limit`, `cursor` (from the previous page's
+// `nextCursor`), `q` (prompt search, every word matches as a prefix), `resultType`, `from`, `to`,
+// and `mine=1` for only the signed-in user's entries. Everyone else's private entries are left out.
 async function fetchHistory(req, res) {
-  if (!pool.options.connectionString) {
-    return res.status(500).json({ error: "DATABASE_URL is not configured." });
+  if (!requireStore(res)) return;
+
+  const query = historyQuery.parseHistoryQuery(req.query, HISTORY_LIMIT);
+  if (query.error) {
+    return res.status(400).json({ error: query.error });
+  }
+  if (query.mine && !req.user) {
+    return res.status(401).json({ error: "Sign in to see your saved art." });
   }
+  query.viewerId = req.user ? req.user.id : null;
 
   try {
-    const { rows } = await pool.query(
-      `SELECT
-        id::text AS id,
-        prompt,
-        result_type AS "resultType",
-        created_at AS "createdAt",
-        config,
-        rectangles,
-        canvas_width AS "canvasWidth",
-        canvas_height AS "canvasHeight"
-      FROM art_history
-      ORDER BY created_at DESC
-      LIMIT $1`,
-      [HISTORY_LIMIT]
-    );
-
-    res.json({ items: rows });
+    const page = await store.listEntries(query);
+    const items = await hideUnlinkedParents(page.items, query.viewerId);
+    res.json({ items, nextCursor: page.nextCursor });
   } catch (error) {
     console.error("Failed to fetch history", error);
     res.status(500).json({ error: "Failed to fetch history." });
   }
 }
 
+// Saved art always belongs to the signed-in user and is private unless `visibility` says otherwise.
+// A refinement names the entry it was refined from as `parentId`, which the user must be able to
+// open.
 async function saveHistory(req, res) {
-  if (!pool.options.connectionString) {
-    return res.status(500).json({ error: "DATABASE_URL is not configured." });
+  if (!requireStore(res)) return;
+  if (!req.user) {
+    return res.status(401).json({ error: "Sign in to save art." });
   }
 
   const validationError = validateHistoryPayload(req.body);
@@ -113,46 +166,59 @@ async function saveHistory(req, res) {
 
   const { prompt, resultType, config, rectangles, canvasWidth, canvasHeight } = req.body;
 
-  let configJson;
-  let rectanglesJson;
+  // Rows always hold the packed form (rectCodec.js), whichever form the client sent.
+  let rects;
+  try {
+    rects = historyLayout.sanitizeRectangles(rectangles);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid \`rectangles\`: ${error.message}` });
+  }
+  if (rects.length > placement.MAX_RECTANGLE_COUNT) {
+    return res.status(400).json({
+      error: `At most ${placement.MAX_RECTANGLE_COUNT} rectangles can be saved.`,
+    });
+  }
+
+  const parentId = req.body.parentId ? req.body.parentId.toLowerCase() : null;
+  if (parentId) {
+    try {
+      const parent = await store.getEntry(parentId);
+      if (!parent || !storage.isVisibleTo(parent, req.user.id)) {
+        return res.status(400).json({ error: "`parentId` must be saved art you can open." });
+      }
+    } catch (error) {
+      console.error("Failed to load the parent entry", error);
+      return res.status(500).json({ error: "Failed to save history." });
+    }
+  }
 
+  let fields;
   try {
-    configJson = JSON.stringify(config);
-    rectanglesJson = JSON.stringify(rectangles);
+    // Round-trip through JSON so every store keeps exactly what Postgres' jsonb would.
+    fields = {
+      prompt,
+      resultType,
+      // Clamped like the page's own configs, so replaying the seed stays affordable.
+      config: historyLayout.clampLayoutConfig(JSON.parse(JSON.stringify(config))),
+      rectangles: rects.length ? rectCodec.encodeRectangles(rects) : [],
+      canvasWidth: Math.round(Number(canvasWidth)),
+      canvasHeight: Math.round(Number(canvasHeight)),
+      // Copied out of config so stores can index it; seeded entries replay from it.
+      seed: Number.isInteger(config.seed) && config.seed >= 0 ? config.seed : null,
+      title: typeof req.body.title === "string" ? req.body.title.trim() || null : null,
+      tags: normalizeTags(req.body.tags),
+      ownerId: req.user.id,
+      visibility: req.body.visibility || "private",
+      parentId,
+    };
   } catch (stringifyError) {
     console.error("Failed to stringify history payload", stringifyError);
     return res.status(400).json({ error: "Unable to serialize history payload." });
   }
 
-  const insertSql = `INSERT INTO art_history (
-    prompt,
-    result_type,
-    config,
-    rectangles,
-    canvas_width,
-    canvas_height
-  ) VALUES ($1, $2, $3::jsonb, $4::jsonb, $5, $6)
-  RETURNING
-    id::text AS id,
-    prompt,
-    result_type AS "resultType",
-    created_at AS "createdAt",
-    config,
-    rectangles,
-    canvas_width AS "canvasWidth",
-    canvas_height AS "canvasHeight";`;
-
-  try {
-    const { rows } = await pool.query(insertSql, [
-      prompt,
-      resultType,
-      configJson,
-      rectanglesJson,
-      Math.round(Number(canvasWidth)),
-      Math.round(Number(canvasHeight)),
-    ]);
-
-    res.status(201).json({ item: rows[0] });
+  try {
+    const item = await store.createEntry(fields);
+    res.status(201).json({ item });
   } catch (error) {
     console.error("Failed to save history", error);
     res.status(500).json({ error: "Failed to save history." });
@@ -160,22 +226,142 @@ async function saveHistory(req, res) {
 }
 
 function validateUuid(value) {
-  return typeof value === "string" && /^[0-9a-fA-F-]{36}$/.test(value);
+  return typeof value === "string" && historyQuery.UUID_PATTERN.test(value);
 }
 
-async function deleteHistory(req, res) {
-  if (!pool.options.connectionString) {
-    return res.status(500).json({ error: "DATABASE_URL is not configured." });
+// One entry by id, for permalinks. Unlisted entries open for anyone with the id; private ones
+// only for their owner, and look missing to everyone else.
+async function getHistoryEntry(req, res) {
+  if (!requireStore(res)) return;
+
+  const { id } = req.params;
+  if (!validateUuid(id)) {
+    return res.status(400).json({ error: "Invalid history id." });
+  }
+
+  try {
+    const item = await store.getEntry(id);
+    if (!item || !storage.isVisibleTo(item, req.user && req.user.id)) {
+      return res.status(404).json({ error: "History entry not found." });
+    }
+    const [visible] = await hideUnlinkedParents([item], req.user && req.user.id);
+    res.json({ item: visible });
+  } catch (error) {
+    console.error("Failed to fetch history entry", error);
+    res.status(500).json({ error: "Failed to fetch history entry." });
   }
+}
+
+const MAX_REVISION_DEPTH = 50;
+
+// Whether a refinement may lead `viewerId` to `parent`. Unlisted art only opens by its link, so
+// like private art it is only reachable through someone's refinements for its owner.
+function canFollowToParent(parent, viewerId) {
+  return parent.visibility === "public" || (!!viewerId && parent.ownerId === viewerId);
+}
+
+// `items` with `parentId` cleared where the viewer may not follow it, so a public refinement
+// doesn't give away the id of the unlisted or private art it was made from.
+async function hideUnlinkedParents(items, viewerId) {
+  const parents = new Map();
+  return Promise.all(
+    items.map(async (item) => {
+      if (!item.parentId) return item;
+      if (!parents.has(item.parentId)) parents.set(item.parentId, store.getEntry(item.parentId));
+      const parent = await parents.get(item.parentId);
+      return parent && canFollowToParent(parent, viewerId) ? item : { ...item, parentId: null };
+    })
+  );
+}
+
+// The revision chain that ends at an entry, oldest first, following `parentId`. The walk stops
+// at a parent that was deleted or that the viewer may not be led to (see canFollowToParent), and
+// after MAX_REVISION_DEPTH steps.
+async function getHistoryRevisions(req, res) {
+  if (!requireStore(res)) return;
 
   const { id } = req.params;
   if (!validateUuid(id)) {
     return res.status(400).json({ error: "Invalid history id." });
   }
 
+  const viewerId = req.user && req.user.id;
+  try {
+    let item = await store.getEntry(id);
+    if (!item || !storage.isVisibleTo(item, viewerId)) {
+      return res.status(404).json({ error: "History entry not found." });
+    }
+
+    const items = [item];
+    const seen = new Set([item.id]);
+    while (item.parentId && !seen.has(item.parentId) && items.length < MAX_REVISION_DEPTH) {
+      item = await store.getEntry(item.parentId);
+      if (!item || !canFollowToParent(item, viewerId)) break;
+      seen.add(item.id);
+      items.unshift(item);
+    }
+    res.json({ items: await hideUnlinkedParents(items, viewerId) });
+  } catch (error) {
+    console.error("Failed to fetch history revisions", error);
+    res.status(500).json({ error: "Failed to fetch history revisions." });
+  }
+}
+
+// Loads an entry for a route that changes it. Sends 400/401/403/404 itself and returns null
+// unless the signed-in user owns the entry. Entries the user can't see are reported as missing.
+async function loadOwnedEntry(req, res) {
+  const { id } = req.params;
+  if (!validateUuid(id)) {
+    res.status(400).json({ error: "Invalid history id." });
+    return null;
+  }
+  if (!req.user) {
+    res.status(401).json({ error: "Sign in to change saved art." });
+    return null;
+  }
+
+  const entry = await store.getEntry(id);
+  if (!entry || !storage.isVisibleTo(entry, req.user.id)) {
+    res.status(404).json({ error: "History entry not found." });
+    return null;
+  }
+  if (entry.ownerId !== req.user.id) {
+    res.status(403).json({ error: "Only the owner can change this entry." });
+    return null;
+  }
+  return entry;
+}
+
+async function updateHistory(req, res) {
+  if (!requireStore(res)) return;
+
+  const visibility = req.body && req.body.visibility;
+  if (!VISIBILITIES.includes(visibility)) {
+    return res.status(400).json({ error: VISIBILITY_ERROR });
+  }
+
+  try {
+    const entry = await loadOwnedEntry(req, res);
+    if (!entry) return;
+    const item = await store.setEntryVisibility(entry.id, visibility);
+    if (!item) {
+      return res.status(404).json({ error: "History entry not found." });
+    }
+    res.json({ item });
+  } catch (error) {
+    console.error("Failed to update history", error);
+    res.status(500).json({ error: "Failed to update history." });
+  }
+}
+
+async function deleteHistory(req, res) {
+  if (!requireStore(res)) return;
+
   try {
-    const { rowCount } = await pool.query("DELETE FROM art_history WHERE id = $1", [id]);
-    if (rowCount === 0) {
+    const entry = await loadOwnedEntry(req, res);
+    if (!entry) return;
+    const deleted = await store.deleteEntry(entry.id);
+    if (!deleted) {
       return res.status(404).json({ error: "History entry not found." });
     }
     res.json({ ok: true });
@@ -185,9 +371,268 @@ async function deleteHistory(req, res) {
   }
 }
 
+function parseImageDimension(value) {
+  if (value === undefined || value === "") return undefined;
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : null;
+}
+
+// Query options shared by the image routes: `width`/`height` (pixels, aspect kept when only one
+// is given), `guides=0` to leave out the zone guides, and for PNGs `background` (hex color or
+// `transparent`, white by default).
+function parseImageQuery(query) {
+  const width = parseImageDimension(query.width);
+  const height = parseImageDimension(query.height);
+  if (width === null || height === null) {
+    return { error: "`width` and `height` must be positive integers." };
+  }
+
+  const guides = typeof query.guides === "string" ? query.guides.toLowerCase() : "";
+  const includeZoneGuides = guides !== "0" && guides !== "false";
+
+  let background = "#ffffff";
+  if (typeof query.background === "string" && query.background) {
+    const value = query.background.trim().toLowerCase();
+    if (value === "transparent") {
+      background = null;
+    } else if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/.test(value)) {
+      background = value.startsWith("#") ? value : `#${value}`;
+    } else {
+      return { error: "`background` must be a hex color or `transparent`." };
+    }
+  }
+
+  return { width, height, includeZoneGuides, background };
+}
+
+// Shared front half of the image routes: validate, load the entry and resolve its layout.
+// Sends the error response itself and returns null when the image can't be rendered.
+async function loadImageLayout(req, res) {
+  if (!requireStore(res)) return null;
+
+  const { id } = req.params;
+  if (!validateUuid(id)) {
+    res.status(400).json({ error: "Invalid history id." });
+    return null;
+  }
+
+  const options = parseImageQuery(req.query);
+  if (options.error) {
+    res.status(400).json({ error: options.error });
+    return null;
+  }
+
+  const entry = await store.getEntry(id);
+  if (!entry || !storage.isVisibleTo(entry, req.user && req.user.id)) {
+    res.status(404).json({ error: "History entry not found." });
+    return null;
+  }
+
+  try {
+    return { entry, layout: await render.resolveLayout(entry), options };
+  } catch (error) {
+    if (!(error instanceof render.LayoutUnavailableError)) throw error;
+    res.status(error.statusCode).json({ error: error.message });
+    return null;
+  }
+}
+
+// Only public images may land in shared caches, and only for a minute before they revalidate
+// against the ETag, so an entry made private soon stops being served from them.
+function imageCacheControl(entry) {
+  return entry.visibility === "public"
+    ? "public, max-age=60, must-revalidate"
+    : "private, max-age=3600";
+}
+
+async function historyImagePng(req, res) {
+  try {
+    const loaded = await loadImageLayout(req, res);
+    if (!loaded) return;
+    const { entry, layout, options } = loaded;
+
+    const size = render.resolveImageSize(layout, options.width, options.height);
+    if (!size) {
+      return res.status(400).json({
+        error: `Image size must be between 1 and ${render.MAX_IMAGE_DIMENSION} pixels per side.`,
+      });
+    }
+
+    const png = await render.renderPng(layout, size, options);
+    res.set("Cache-Control", imageCacheControl(entry));
+    res.type("png").send(png);
+  } catch (error) {
+    console.error("Failed to render history image", error);
+    res.status(500).json({ error: "Failed to render history image." });
+  }
+}
+
+async function historyImageSvg(req, res) {
+  try {
+    const loaded = await loadImageLayout(req, res);
+    if (!loaded) return;
+    const { entry, layout, options } = loaded;
+
+    const svg = render.renderSvg(layout, {
+      includeZoneGuides: options.includeZoneGuides,
+      title: entry.prompt,
+    });
+    res.set("Cache-Control", imageCacheControl(entry));
+    res.type("image/svg+xml").send(svg);
+  } catch (error) {
+    console.error("Failed to render history image", error);
+    res.status(500).json({ error: "Failed to render history image." });
+  }
+}
+
+function publicUser(user) {
+  return { id: user.id, username: user.username };
+}
+
+async function startSession(res, user) {
+  const token = auth.newSessionToken();
+  await store.createSession({
+    tokenHash: auth.hashSessionToken(token),
+    userId: user.id,
+    expiresAt: auth.sessionExpiry(),
+  });
+  res.set("Set-Cookie", auth.sessionCookie(token, { secure: SECURE_COOKIES }));
+}
+
+async function register(req, res) {
+  if (!requireStore(res)) return;
+
+  const username = auth.normalizeUsername(req.body && req.body.username);
+  const password = req.body && req.body.password;
+  const validationError = auth.validateCredentials(username, password);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const user = await store.createUser({
+      username,
+      passwordHash: await auth.hashPassword(password),
+    });
+    if (!user) {
+      return res.status(409).json({ error: "That username is taken." });
+    }
+    await startSession(res, user);
+    res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    console.error("Failed to register", error);
+    res.status(500).json({ error: "Failed to create the account." });
+  }
+}
+
+async function login(req, res) {
+  if (!requireStore(res)) return;
+
+  const username = auth.normalizeUsername(req.body && req.body.username);
+  const password = req.body && req.body.password;
+  if (!username || typeof password !== "string") {
+    return res.status(400).json({ error: "`username` and `password` are required." });
+  }
+
+  try {
+    const user = await store.findUserByUsername(username);
+    const passwordHash = user ? user.passwordHash : await auth.dummyPasswordHash();
+    const valid = await auth.verifyPassword(password, passwordHash);
+    if (!user || !valid) {
+      return res.status(401).json({ error: "Wrong username or password." });
+    }
+    await startSession(res, user);
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    console.error("Failed to log in", error);
+    res.status(500).json({ error: "Failed to sign in." });
+  }
+}
+
+async function logout(req, res) {
+  if (!requireStore(res)) return;
+
+  try {
+    const token = auth.readSessionToken(req);
+    if (token) await store.deleteSession(auth.hashSessionToken(token));
+    res.set("Set-Cookie", auth.clearedSessionCookie({ secure: SECURE_COOKIES }));
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Failed to log out", error);
+    res.status(500).json({ error: "Failed to sign out." });
+  }
+}
+
+function currentUser(req, res) {
+  res.json({ user: req.user ? publicUser(req.user) : null });
+}
+
+function validateGeneratePayload(payload) {
+  if (!payload || typeof payload !== "object") {
+    return "Body must be a JSON object.";
+  }
+
+  const { prompt, canvasWidth, canvasHeight, currentConfig } = payload;
+
+  if (typeof prompt !== "string" || !prompt.trim()) return "`prompt` must be a non-empty string.";
+  if (
+    currentConfig !== undefined &&
+    currentConfig !== null &&
+    (typeof currentConfig !== "object" || Array.isArray(currentConfig))
+  ) {
+    return "`currentConfig` must be an object.";
+  }
+  if (!historyLayout.isCanvasDimension(canvasWidth)) {
+    return `\`canvasWidth\` must be a number between 1 and ${historyLayout.MAX_CANVAS_DIMENSION}.`;
+  }
+  if (!historyLayout.isCanvasDimension(canvasHeight)) {
+    return `\`canvasHeight\` must be a number between 1 and ${historyLayout.MAX_CANVAS_DIMENSION}.`;
+  }
+
+  return null;
+}
+
+async function generateArt(req, res) {
+  const validationError = validateGeneratePayload(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { prompt, canvasWidth, canvasHeight, currentConfig } = req.body;
+
+  try {
+    // With `currentConfig` (what the page is showing) the prompt is a follow-up that edits it.
+    const result = currentConfig
+      ? await llm.refinePrompt(
+          prompt.trim(),
+          currentConfig,
+          Math.round(canvasWidth),
+          Math.round(canvasHeight)
+        )
+      : await llm.processPrompt(prompt.trim(), Math.round(canvasWidth), Math.round(canvasHeight));
+    res.json(result);
+  } catch (error) {
+    console.error("Failed to generate art", error);
+    const status = error instanceof llm.GenerationError ? error.statusCode : 500;
+    res.status(status).json({ error: error.message || "Failed to generate art." });
+  }
+}
+
+app.post("/api/generate", generateArt);
+
+app.post("/api/auth/register", register);
+app.post("/api/auth/login", login);
+app.post("/api/auth/logout", logout);
+app.get("/api/auth/me", currentUser);
+
 app.get("/api/history", fetchHistory);
 app.post("/api/history", saveHistory);
+app.get("/api/history/:id", getHistoryEntry);
+app.get("/api/history/:id/revisions", getHistoryRevisions);
+app.patch("/api/history/:id", updateHistory);
 app.delete("/api/history/:id", deleteHistory);
+app.get("/api/history/:id/image.png", historyImagePng);
+app.get("/api/history/:id/image.svg", historyImageSvg);
 
 app.get("/api/health", (req, res) => {
   res.json({ ok: true, timestamp: Date.now() });
@@ -199,14 +644,25 @@ app.use((req, res) => {
 
 async function startServer() {
   try {
-    await ensureSchema();
-    app.listen(PORT, () => {
-      console.log(`Neon history server listening on http://localhost:${PORT}`);
-    });
+    await store.init();
+    // Never serve against a schema older than the code expects.
+    if (store.isConfigured()) await migrate.assertUpToDate(store);
   } catch (error) {
-    console.error("Server failed to start due to schema initialization error.");
+    if (error instanceof migrate.PendingMigrationsError) {
+      console.error(`Server failed to start: ${error.message}`);
+    } else {
+      console.error("Server failed to start: the history store could not be initialized.", error);
+    }
     process.exit(1);
   }
+
+  app.listen(PORT, () => {
+    console.log(`Rectangle Joy server listening on http://localhost:${PORT}`);
+  });
+}
+
+if (require.main === module) {
+  startServer();
 }
 
-startServer();
+module.exports = { app, startServer };
@@ -0,0 +1,129 @@
+// Local accounts: scrypt password hashes and opaque session tokens carried in an HttpOnly cookie.
+// Only a SHA-256 of each token is stored, so a leaked database can't be replayed as sessions.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "rj_session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+// Stored as `scrypt$N$r$p$salt$hash` so the cost can be raised later without breaking old hashes.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+
+function normalizeUsername(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+// Returns an error message, or null when the pair is acceptable for a new account.
+function validateCredentials(username, password) {
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Username must be 3-32 characters: letters, digits, `_`, `.` or `-`.";
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const key = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !hash || typeof password !== "string") return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// A hash to compare against when the username doesn't exist, so failed logins take the same
+// time either way.
+let dummyHashPromise = null;
+function dummyPasswordHash() {
+  if (!dummyHashPromise) dummyHashPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+  return dummyHashPromise;
+}
+
+function newSessionToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + SESSION_TTL_MS);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that aren't valid percent-encoding.
+    }
+  }
+  return cookies;
+}
+
+function readSessionToken(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  return token && /^[A-Za-z0-9_-]{20,100}$/.test(token) ? token : null;
+}
+
+function sessionCookie(token, { secure }) {
+  return [
+    `${SESSION_COOKIE}=${token}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Lax",
+    `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`,
+    secure ? "Secure" : null,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+function clearedSessionCookie({ secure }) {
+  return [`${SESSION_COOKIE}=`, "Path=/", "HttpOnly", "SameSite=Lax", "Max-Age=0", secure ? "Secure" : null]
+    .filter(Boolean)
+    .join("; ");
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  normalizeUsername,
+  validateCredentials,
+  hashPassword,
+  verifyPassword,
+  dummyPasswordHash,
+  newSessionToken,
+  hashSessionToken,
+  sessionExpiry,
+  readSessionToken,
+  sessionCookie,
+  clearedSessionCookie,
+};
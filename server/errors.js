@@ -0,0 +1,10 @@
+// Errors raised while talking to a model carry the HTTP status the route should answer with.
+class GenerationError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = "GenerationError";
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = { GenerationError };
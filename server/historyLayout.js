@@ -0,0 +1,59 @@
+// Limits on what a saved entry's layout may ask of the server. Saving and rendering both go
+// through here, so a row that was accepted is always one the renderer is willing to regenerate.
+
+const placement = require("../placement");
+const rectCodec = require("../rectCodec");
+
+const MAX_CANVAS_DIMENSION = 10000; // per side, in CSS pixels of the page that placed the layout
+
+// Same bounds and defaults as sanitizeConfig() in rects.js, so the server places exactly what the
+// page would for the same config.
+const COUNT_RANGE = { min: 500, max: placement.MAX_RECTANGLE_COUNT, fallback: 1000 };
+const MIN_SIZE_RANGE = { min: 5, max: 30, fallback: 5 };
+const MAX_SIZE_RANGE = { min: 10, max: 50, fallback: 50 };
+
+function clampNumber(value, range, fallback = range.fallback) {
+  const num = Number(value);
+  if (value === null || value === "" || !Number.isFinite(num)) return fallback;
+  return Math.min(range.max, Math.max(range.min, Math.round(num)));
+}
+
+// Canvas sizes are rounded to whole pixels before use, so check the rounded value.
+function isCanvasDimension(value) {
+  if (!Number.isFinite(value)) return false;
+  const rounded = Math.round(value);
+  return rounded >= 1 && rounded <= MAX_CANVAS_DIMENSION;
+}
+
+// `config` with `count`, `minSize` and `maxSize` clamped; every other field is kept as it is.
+function clampLayoutConfig(config) {
+  const minSize = clampNumber(config.minSize, MIN_SIZE_RANGE);
+  const maxSize = Math.max(
+    minSize,
+    clampNumber(config.maxSize, MAX_SIZE_RANGE, Math.max(MAX_SIZE_RANGE.fallback, minSize))
+  );
+  return { ...config, count: clampNumber(config.count, COUNT_RANGE), minSize, maxSize };
+}
+
+// Packed (rectCodec.js) or plain rectangles as plain { x, y, w, h } objects, leaving out any
+// without four finite numbers. Throws when a packed list is malformed.
+function sanitizeRectangles(rectangles) {
+  const cleaned = [];
+  for (const rect of rectCodec.decodeRectangles(rectangles)) {
+    if (!rect || typeof rect !== "object") continue;
+    const x = Number(rect.x);
+    const y = Number(rect.y);
+    const w = Number(rect.w);
+    const h = Number(rect.h);
+    if (![x, y, w, h].every(Number.isFinite)) continue;
+    cleaned.push({ x, y, w, h });
+  }
+  return cleaned;
+}
+
+module.exports = {
+  MAX_CANVAS_DIMENSION,
+  isCanvasDimension,
+  clampLayoutConfig,
+  sanitizeRectangles,
+};
@@ -0,0 +1,100 @@
+// Query parsing for `GET /api/history`: page size, opaque cursors, prompt search and filters.
+
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_TOKENS = 8;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Entry ids are UUIDs in the canonical 8-4-4-4-12 form.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Postgres timestamptz text, e.g. "2025-01-31 18:04:05.123456+00".
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/;
+
+// Cursors point at the last row of a page as [createdAt, id]. `createdAt` is the database's own
+// text form of the timestamp so no precision is lost on the way through JavaScript.
+function encodeCursor(createdAt, id) {
+  return Buffer.from(JSON.stringify([createdAt, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (
+      Array.isArray(parsed) &&
+      parsed.length === 2 &&
+      typeof parsed[0] === "string" &&
+      TIMESTAMP_PATTERN.test(parsed[0]) &&
+      typeof parsed[1] === "string" &&
+      UUID_PATTERN.test(parsed[1])
+    ) {
+      return { createdAt: parsed[0], id: parsed[1] };
+    }
+  } catch (error) {
+    // Fall through to the invalid-cursor result.
+  }
+  return null;
+}
+
+// Lower-cased words of a search string. Every token must prefix a word of the prompt to match.
+function tokenizeSearch(text) {
+  const tokens = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return tokens ? [...new Set(tokens)].slice(0, MAX_SEARCH_TOKENS) : [];
+}
+
+// Parse a `from`/`to` bound. Date-only values cover the whole (UTC) day, so `to=2025-01-31`
+// includes everything created on the 31st.
+function parseDateBound(value, isUpperBound) {
+  if (typeof value !== "string" || !value.trim()) return undefined;
+  const trimmed = value.trim();
+  const time = Date.parse(trimmed);
+  if (Number.isNaN(time)) return null;
+  if (isUpperBound && DATE_ONLY_PATTERN.test(trimmed)) {
+    return { date: new Date(time + DAY_MS), inclusive: false };
+  }
+  return { date: new Date(time), inclusive: true };
+}
+
+// Returns `{ error }` or `{ limit, cursor, tokens, resultType, from, to }`.
+function parseHistoryQuery(query, defaultLimit) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `\`limit\` must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+  }
+  limit = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+
+  let cursor = null;
+  if (typeof query.cursor === "string" && query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid `cursor`." };
+  }
+
+  const tokens = tokenizeSearch(typeof query.q === "string" ? query.q : "");
+
+  let resultType = null;
+  if (typeof query.resultType === "string" && query.resultType.trim()) {
+    resultType = query.resultType.trim();
+    if (resultType.length > 64) return { error: "`resultType` is too long." };
+  }
+
+  const from = parseDateBound(query.from, false);
+  const to = parseDateBound(query.to, true);
+  if (from === null) return { error: "`from` must be a date such as 2025-01-31." };
+  if (to === null) return { error: "`to` must be a date such as 2025-01-31." };
+
+  const mine = query.mine === "1" || query.mine === "true";
+
+  return { limit, cursor, tokens, resultType, from: from || null, to: to || null, mine };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  UUID_PATTERN,
+  encodeCursor,
+  decodeCursor,
+  tokenizeSearch,
+  parseHistoryQuery,
+};
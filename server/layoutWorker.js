@@ -0,0 +1,10 @@
+// Regenerates a seeded layout for render.js on a worker thread, so placement never blocks the
+// server's event loop. render.js terminates the worker when it runs past its time budget.
+
+const { parentPort, workerData } = require("worker_threads");
+const placement = require("../placement");
+
+const { width, height, count, minSize, maxSize, options } = workerData;
+parentPort.postMessage(
+  placement.generateRectangles(width, height, count, minSize, maxSize, options)
+);
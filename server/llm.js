@@ -0,0 +1,985 @@
+const { GenerationError } = require("./errors");
+const { createProviderFromEnv } = require("./providers");
+const refine = require("./refine");
+const palettes = require("../palettes");
+const placement = require("../placement");
+const rectStyle = require("../rectStyle");
+const zoneShapes = require("../zoneShapes");
+
+const AGENT_SYSTEM_PROMPT = [
+  "You translate natural-language prompts into rectangle generation settings.",
+  'Respond with valid JSON matching: { "color": string, "count": number, "minSize": number, "maxSize": number }.',
+  "Rules:",
+  "- color: CSS hex string (#rrggbb).",
+  "- count: integer 500-50000.",
+  "- minSize: integer 5-30.",
+  "- maxSize: integer 10-50 and >= minSize.",
+  `- palette (optional): { "name": one of ${palettes.PALETTE_NAMES.join(", ")}, or "colors": [hex, ...], optional "weights" (one per color), "mode": random, position (a gradient across the canvas, with "angle") or size }, for prompts asking for several colors such as "warm autumn palette".`,
+  `- style (optional): { "strokeColor": hex, "strokeWidth": 0-${rectStyle.MAX_STROKE_WIDTH}, "cornerRadius": 0-${rectStyle.MAX_CORNER_RADIUS}, "opacityMin"/"opacityMax": ${rectStyle.MIN_OPACITY}-1, "rotation": 0-${rectStyle.MAX_ROTATION} degrees, "shadowColor": hex with optional "shadowOpacity", "shadowBlur", "shadowOffsetX", "shadowOffsetY" }, for how each rectangle looks: "rounded" → cornerRadius, "outlined" → strokeColor, "hand-drawn" or "tilted" → rotation, "soft" or "translucent" → opacityMin below 1, "shadows" or "floating" → shadowColor. Omit it for plain solid rectangles.`,
+  `- layout (optional): one of ${placement.LAYOUTS.join(", ")}. subdivision for Mondrian-style blocks, grid for tiles, poisson for evenly spaced, spiral for spirals, nested for boxes in boxes; omit for scattered rectangles.`,
+  "Omitted values should fall back to sensible defaults within range.",
+].join(" ");
+
+const ART_PLANNER_SYSTEM_PROMPT = [
+  "You are a Simple Concept-to-Art Planner. Translate user prompts into basic geometric shapes using color zones.",
+  'Respond with valid JSON matching: { "colorZones": [{"type": "circle|ellipse|rectangle|polygon|linearGradient|radialGradient", "x"?: number, "y"?: number, "radius"?: number, "radiusX"?: number, "radiusY"?: number, "width"?: number, "height"?: number, "angle"?: number, "points"?: [{"x": number, "y": number}], "color": string, "color2"?: string, "zIndex"?: number, "blend"?: "replace|multiply|screen|mix", "opacity"?: number, "softness"?: number, "coverage"?: "center|area", "density"?: number, "minSize"?: number, "maxSize"?: number, "exclude"?: boolean}], "rectangles": {"color": string, "count": number, "minSize": number, "maxSize": number} }.',
+  "Process:",
+  "1. Identify the core concept in the prompt",
+  "2. Choose appropriate zone types: circles and ellipses for organic shapes (eyes, sun, petals, leaves), rectangles for structured elements (buildings, screens, frames), polygons for anything angular (roofs, mountains, stars), gradients for skies, water and glows",
+  "3. Create multiple overlapping zones to ensure the shape is clearly visible",
+  "Rules:",
+  "- colorZones: Array of zones. circle: x,y=center, radius. ellipse: x,y=center, radiusX, radiusY, optional angle. rectangle: x,y=top-left corner, width, height, optional angle (rotates it around its center). polygon: points (3 or more corners, no x,y). linearGradient: x,y,width,height like a rectangle, color blends into color2 along angle (0=left to right, 90=top to bottom). radialGradient: x,y=center, radius, color at the center blends into color2 at the edge. Angles are degrees clockwise.",
+  "- rectangles.color: Default CSS hex string for background rectangles.",
+  "- rectangles.count: integer 1000-50000.",
+  "- rectangles.minSize: integer 10-30, rectangles.maxSize: integer 20-50.",
+  "- Use 8-16 zones per concept for clear definition.",
+  "- Zone sizes should be 15-30% of canvas width for visibility.",
+  "- Combine zone shapes strategically for best representation. Where zones overlap, the one with the higher zIndex is on top; with equal zIndex (the default 0), the zone listed first is on top, so list details before the shapes behind them.",
+  "- Layering (all optional): blend=multiply darkens what is below (shadows), screen lightens it (highlights, glows), mix lays the color over it at opacity (default 0.5); opacity 0-1 fades any zone; softness=N feathers its edge over N pixels; coverage=area colors rectangles by how much of them the zone covers rather than by their center. Leave them out for crisp, solid shapes.",
+  "- Texture (all optional): zones can also shape where rectangles go. density=3 packs three times as many rectangles into the zone as elsewhere (0-10, 0 leaves it bare), minSize/maxSize give it its own rectangle sizes (small ones read as fine detail), exclude=true keeps it empty so the shape shows as a hole. Use them on the main subject so it reads through texture as well as color.",
+  "Concept Mappings:",
+  "- 'tree': Brown rectangular trunk at (45%W,60%H) size=10%W×30%H + 3-4 overlapping green circular leaf zones at (50%W,35%H) radius=25%W",
+  "- 'house': Brown rectangular base at (25%W,50%H) size=50%W×30%H + red triangular roof as a polygon with points (23%W,50%H), (77%W,50%H), (50%W,25%H) + yellow rectangular windows",
+  "- 'building/skyscraper': Large gray rectangular base + smaller rectangular windows in grid pattern",
+  "- 'happy face': 2 black circular eye zones at (35%W,40%H) and (65%W,40%H) radius=8%W + 1 red circular smile zone at (50%W,65%H) radius=15%W",
+  "- 'traffic light': Black rectangular frame at (45%W,30%H) size=10%W×30%H + 3 circular lights (red, yellow, green) vertically stacked inside",
+  "- 'computer/screen': Dark rectangular frame + lighter rectangular screen area inside",
+  "- 'sun': 1 large yellow circular zone at (50%W,50%H) radius=25%W + 8 smaller yellow rectangular ray zones extending outward",
+  "- 'sunset': Orange radialGradient sun at (50%W,65%H) radius=15%W fading to red, softness=4%W + linearGradient sky over the whole canvas, angle=90, from purple (#7b2cbf) to orange (#f77f00)",
+  "- 'car': Blue rectangular body zone at (25%W,55%H) size=50%W×15%H + 2 black circular wheel zones at (30%W,75%H) and (70%W,75%H) radius=8%W",
+  "- Use contrasting colors against light yellow background: black (#000000), red (#ff0000), blue (#0000ff), green (#00ff00), brown (#8B4513), gray (#808080).",
+  "- CANVAS_SIZE_PLACEHOLDER",
+].join(" ");
+
+// How the model should pick `layout` (placement.js) from the wording of a prompt.
+const LAYOUT_DESCRIPTION =
+  "How the rectangles are arranged. random: scattered (the default). subdivision: blocks that tile the canvas, for 'Mondrian', 'treemap' or 'blocks'. grid: jittered rows and columns, for 'grid', 'tiles' or 'mosaic'. poisson: evenly spread without rows, for 'even', 'evenly spaced' or 'stippled'. spiral: a sunflower spiral out from the center, for 'spiral', 'radial' or 'sunflower'. nested: rectangles inside rectangles, for 'nested' or 'boxes in boxes'. Omit when the prompt doesn't ask for an arrangement";
+
+const LAYOUT_PROPERTY = {
+  type: "string",
+  enum: placement.LAYOUTS,
+  description: LAYOUT_DESCRIPTION,
+};
+
+const HEX_COLOR_SCHEMA = { type: "string", pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$" };
+
+const PALETTE_PROPERTY = {
+  type: "object",
+  properties: {
+    name: {
+      type: "string",
+      enum: palettes.PALETTE_NAMES,
+      description: "A named palette, e.g. autumn for 'warm autumn colors'",
+    },
+    colors: {
+      type: "array",
+      items: HEX_COLOR_SCHEMA,
+      minItems: 1,
+      maxItems: palettes.MAX_PALETTE_COLORS,
+      description: "Own hex colors instead of a named palette",
+    },
+    weights: {
+      type: "array",
+      items: { type: "number", minimum: 0 },
+      description: "How often each color is picked in random mode, one per color",
+    },
+    mode: {
+      type: "string",
+      enum: palettes.PALETTE_MODES,
+      description:
+        "random: weighted random picks (the default). position: a gradient through the colors across the canvas. size: small rectangles get the first colors, large ones the last",
+    },
+    angle: {
+      type: "number",
+      minimum: 0,
+      maximum: 360,
+      description: "Direction of a position gradient in degrees: 0 left to right, 90 top to bottom",
+    },
+  },
+  additionalProperties: false,
+  description:
+    "Several colors for the rectangles instead of the single `color`. Zones still color the rectangles they cover",
+};
+
+const STYLE_PROPERTY = {
+  type: "object",
+  properties: {
+    strokeColor: {
+      ...HEX_COLOR_SCHEMA,
+      description: "Outline color, drawn just inside each rectangle's edge",
+    },
+    strokeWidth: {
+      type: "number",
+      minimum: 0,
+      maximum: rectStyle.MAX_STROKE_WIDTH,
+      description: "Outline width in pixels (default 1)",
+    },
+    cornerRadius: {
+      type: "number",
+      minimum: 0,
+      maximum: rectStyle.MAX_CORNER_RADIUS,
+      description: "Corner rounding in pixels, e.g. 4 for 'rounded tiles'",
+    },
+    opacityMin: {
+      type: "number",
+      minimum: rectStyle.MIN_OPACITY,
+      maximum: 1,
+      description:
+        "Lowest rectangle opacity; each rectangle gets one between opacityMin and opacityMax",
+    },
+    opacityMax: {
+      type: "number",
+      minimum: rectStyle.MIN_OPACITY,
+      maximum: 1,
+      description: "Highest rectangle opacity (default 1)",
+    },
+    rotation: {
+      type: "number",
+      minimum: 0,
+      maximum: rectStyle.MAX_ROTATION,
+      description:
+        "Each rectangle is turned by up to this many degrees either way, e.g. 4 for 'hand-drawn' or 'tilted'",
+    },
+    shadowColor: { ...HEX_COLOR_SCHEMA, description: "Drop shadow color; omit for no shadow" },
+    shadowOpacity: { type: "number", minimum: 0, maximum: 1, description: "Default 0.35" },
+    shadowBlur: {
+      type: "number",
+      minimum: 0,
+      maximum: rectStyle.MAX_SHADOW_BLUR,
+      description: "Shadow blur in pixels (default 4)",
+    },
+    shadowOffsetX: {
+      type: "number",
+      minimum: -rectStyle.MAX_SHADOW_OFFSET,
+      maximum: rectStyle.MAX_SHADOW_OFFSET,
+      description: "Shadow offset to the right in pixels (default 2)",
+    },
+    shadowOffsetY: {
+      type: "number",
+      minimum: -rectStyle.MAX_SHADOW_OFFSET,
+      maximum: rectStyle.MAX_SHADOW_OFFSET,
+      description: "Shadow offset downwards in pixels (default 2)",
+    },
+  },
+  additionalProperties: false,
+  description:
+    "How each rectangle is drawn beyond its color: outlines, rounded corners, varying opacity, small rotations and drop shadows. Omit for plain solid rectangles",
+};
+
+// Tool definitions for multi-agent system (Responses API format)
+const RECTANGLE_TOOL = {
+  type: "function",
+  name: "render_rectangles",
+  description:
+    "Generate basic rectangles with specified color, count, and size parameters",
+  parameters: {
+    type: "object",
+    properties: {
+      color: {
+        type: "string",
+        pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+        description: "CSS hex color string (#rrggbb)",
+      },
+      count: {
+        type: "integer",
+        minimum: 500,
+        maximum: 50000,
+        description: "Number of rectangles to generate",
+      },
+      minSize: {
+        type: "integer",
+        minimum: 5,
+        maximum: 30,
+        description: "Minimum rectangle size in pixels",
+      },
+      maxSize: {
+        type: "integer",
+        minimum: 10,
+        maximum: 50,
+        description: "Maximum rectangle size in pixels",
+      },
+      seed: {
+        type: "integer",
+        minimum: 0,
+        maximum: 4294967295,
+        description:
+          "Optional layout seed. The same seed, settings and canvas size always reproduce the same layout; omit for a fresh random layout",
+      },
+      layout: LAYOUT_PROPERTY,
+      palette: PALETTE_PROPERTY,
+      style: STYLE_PROPERTY,
+    },
+    required: ["color", "count", "minSize", "maxSize"],
+    additionalProperties: false,
+  },
+};
+
+const ART_PLANNER_TOOL = {
+  type: "function",
+  name: "create_art_plan",
+  description:
+    "Create artistic layouts with color zones and strategic rectangle placement for recognizable patterns, shapes, or artwork",
+  parameters: {
+    type: "object",
+    properties: {
+      colorZones: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: zoneShapes.ZONE_TYPES,
+              description:
+                "Zone shape: circle, ellipse, rectangle (optionally rotated), polygon, or a linearGradient/radialGradient that blends color into color2 across the rectangles it covers",
+            },
+            x: {
+              type: "number",
+              minimum: 0,
+              maximum: 6000,
+              description:
+                "X coordinate in pixels (center for circles, ellipses and radial gradients, top-left for rectangles and linear gradients; unused for polygons)",
+            },
+            y: {
+              type: "number",
+              minimum: 0,
+              maximum: 6000,
+              description:
+                "Y coordinate in pixels (center for circles, ellipses and radial gradients, top-left for rectangles and linear gradients; unused for polygons)",
+            },
+            radius: {
+              type: "number",
+              minimum: 50,
+              maximum: 3000,
+              description:
+                "Zone radius in pixels (for circular zones only) - scale proportionally to canvas size, use 15-30% of canvas width for visibility",
+            },
+            radiusX: {
+              type: "number",
+              minimum: 20,
+              maximum: 3000,
+              description: "Horizontal radius in pixels before rotation (ellipses only)",
+            },
+            radiusY: {
+              type: "number",
+              minimum: 20,
+              maximum: 3000,
+              description: "Vertical radius in pixels before rotation (ellipses only)",
+            },
+            width: {
+              type: "number",
+              minimum: 50,
+              maximum: 6000,
+              description:
+                "Zone width in pixels (rectangles and linear gradients only)",
+            },
+            height: {
+              type: "number",
+              minimum: 50,
+              maximum: 6000,
+              description:
+                "Zone height in pixels (rectangles and linear gradients only)",
+            },
+            angle: {
+              type: "number",
+              minimum: -360,
+              maximum: 360,
+              description:
+                "Degrees clockwise. Rotates rectangles and ellipses around their center; for linear gradients it is the blend direction (0 = left to right, 90 = top to bottom)",
+            },
+            points: {
+              type: "array",
+              minItems: 3,
+              maxItems: zoneShapes.MAX_POLYGON_POINTS,
+              items: {
+                type: "object",
+                properties: {
+                  x: { type: "number", minimum: 0, maximum: 6000 },
+                  y: { type: "number", minimum: 0, maximum: 6000 },
+                },
+                required: ["x", "y"],
+                additionalProperties: false,
+              },
+              description: "Polygon corners in pixels, in drawing order (polygons only)",
+            },
+            color: {
+              type: "string",
+              pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+              description: "CSS hex color for this zone (the starting color of a gradient)",
+            },
+            color2: {
+              type: "string",
+              pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+              description: "CSS hex color a gradient blends into (gradients only)",
+            },
+            zIndex: {
+              type: "number",
+              description:
+                "Stacking order where zones overlap: higher is on top. Zones with the same zIndex (default 0) stack in list order, the first on top",
+            },
+            blend: {
+              type: "string",
+              enum: zoneShapes.BLEND_MODES,
+              description:
+                "How the zone combines with what is below it: replace (default) covers it, multiply darkens it, screen lightens it, mix lays the color over it at opacity",
+            },
+            opacity: {
+              type: "number",
+              minimum: 0,
+              maximum: 1,
+              description: "How strongly the zone applies, 0 to 1 (default 1, or 0.5 for mix)",
+            },
+            softness: {
+              type: "number",
+              minimum: 0,
+              description:
+                "Feather the zone's edge over this many pixels so it fades into what is below",
+            },
+            coverage: {
+              type: "string",
+              enum: zoneShapes.COVERAGE_MODES,
+              description:
+                "center (default) colors rectangles whose center is inside; area weighs each rectangle by how much of it the zone covers",
+            },
+            density: {
+              type: "number",
+              minimum: 0,
+              maximum: zoneShapes.MAX_DENSITY,
+              description:
+                "How many rectangles land in this zone relative to the rest of the canvas (default 1; 3 packs it three times as densely, 0 leaves it bare)",
+            },
+            minSize: {
+              type: "integer",
+              minimum: zoneShapes.MIN_ZONE_RECT_SIZE,
+              maximum: zoneShapes.MAX_ZONE_RECT_SIZE,
+              description: "Smallest rectangle side inside this zone, replacing rectangles.minSize",
+            },
+            maxSize: {
+              type: "integer",
+              minimum: zoneShapes.MIN_ZONE_RECT_SIZE,
+              maximum: zoneShapes.MAX_ZONE_RECT_SIZE,
+              description: "Largest rectangle side inside this zone, replacing rectangles.maxSize",
+            },
+            exclude: {
+              type: "boolean",
+              description: "Keep this zone empty: no rectangle is placed over it",
+            },
+          },
+          required: ["type", "color"],
+          additionalProperties: false,
+        },
+        description:
+          "Array of color zones for creating patterns. Choose zone type based on the concept: circles and ellipses for organic shapes (eyes, sun), rectangles for structured elements (buildings, screens), polygons for angular shapes (roofs, mountains), gradients for skies and glows",
+      },
+      rectangles: {
+        type: "object",
+        properties: {
+          color: {
+            type: "string",
+            pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+            description: "Default color for rectangles outside zones",
+          },
+          count: {
+            type: "integer",
+            minimum: 1000,
+            maximum: 50000,
+            description: "Number of rectangles to generate",
+          },
+          minSize: {
+            type: "integer",
+            minimum: 10,
+            maximum: 30,
+            description: "Minimum rectangle size (smaller for detailed art)",
+          },
+          maxSize: {
+            type: "integer",
+            minimum: 20,
+            maximum: 50,
+            description: "Maximum rectangle size",
+          },
+          seed: {
+            type: "integer",
+            minimum: 0,
+            maximum: 4294967295,
+            description:
+              "Optional layout seed. The same seed, settings and canvas size always reproduce the same layout; omit for a fresh random layout",
+          },
+          layout: LAYOUT_PROPERTY,
+          palette: PALETTE_PROPERTY,
+          style: STYLE_PROPERTY,
+        },
+        required: ["color", "count", "minSize", "maxSize"],
+        additionalProperties: false,
+      },
+    },
+    required: ["colorZones", "rectangles"],
+    additionalProperties: false,
+  },
+};
+
+// Follow-up edits to the plan already on the canvas. Only offered when the page sends one; the
+// patch is applied by server/refine.js.
+const REFINE_TOOL = {
+  type: "function",
+  name: "refine_art_plan",
+  description:
+    "Change the art plan that is already on the canvas. Send only what changes: zone indexes refer to the current plan's colorZones",
+  parameters: {
+    type: "object",
+    properties: {
+      rectangles: {
+        type: "object",
+        properties: RECTANGLE_TOOL.parameters.properties,
+        additionalProperties: false,
+        description: "Background rectangle settings to change; omitted settings stay as they are",
+      },
+      updateZones: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: {
+              type: "integer",
+              minimum: 0,
+              description: "Index of the zone to change in the current plan",
+            },
+            ...ART_PLANNER_TOOL.parameters.properties.colorZones.items.properties,
+          },
+          required: ["index"],
+          additionalProperties: false,
+        },
+        description:
+          "Zones to move, resize or recolor. Give the index and only the fields that change",
+      },
+      removeZones: {
+        type: "array",
+        items: { type: "integer", minimum: 0 },
+        description: "Indexes of zones to remove",
+      },
+      addZones: {
+        type: "array",
+        items: ART_PLANNER_TOOL.parameters.properties.colorZones.items,
+        description:
+          "New zones. They are placed in front of the existing ones, so they win where they overlap",
+      },
+    },
+    additionalProperties: false,
+  },
+};
+
+const REFINE_SYSTEM_PROMPT = [
+  "The canvas already shows the plan below. The user's prompt is a follow-up to it.",
+  "For changes to this plan (bigger, smaller, move, recolor, add or remove a shape, more or fewer rectangles), call refine_art_plan with only the changes and leave everything else out.",
+  "Zone indexes refer to the colorZones listed here. To make a shape bigger or smaller, scale its radius, radiusX and radiusY, width and height, or polygon points, and keep its center in place. To move a polygon, send all of its points. To bring a zone forward or back, change its zIndex; blend, opacity, softness and coverage change how it layers; density, minSize, maxSize and exclude change the rectangles placed in it.",
+  "Keep the seed, layout, palette and style unless the user asks for a fresh arrangement, a different layout, other colors or a different look. Style changes merge into the current style; set a field to 0 to turn that part off. Only call create_art_plan or render_rectangles when the user asks for something unrelated to the current plan.",
+  "Current plan:",
+].join("\n");
+
+const ROUTER_SYSTEM_PROMPT = [
+  "You are a Rectangle Art Generator that creates visual art using rectangles.",
+  "Analyze user prompts and decide which tool(s) to call:",
+  "",
+  "1. For SIMPLE requests (basic colors, counts, sizes): use render_rectangles",
+  "   - Examples: 'blue rectangles', '2000 small green squares', 'red rectangles size 30-50'",
+  "",
+  "2. For ARTISTIC/COMPLEX requests (patterns, shapes, art): use create_art_plan",
+  "   - Examples: 'happy face', 'traffic light', 'sunset', 'abstract art', 'logo', 'flower'",
+  "",
+  "3. You can also chain tools if needed (though usually one tool is sufficient)",
+  "",
+  "Both tools accept an optional integer `seed`. Pass it when the user names a seed or asks to reproduce a layout; otherwise omit it.",
+  "Both tools also accept an optional `palette` for several rectangle colors instead of one: a named palette ('warm autumn palette' → { name: 'autumn' }) or the prompt's own colors. Use mode 'position' for gradients across the canvas and 'size' for colors by rectangle size. Omit it when the prompt asks for a single color.",
+  "Both tools also accept an optional `style` for how each rectangle looks: 'rounded' → cornerRadius, 'outlined' or 'hand-drawn' → strokeColor (a dark one) and strokeWidth, 'hand-drawn', 'tilted' or 'wonky' → a small rotation, 'soft' or 'translucent' → opacityMin below 1, 'shadows' or 'floating' → shadowColor. For example 'soft pastel rounded tiles' → { cornerRadius: 4, opacityMin: 0.6 } with the pastel palette and grid layout. Omit it for plain solid rectangles.",
+  "Both tools also accept an optional `layout` for how the rectangles are arranged. Map style words to it: 'Mondrian', 'treemap' or 'blocks' → subdivision; 'grid', 'tiles' or 'mosaic' → grid; 'even', 'evenly spaced' or 'stippled' → poisson; 'spiral', 'radial' or 'sunflower' → spiral; 'nested' or 'boxes in boxes' → nested. Omit it otherwise.",
+  "",
+  "Always call at least one tool. Choose the most appropriate tool based on the user's intent.",
+].join("\n");
+
+const RECT_CONFIG_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    color: {
+      type: "string",
+      pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+    },
+    count: {
+      type: "integer",
+      minimum: 500,
+      maximum: 50000,
+    },
+    minSize: {
+      type: "integer",
+      minimum: 5,
+      maximum: 30,
+    },
+    maxSize: {
+      type: "integer",
+      minimum: 10,
+      maximum: 50,
+    },
+    seed: {
+      type: "integer",
+      minimum: 0,
+      maximum: 4294967295,
+    },
+    layout: { type: "string", enum: placement.LAYOUTS },
+    palette: PALETTE_PROPERTY,
+    style: STYLE_PROPERTY,
+  },
+  required: ["color", "count", "minSize", "maxSize"],
+};
+
+const ART_PLAN_JSON_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    colorZones: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          type: {
+            type: "string",
+            enum: zoneShapes.ZONE_TYPES,
+          },
+          x: {
+            type: "number",
+            minimum: 0,
+            maximum: 2000,
+          },
+          y: {
+            type: "number",
+            minimum: 0,
+            maximum: 2000,
+          },
+          radius: {
+            type: "number",
+            minimum: 20,
+            maximum: 1500,
+            description: "Zone radius in pixels (for circular zones only)",
+          },
+          radiusX: {
+            type: "number",
+            minimum: 20,
+            maximum: 1500,
+            description: "Horizontal radius in pixels before rotation (ellipses only)",
+          },
+          radiusY: {
+            type: "number",
+            minimum: 20,
+            maximum: 1500,
+            description: "Vertical radius in pixels before rotation (ellipses only)",
+          },
+          width: {
+            type: "number",
+            minimum: 20,
+            maximum: 2000,
+            description: "Zone width in pixels (rectangles and linear gradients only)",
+          },
+          height: {
+            type: "number",
+            minimum: 20,
+            maximum: 2000,
+            description: "Zone height in pixels (rectangles and linear gradients only)",
+          },
+          angle: {
+            type: "number",
+            minimum: -360,
+            maximum: 360,
+            description:
+              "Degrees clockwise: rotation for rectangles and ellipses, blend direction for linear gradients",
+          },
+          points: {
+            type: "array",
+            minItems: 3,
+            maxItems: zoneShapes.MAX_POLYGON_POINTS,
+            items: {
+              type: "object",
+              additionalProperties: false,
+              properties: {
+                x: { type: "number", minimum: 0, maximum: 2000 },
+                y: { type: "number", minimum: 0, maximum: 2000 },
+              },
+              required: ["x", "y"],
+            },
+            description: "Polygon corners in pixels (polygons only)",
+          },
+          color: {
+            type: "string",
+            pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+          },
+          color2: {
+            type: "string",
+            pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+            description: "Color a gradient blends into (gradients only)",
+          },
+          zIndex: { type: "number", description: "Stacking order: higher is on top" },
+          blend: { type: "string", enum: zoneShapes.BLEND_MODES },
+          opacity: { type: "number", minimum: 0, maximum: 1 },
+          softness: { type: "number", minimum: 0, description: "Edge feathering in pixels" },
+          coverage: { type: "string", enum: zoneShapes.COVERAGE_MODES },
+          density: { type: "number", minimum: 0, maximum: zoneShapes.MAX_DENSITY },
+          minSize: {
+            type: "integer",
+            minimum: zoneShapes.MIN_ZONE_RECT_SIZE,
+            maximum: zoneShapes.MAX_ZONE_RECT_SIZE,
+          },
+          maxSize: {
+            type: "integer",
+            minimum: zoneShapes.MIN_ZONE_RECT_SIZE,
+            maximum: zoneShapes.MAX_ZONE_RECT_SIZE,
+          },
+          exclude: { type: "boolean", description: "Keep the zone free of rectangles" },
+        },
+        required: ["type", "color"],
+      },
+    },
+    rectangles: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        color: {
+          type: "string",
+          pattern: "^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$",
+        },
+        count: {
+          type: "integer",
+          minimum: 1000,
+          maximum: 50000,
+        },
+        minSize: {
+          type: "integer",
+          minimum: 10,
+          maximum: 30,
+        },
+        maxSize: {
+          type: "integer",
+          minimum: 20,
+          maximum: 50,
+        },
+        seed: {
+          type: "integer",
+          minimum: 0,
+          maximum: 4294967295,
+        },
+        layout: { type: "string", enum: placement.LAYOUTS },
+        palette: PALETTE_PROPERTY,
+        style: STYLE_PROPERTY,
+      },
+      required: ["color", "count", "minSize", "maxSize"],
+    },
+  },
+  required: ["colorZones", "rectangles"],
+};
+
+let defaultProvider = null;
+
+// The provider is resolved lazily so `.env` has been loaded by the time it is first used.
+function getDefaultProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createProviderFromEnv();
+  }
+  return defaultProvider;
+}
+
+function isConfigured(provider = getDefaultProvider()) {
+  return provider.isConfigured();
+}
+
+async function requestRectangleConfig(userPrompt, provider = getDefaultProvider()) {
+  const text = await provider.requestJson({
+    systemPrompt: AGENT_SYSTEM_PROMPT,
+    userPrompt,
+    schemaName: "rectangle_config",
+    schema: RECT_CONFIG_JSON_SCHEMA,
+    temperature: 0.4,
+  });
+
+  return parseModelResponse(text);
+}
+
+async function requestArtPlan(userPrompt, provider = getDefaultProvider()) {
+  const text = await provider.requestJson({
+    systemPrompt: ART_PLANNER_SYSTEM_PROMPT.replace("CANVAS_SIZE_PLACEHOLDER", ""),
+    userPrompt,
+    schemaName: "art_plan",
+    schema: ART_PLAN_JSON_SCHEMA,
+    temperature: 0.5,
+  });
+
+  return parseModelResponse(text);
+}
+
+function parseModelResponse(content) {
+  const jsonBlock = extractJsonBlock(content);
+  if (!jsonBlock) {
+    throw new GenerationError("Model response missing JSON block.");
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonBlock);
+  } catch (error) {
+    throw new GenerationError("Model returned invalid JSON.");
+  }
+
+  if (!parsed || typeof parsed !== "object") {
+    throw new GenerationError("Model returned unsupported payload.");
+  }
+
+  return parsed;
+}
+
+function extractJsonBlock(text) {
+  if (!text) return null;
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end === -1 || end <= start) return null;
+  return text.slice(start, end + 1);
+}
+
+function buildSystemPrompt(canvasWidth, canvasHeight) {
+  // Create dynamic system prompt with actual canvas dimensions
+  const canvasInfo = `Canvas is ${canvasWidth}x${canvasHeight} pixels. Use emoji as visual guide: calculate zone positions as percentages of canvas size. For eyes, use radius = 40-45% of canvas width (${Math.round(
+    canvasWidth * 0.4
+  )}-${Math.round(
+    canvasWidth * 0.45
+  )}px). Scale all emoji features proportionally to canvas size.`;
+
+  const dynamicArtPlannerSystemPrompt = ART_PLANNER_SYSTEM_PROMPT.replace(
+    "CANVAS_SIZE_PLACEHOLDER",
+    canvasInfo
+  );
+
+  return (
+    ROUTER_SYSTEM_PROMPT +
+    "\n\nWhen using create_art_plan tool:\n" +
+    dynamicArtPlannerSystemPrompt
+  );
+}
+
+// Narrow the art planner tool's coordinate bounds to the caller's canvas.
+function buildArtPlannerTool(canvasWidth, canvasHeight) {
+  const zoneProperties = ART_PLANNER_TOOL.parameters.properties.colorZones.items.properties;
+  const maxRadius = Math.min(canvasWidth, canvasHeight);
+
+  return {
+    ...ART_PLANNER_TOOL,
+    description: `Create artistic layouts with color zones and strategic rectangle placement for recognizable patterns, shapes, or artwork. Canvas is ${canvasWidth}x${canvasHeight} pixels. All coordinates, polygon points and radii must be within these bounds.`,
+    parameters: {
+      ...ART_PLANNER_TOOL.parameters,
+      properties: {
+        ...ART_PLANNER_TOOL.parameters.properties,
+        colorZones: {
+          ...ART_PLANNER_TOOL.parameters.properties.colorZones,
+          items: {
+            ...ART_PLANNER_TOOL.parameters.properties.colorZones.items,
+            properties: {
+              ...zoneProperties,
+              x: {
+                ...zoneProperties.x,
+                maximum: canvasWidth,
+                description: `X coordinate in pixels (0 to ${canvasWidth})`,
+              },
+              y: {
+                ...zoneProperties.y,
+                maximum: canvasHeight,
+                description: `Y coordinate in pixels (0 to ${canvasHeight})`,
+              },
+              radius: {
+                ...zoneProperties.radius,
+                maximum: maxRadius,
+                description: `Zone radius in pixels (max ${maxRadius} for this canvas)`,
+              },
+              radiusX: { ...zoneProperties.radiusX, maximum: canvasWidth },
+              radiusY: { ...zoneProperties.radiusY, maximum: canvasHeight },
+              points: {
+                ...zoneProperties.points,
+                items: {
+                  ...zoneProperties.points.items,
+                  properties: {
+                    x: { ...zoneProperties.points.items.properties.x, maximum: canvasWidth },
+                    y: { ...zoneProperties.points.items.properties.y, maximum: canvasHeight },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Main multi-agent router function
+async function processPrompt(userPrompt, canvasWidth, canvasHeight, provider = getDefaultProvider()) {
+  console.log(
+    `Debug: processPrompt via ${provider.name} (${provider.model}):`,
+    userPrompt,
+    "Canvas:",
+    canvasWidth,
+    "x",
+    canvasHeight
+  );
+
+  const toolCalls = await provider.callTools({
+    systemPrompt: buildSystemPrompt(canvasWidth, canvasHeight),
+    userPrompt,
+    tools: [RECTANGLE_TOOL, buildArtPlannerTool(canvasWidth, canvasHeight)],
+    temperature: 0.4,
+    canvasWidth,
+    canvasHeight,
+  });
+
+  return processToolCalls(toolCalls);
+}
+
+// Narrow the refine tool's zone bounds the same way as the art planner's.
+function buildRefineTool(canvasWidth, canvasHeight) {
+  const zoneItems = buildArtPlannerTool(canvasWidth, canvasHeight).parameters.properties.colorZones
+    .items;
+  const properties = REFINE_TOOL.parameters.properties;
+
+  return {
+    ...REFINE_TOOL,
+    parameters: {
+      ...REFINE_TOOL.parameters,
+      properties: {
+        ...properties,
+        updateZones: {
+          ...properties.updateZones,
+          items: {
+            ...properties.updateZones.items,
+            properties: {
+              index: properties.updateZones.items.properties.index,
+              ...zoneItems.properties,
+            },
+          },
+        },
+        addZones: { ...properties.addZones, items: zoneItems },
+      },
+    },
+  };
+}
+
+// Follow-up prompt against the plan on the canvas. `currentConfig` is the page's active config
+// ({ color, count, minSize, maxSize, seed, layout, colorZones }). The model may still start over
+// with one of the other tools; without a usable config this is a plain processPrompt.
+async function refinePrompt(
+  userPrompt,
+  currentConfig,
+  canvasWidth,
+  canvasHeight,
+  provider = getDefaultProvider()
+) {
+  const currentPlan = refine.toPlan(currentConfig);
+  if (!currentPlan) {
+    return processPrompt(userPrompt, canvasWidth, canvasHeight, provider);
+  }
+
+  console.log(
+    `Debug: refinePrompt via ${provider.name} (${provider.model}):`,
+    userPrompt,
+    "Zones:",
+    currentPlan.colorZones.length
+  );
+
+  const systemPrompt = [
+    buildSystemPrompt(canvasWidth, canvasHeight),
+    "",
+    REFINE_SYSTEM_PROMPT,
+    refine.describePlan(currentPlan),
+  ].join("\n");
+
+  const toolCalls = await provider.callTools({
+    systemPrompt,
+    userPrompt,
+    tools: [
+      RECTANGLE_TOOL,
+      buildArtPlannerTool(canvasWidth, canvasHeight),
+      buildRefineTool(canvasWidth, canvasHeight),
+    ],
+    temperature: 0.3,
+    canvasWidth,
+    canvasHeight,
+    currentPlan,
+  });
+
+  return processToolCalls(toolCalls, currentPlan);
+}
+
+function parseToolArguments(toolName, toolArgs) {
+  try {
+    return typeof toolArgs === "string" ? JSON.parse(toolArgs) : toolArgs;
+  } catch (parseError) {
+    console.log(`Debug: JSON parse error for ${toolName}:`, parseError);
+
+    if (typeof toolArgs === "string" && !toolArgs.endsWith("}")) {
+      throw new GenerationError(
+        `Truncated JSON arguments detected. Length: ${toolArgs.length}. Content: ${toolArgs}`
+      );
+    }
+
+    throw new GenerationError(
+      `Failed to parse ${toolName} arguments: ${parseError.message}`
+    );
+  }
+}
+
+// Tool calls arrive normalized by the provider as `{ name, arguments }`. `currentPlan` is set
+// for refinements, which are the only calls offered refine_art_plan.
+function processToolCalls(toolCalls, currentPlan = null) {
+  if (!Array.isArray(toolCalls) || toolCalls.length === 0) {
+    throw new GenerationError("No tool calls found in response.");
+  }
+
+  // Return the first valid tool call; chaining multiple calls is left for later.
+  for (const toolCall of toolCalls) {
+    const toolName = toolCall.name;
+    const toolArgs = toolCall.arguments;
+
+    if (toolName === "render_rectangles") {
+      return {
+        type: "rectangles",
+        config: parseToolArguments(toolName, toolArgs),
+      };
+    }
+
+    if (toolName === "create_art_plan") {
+      const config = parseToolArguments(toolName, toolArgs);
+      console.log(
+        `🎨 Art Planner created concept art with ${
+          config?.colorZones?.length || 0
+        } color zones`
+      );
+      return {
+        type: "art_plan",
+        config,
+      };
+    }
+
+    if (toolName === "refine_art_plan" && currentPlan) {
+      const patch = parseToolArguments(toolName, toolArgs);
+      const refined = refine.applyPlanPatch(currentPlan, patch);
+      console.log(
+        `Debug: refine_art_plan patch applied (${refined.colorZones.length} color zones):`,
+        patch
+      );
+      return { ...refine.toResult(refined), patch };
+    }
+  }
+
+  throw new GenerationError("No valid tool calls found.");
+}
+
+module.exports = {
+  GenerationError,
+  getDefaultProvider,
+  isConfigured,
+  requestRectangleConfig,
+  requestArtPlan,
+  processPrompt,
+  refinePrompt,
+};
@@ -0,0 +1,110 @@
+// Versioned schema migrations for the history stores.
+//
+// Migrations live in server/migrations as `NNN_description.js`, applied in number order. Each one
+// exports an `up`/`down` pair per store: SQL statements for `postgres` and `sqlite`, and for `file`
+// a function from the old to the new file contents (`{ entries, ... }` without the migrations
+// list). Stores record what has run (a `schema_migrations` table, or a `migrations` list in the
+// JSON file) and apply one migration at a time, atomically.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class PendingMigrationsError extends Error {
+  constructor(store, pending) {
+    super(
+      `The ${store.name} history store has ${pending.length} pending migration(s): ${pending
+        .map(describe)
+        .join(", ")}. Run \`npm run migrate\` before starting the server.`
+    );
+    this.name = "PendingMigrationsError";
+    this.pending = pending;
+  }
+}
+
+function describe(migration) {
+  return `${String(migration.id).padStart(3, "0")}_${migration.name}`;
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => ({ file, match: FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      id: Number(match[1]),
+      name: match[2],
+      ...require(path.join(dir, file)),
+    }))
+    .sort((a, b) => a.id - b.id);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].id === migration.id) {
+      throw new Error(`Two migrations share the number ${migration.id}.`);
+    }
+  });
+  return migrations;
+}
+
+async function getStatus(store, migrations = loadMigrations()) {
+  const appliedIds = new Set((await store.listAppliedMigrations()).map((row) => row.id));
+  const known = new Set(migrations.map((migration) => migration.id));
+  return {
+    applied: migrations.filter((migration) => appliedIds.has(migration.id)),
+    pending: migrations.filter((migration) => !appliedIds.has(migration.id)),
+    // Recorded by a newer version of the code; this checkout can't undo them.
+    unknown: [...appliedIds].filter((id) => !known.has(id)).sort((a, b) => a - b),
+  };
+}
+
+function stepsFor(store, migration, direction) {
+  const steps = migration[store.name];
+  if (!steps || !steps[direction]) {
+    throw new Error(`Migration ${describe(migration)} has no ${direction} step for the ${store.name} store.`);
+  }
+  return steps[direction];
+}
+
+// Applies pending migrations in order, up to and including `to` when given.
+async function migrateUp(store, { to, migrations = loadMigrations() } = {}) {
+  const { pending } = await getStatus(store, migrations);
+  const selected = pending.filter((migration) => to === undefined || migration.id <= to);
+  for (const migration of selected) {
+    await store.applyMigration(migration, "up", stepsFor(store, migration, "up"));
+    console.log(`Applied ${describe(migration)}.`);
+  }
+  return selected;
+}
+
+// Reverts the most recently applied migrations, newest first.
+async function migrateDown(store, { steps = 1, migrations = loadMigrations() } = {}) {
+  const { applied, unknown } = await getStatus(store, migrations);
+  if (unknown.length) {
+    throw new Error(
+      `The ${store.name} store has migrations this version doesn't know (${unknown.join(", ")}); refusing to roll back.`
+    );
+  }
+  const selected = applied.slice(-steps).reverse();
+  for (const migration of selected) {
+    await store.applyMigration(migration, "down", stepsFor(store, migration, "down"));
+    console.log(`Reverted ${describe(migration)}.`);
+  }
+  return selected;
+}
+
+async function assertUpToDate(store, migrations = loadMigrations()) {
+  const { pending } = await getStatus(store, migrations);
+  if (pending.length) throw new PendingMigrationsError(store, pending);
+}
+
+module.exports = {
+  PendingMigrationsError,
+  describe,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  assertUpToDate,
+};
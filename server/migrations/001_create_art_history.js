@@ -0,0 +1,45 @@
+// The original art_history table. `IF NOT EXISTS` lets databases created before migrations
+// existed adopt this step without losing rows.
+
+module.exports = {
+  postgres: {
+    up: [
+      `CREATE TABLE IF NOT EXISTS art_history (
+        id uuid PRIMARY KEY,
+        prompt text NOT NULL,
+        result_type text NOT NULL,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        config jsonb NOT NULL,
+        rectangles jsonb NOT NULL,
+        canvas_width integer NOT NULL,
+        canvas_height integer NOT NULL
+      )`,
+      "CREATE INDEX IF NOT EXISTS art_history_created_at_idx ON art_history (created_at DESC)",
+      "CREATE INDEX IF NOT EXISTS art_history_created_at_id_idx ON art_history (created_at DESC, id DESC)",
+      "CREATE INDEX IF NOT EXISTS art_history_prompt_search_idx ON art_history USING gin (to_tsvector('simple', prompt))",
+    ],
+    down: ["DROP TABLE IF EXISTS art_history"],
+  },
+
+  sqlite: {
+    up: [
+      `CREATE TABLE IF NOT EXISTS art_history (
+        id TEXT PRIMARY KEY,
+        prompt TEXT NOT NULL,
+        result_type TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        config TEXT NOT NULL,
+        rectangles TEXT NOT NULL,
+        canvas_width INTEGER NOT NULL,
+        canvas_height INTEGER NOT NULL
+      )`,
+      "CREATE INDEX IF NOT EXISTS art_history_created_at_id_idx ON art_history (created_at DESC, id DESC)",
+    ],
+    down: ["DROP TABLE IF EXISTS art_history"],
+  },
+
+  file: {
+    up: (data) => ({ ...data, entries: data.entries || [] }),
+    down: ({ entries, ...data }) => data,
+  },
+};
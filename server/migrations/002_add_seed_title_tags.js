@@ -0,0 +1,56 @@
+// Seed, title and tags as first-class columns. Existing rows keep their data: `seed` is filled
+// in from config.seed where it is an integer, `title` stays empty and `tags` starts empty.
+
+module.exports = {
+  postgres: {
+    up: [
+      "ALTER TABLE art_history ADD COLUMN seed bigint",
+      "ALTER TABLE art_history ADD COLUMN title text",
+      "ALTER TABLE art_history ADD COLUMN tags text[] NOT NULL DEFAULT '{}'",
+      `UPDATE art_history
+        SET seed = (config->>'seed')::bigint
+        WHERE jsonb_typeof(config->'seed') = 'number'
+          AND (config->>'seed') ~ '^[0-9]+$'`,
+      "CREATE INDEX art_history_tags_idx ON art_history USING gin (tags)",
+    ],
+    down: [
+      "DROP INDEX IF EXISTS art_history_tags_idx",
+      "ALTER TABLE art_history DROP COLUMN tags",
+      "ALTER TABLE art_history DROP COLUMN title",
+      "ALTER TABLE art_history DROP COLUMN seed",
+    ],
+  },
+
+  sqlite: {
+    up: [
+      "ALTER TABLE art_history ADD COLUMN seed INTEGER",
+      "ALTER TABLE art_history ADD COLUMN title TEXT",
+      "ALTER TABLE art_history ADD COLUMN tags TEXT NOT NULL DEFAULT '[]'",
+      `UPDATE art_history
+        SET seed = json_extract(config, '$.seed')
+        WHERE json_type(config, '$.seed') = 'integer'
+          AND json_extract(config, '$.seed') >= 0`,
+    ],
+    down: [
+      "ALTER TABLE art_history DROP COLUMN tags",
+      "ALTER TABLE art_history DROP COLUMN title",
+      "ALTER TABLE art_history DROP COLUMN seed",
+    ],
+  },
+
+  file: {
+    up: (data) => ({
+      ...data,
+      entries: data.entries.map((entry) => ({
+        ...entry,
+        seed: Number.isInteger(entry.config?.seed) && entry.config.seed >= 0 ? entry.config.seed : null,
+        title: null,
+        tags: [],
+      })),
+    }),
+    down: (data) => ({
+      ...data,
+      entries: data.entries.map(({ seed, title, tags, ...entry }) => entry),
+    }),
+  },
+};
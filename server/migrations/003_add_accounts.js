@@ -0,0 +1,77 @@
+// Local accounts. Entries gain an owner and a public/private flag; entries saved before accounts
+// existed have no owner and stay public.
+
+module.exports = {
+  postgres: {
+    up: [
+      `CREATE TABLE users (
+        id uuid PRIMARY KEY,
+        username text NOT NULL UNIQUE,
+        password_hash text NOT NULL,
+        created_at timestamptz NOT NULL DEFAULT now()
+      )`,
+      `CREATE TABLE sessions (
+        token_hash text PRIMARY KEY,
+        user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        created_at timestamptz NOT NULL DEFAULT now(),
+        expires_at timestamptz NOT NULL
+      )`,
+      "CREATE INDEX sessions_user_id_idx ON sessions (user_id)",
+      "ALTER TABLE art_history ADD COLUMN owner_id uuid REFERENCES users (id) ON DELETE SET NULL",
+      `ALTER TABLE art_history ADD COLUMN visibility text NOT NULL DEFAULT 'public'
+        CHECK (visibility IN ('public', 'private'))`,
+      "CREATE INDEX art_history_owner_idx ON art_history (owner_id, created_at DESC, id DESC)",
+    ],
+    down: [
+      "DROP INDEX IF EXISTS art_history_owner_idx",
+      "ALTER TABLE art_history DROP COLUMN visibility",
+      "ALTER TABLE art_history DROP COLUMN owner_id",
+      "DROP TABLE sessions",
+      "DROP TABLE users",
+    ],
+  },
+
+  // No foreign key on art_history.owner_id: SQLite can't drop a referencing column, which the
+  // down step needs. Users are never deleted by the app, and deleteUser clears ownership itself.
+  sqlite: {
+    up: [
+      `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )`,
+      "CREATE INDEX sessions_user_id_idx ON sessions (user_id)",
+      "ALTER TABLE art_history ADD COLUMN owner_id TEXT",
+      `ALTER TABLE art_history ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public'
+        CHECK (visibility IN ('public', 'private'))`,
+      "CREATE INDEX art_history_owner_idx ON art_history (owner_id, created_at DESC, id DESC)",
+    ],
+    down: [
+      "DROP INDEX IF EXISTS art_history_owner_idx",
+      "ALTER TABLE art_history DROP COLUMN visibility",
+      "ALTER TABLE art_history DROP COLUMN owner_id",
+      "DROP TABLE sessions",
+      "DROP TABLE users",
+    ],
+  },
+
+  file: {
+    up: (data) => ({
+      ...data,
+      users: [],
+      sessions: [],
+      entries: data.entries.map((entry) => ({ ...entry, ownerId: null, visibility: "public" })),
+    }),
+    down: ({ users, sessions, ...data }) => ({
+      ...data,
+      entries: data.entries.map(({ ownerId, visibility, ...entry }) => entry),
+    }),
+  },
+};
@@ -0,0 +1,79 @@
+// A third visibility, "unlisted": left out of everyone else's lists but opened by anyone who has
+// the link. Reverting makes unlisted entries private.
+
+const SQLITE_COLUMNS = [
+  "id",
+  "prompt",
+  "result_type",
+  "created_at",
+  "config",
+  "rectangles",
+  "canvas_width",
+  "canvas_height",
+  "seed",
+  "title",
+  "tags",
+  "owner_id",
+];
+
+// SQLite can't change a CHECK constraint in place, so the table is rebuilt with the new one.
+function rebuildSqliteTable(allowed, visibilityExpression) {
+  const values = allowed.map((value) => `'${value}'`).join(", ");
+  return [
+    `CREATE TABLE art_history_next (
+      id TEXT PRIMARY KEY,
+      prompt TEXT NOT NULL,
+      result_type TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      config TEXT NOT NULL,
+      rectangles TEXT NOT NULL,
+      canvas_width INTEGER NOT NULL,
+      canvas_height INTEGER NOT NULL,
+      seed INTEGER,
+      title TEXT,
+      tags TEXT NOT NULL DEFAULT '[]',
+      owner_id TEXT,
+      visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN (${values}))
+    )`,
+    `INSERT INTO art_history_next (${SQLITE_COLUMNS.join(", ")}, visibility)
+      SELECT ${SQLITE_COLUMNS.join(", ")}, ${visibilityExpression} FROM art_history`,
+    "DROP TABLE art_history",
+    "ALTER TABLE art_history_next RENAME TO art_history",
+    "CREATE INDEX art_history_created_at_id_idx ON art_history (created_at DESC, id DESC)",
+    "CREATE INDEX art_history_owner_idx ON art_history (owner_id, created_at DESC, id DESC)",
+  ];
+}
+
+module.exports = {
+  postgres: {
+    up: [
+      "ALTER TABLE art_history DROP CONSTRAINT art_history_visibility_check",
+      `ALTER TABLE art_history ADD CONSTRAINT art_history_visibility_check
+        CHECK (visibility IN ('public', 'private', 'unlisted'))`,
+    ],
+    down: [
+      "UPDATE art_history SET visibility = 'private' WHERE visibility = 'unlisted'",
+      "ALTER TABLE art_history DROP CONSTRAINT art_history_visibility_check",
+      `ALTER TABLE art_history ADD CONSTRAINT art_history_visibility_check
+        CHECK (visibility IN ('public', 'private'))`,
+    ],
+  },
+
+  sqlite: {
+    up: rebuildSqliteTable(["public", "private", "unlisted"], "visibility"),
+    down: rebuildSqliteTable(
+      ["public", "private"],
+      "CASE visibility WHEN 'unlisted' THEN 'private' ELSE visibility END"
+    ),
+  },
+
+  file: {
+    up: (data) => data,
+    down: (data) => ({
+      ...data,
+      entries: data.entries.map((entry) =>
+        entry.visibility === "unlisted" ? { ...entry, visibility: "private" } : entry
+      ),
+    }),
+  },
+};
@@ -0,0 +1,39 @@
+// Revision chains: a refinement points at the entry it was refined from. Deleting an entry
+// leaves its refinements in place without a parent.
+
+module.exports = {
+  postgres: {
+    up: [
+      `ALTER TABLE art_history
+        ADD COLUMN parent_id uuid REFERENCES art_history (id) ON DELETE SET NULL`,
+      "CREATE INDEX art_history_parent_idx ON art_history (parent_id)",
+    ],
+    down: [
+      "DROP INDEX IF EXISTS art_history_parent_idx",
+      "ALTER TABLE art_history DROP COLUMN parent_id",
+    ],
+  },
+
+  // No foreign key, for the same reason as owner_id in 003: deleteEntry clears the links itself.
+  sqlite: {
+    up: [
+      "ALTER TABLE art_history ADD COLUMN parent_id TEXT",
+      "CREATE INDEX art_history_parent_idx ON art_history (parent_id)",
+    ],
+    down: [
+      "DROP INDEX IF EXISTS art_history_parent_idx",
+      "ALTER TABLE art_history DROP COLUMN parent_id",
+    ],
+  },
+
+  file: {
+    up: (data) => ({
+      ...data,
+      entries: data.entries.map((entry) => ({ ...entry, parentId: null })),
+    }),
+    down: (data) => ({
+      ...data,
+      entries: data.entries.map(({ parentId, ...entry }) => entry),
+    }),
+  },
+};
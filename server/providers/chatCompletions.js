@@ -0,0 +1,107 @@
+const { GenerationError } = require("../errors");
+const { postJson } = require("./http");
+
+// llama.cpp's `llama-server` default; Ollama listens on :11434 and vLLM on :8000.
+const DEFAULT_ENDPOINT = "http://localhost:8080/v1/chat/completions";
+const DEFAULT_MODEL = "local-model";
+
+// Any OpenAI-compatible Chat Completions server. Tools are wrapped in `{ type, function }`.
+function createChatCompletionsProvider(options = {}) {
+  const endpoint = options.endpoint || DEFAULT_ENDPOINT;
+  const model = options.model || DEFAULT_MODEL;
+  const apiKey = (options.apiKey || "").trim();
+  const configuredTemperature = options.temperature;
+
+  function isConfigured() {
+    // Local servers usually run without a key, so only the endpoint is required.
+    return endpoint.length > 0;
+  }
+
+  function resolveTemperature(fallback) {
+    return configuredTemperature ?? fallback;
+  }
+
+  async function send(payload) {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    return postJson(endpoint, headers, payload, "Chat Completions");
+  }
+
+  async function callTools({ systemPrompt, userPrompt, tools, temperature }) {
+    const data = await send({
+      model,
+      temperature: resolveTemperature(temperature),
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      tools: tools.map(toChatTool),
+      tool_choice: "required",
+    });
+
+    return extractToolCalls(data);
+  }
+
+  async function requestJson({ systemPrompt, userPrompt, schemaName, schema, temperature }) {
+    const data = await send({
+      model,
+      temperature: resolveTemperature(temperature),
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: schemaName, schema },
+      },
+    });
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new GenerationError("Chat Completions response missing message content.");
+    }
+    return content;
+  }
+
+  return {
+    name: "chat-completions",
+    model,
+    endpoint,
+    isConfigured,
+    callTools,
+    requestJson,
+  };
+}
+
+function toChatTool(tool) {
+  return {
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters,
+    },
+  };
+}
+
+function extractToolCalls(data) {
+  const message = data?.choices?.[0]?.message;
+  if (!message) return [];
+
+  if (Array.isArray(message.tool_calls)) {
+    return message.tool_calls
+      .filter((toolCall) => toolCall?.function?.name)
+      .map((toolCall) => ({
+        name: toolCall.function.name,
+        arguments: toolCall.function.arguments,
+      }));
+  }
+
+  // Older servers still answer with the deprecated single `function_call` field.
+  if (message.function_call?.name) {
+    return [{ name: message.function_call.name, arguments: message.function_call.arguments }];
+  }
+
+  return [];
+}
+
+module.exports = { createChatCompletionsProvider, DEFAULT_ENDPOINT, DEFAULT_MODEL };
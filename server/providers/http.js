@@ -0,0 +1,47 @@
+const { GenerationError } = require("../errors");
+
+// POST a JSON payload and return the parsed body, turning upstream failures into GenerationErrors.
+async function postJson(url, headers, payload, label) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(payload),
+    });
+  } catch (fetchError) {
+    console.log("Debug: Fetch error:", fetchError);
+    throw new GenerationError(`Network error: ${fetchError.message}`);
+  }
+
+  const rawBody = await response.text();
+  if (!response.ok) {
+    let message = `${label} error ${response.status}`;
+    try {
+      const errorPayload = JSON.parse(rawBody);
+      if (errorPayload?.error?.message) {
+        message = errorPayload.error.message;
+      } else if (typeof errorPayload?.error === "string") {
+        message = errorPayload.error;
+      }
+    } catch (parseError) {
+      if (rawBody) message = `${message}: ${rawBody}`;
+    }
+    throw new GenerationError(message);
+  }
+
+  try {
+    return JSON.parse(rawBody);
+  } catch (parseError) {
+    throw new GenerationError(`Failed to parse ${label} response.`);
+  }
+}
+
+function parseTemperature(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const num = Number(value);
+  if (!Number.isFinite(num)) return fallback;
+  return Math.min(2, Math.max(0, num));
+}
+
+module.exports = { postJson, parseTemperature };
@@ -0,0 +1,63 @@
+const { createOpenAIResponsesProvider } = require("./openaiResponses");
+const { createChatCompletionsProvider } = require("./chatCompletions");
+const { createRuleBasedProvider } = require("./ruleBased");
+const { parseTemperature } = require("./http");
+
+const PROVIDER_NAMES = ["openai-responses", "chat-completions", "rule-based"];
+
+// Read one provider's settings from the environment. Each provider has its own model,
+// temperature and endpoint variables so switching LLM_PROVIDER never reuses another's values.
+function resolveProviderOptions(name, env) {
+  if (name === "openai-responses") {
+    return {
+      apiKey: env.OPENAI_API_KEY,
+      endpoint: (env.OPENAI_RESPONSES_URL || "").trim() || undefined,
+      model: (env.OPENAI_MODEL || "").trim() || undefined,
+      temperature: parseTemperature(env.OPENAI_TEMPERATURE, undefined),
+    };
+  }
+
+  if (name === "chat-completions") {
+    return {
+      apiKey: env.CHAT_COMPLETIONS_API_KEY,
+      endpoint: (env.CHAT_COMPLETIONS_URL || "").trim() || undefined,
+      model: (env.CHAT_COMPLETIONS_MODEL || "").trim() || undefined,
+      temperature: parseTemperature(env.CHAT_COMPLETIONS_TEMPERATURE, undefined),
+    };
+  }
+
+  return {};
+}
+
+function resolveProviderName(env) {
+  const configured = (env.LLM_PROVIDER || "").trim().toLowerCase();
+  if (configured) return configured;
+  // Without an explicit choice, fall back to the offline provider when no OpenAI key is present.
+  return (env.OPENAI_API_KEY || "").trim() ? "openai-responses" : "rule-based";
+}
+
+function createProvider(name, options = {}) {
+  switch (name) {
+    case "openai-responses":
+      return createOpenAIResponsesProvider(options);
+    case "chat-completions":
+      return createChatCompletionsProvider(options);
+    case "rule-based":
+      return createRuleBasedProvider(options);
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDER_NAMES.join(", ")}.`
+      );
+  }
+}
+
+function createProviderFromEnv(env = process.env) {
+  const name = resolveProviderName(env);
+  return createProvider(name, resolveProviderOptions(name, env));
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider,
+  createProviderFromEnv,
+};
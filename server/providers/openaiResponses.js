@@ -0,0 +1,124 @@
+const { GenerationError } = require("../errors");
+const { postJson } = require("./http");
+
+const DEFAULT_ENDPOINT = "https://api.openai.com/v1/responses";
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+// OpenAI Responses API. Tools are sent in the flat `{ type, name, parameters }` shape.
+function createOpenAIResponsesProvider(options = {}) {
+  const endpoint = options.endpoint || DEFAULT_ENDPOINT;
+  const model = options.model || DEFAULT_MODEL;
+  const apiKey = (options.apiKey || "").trim();
+  const configuredTemperature = options.temperature;
+
+  function isConfigured() {
+    return apiKey.length > 0;
+  }
+
+  function resolveTemperature(fallback) {
+    return configuredTemperature ?? fallback;
+  }
+
+  async function send(payload) {
+    if (!isConfigured()) {
+      throw new GenerationError("OPENAI_API_KEY is not configured on the server.", 503);
+    }
+
+    return postJson(
+      endpoint,
+      {
+        Authorization: `Bearer ${apiKey}`,
+        "OpenAI-Beta": "responses=v1",
+      },
+      payload,
+      "OpenAI"
+    );
+  }
+
+  async function callTools({ systemPrompt, userPrompt, tools, temperature }) {
+    const data = await send({
+      model,
+      temperature: resolveTemperature(temperature),
+      input: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      tools,
+    });
+
+    return extractToolCalls(data);
+  }
+
+  async function requestJson({ systemPrompt, userPrompt, schemaName, schema, temperature }) {
+    const data = await send({
+      model,
+      temperature: resolveTemperature(temperature),
+      input: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      text: {
+        format: {
+          type: "json_schema",
+          name: schemaName,
+          schema,
+        },
+      },
+    });
+
+    return extractResponseText(data);
+  }
+
+  return {
+    name: "openai-responses",
+    model,
+    endpoint,
+    isConfigured,
+    callTools,
+    requestJson,
+  };
+}
+
+function extractResponseText(data) {
+  if (!data || typeof data !== "object") return "";
+
+  if (Array.isArray(data.output)) {
+    const buffer = [];
+    for (const item of data.output) {
+      if (item?.type === "message" && Array.isArray(item.content)) {
+        for (const part of item.content) {
+          if (part?.type === "output_text" && typeof part.text === "string") {
+            buffer.push(part.text);
+          }
+        }
+      }
+    }
+    if (buffer.length) return buffer.join("\n");
+  }
+
+  if (Array.isArray(data.output_text)) {
+    const joined = data.output_text
+      .filter((t) => typeof t === "string")
+      .join("\n");
+    if (joined) return joined;
+  }
+
+  if (typeof data.output_text === "string") return data.output_text;
+
+  return "";
+}
+
+function extractToolCalls(data) {
+  if (!data || !Array.isArray(data.output)) return [];
+
+  const toolCalls = [];
+  for (const item of data.output) {
+    // Responses API uses "function_call" type directly in output array
+    if (item?.type === "function_call" && item.name) {
+      toolCalls.push({ name: item.name, arguments: item.arguments });
+    }
+  }
+  return toolCalls;
+}
+
+module.exports = { createOpenAIResponsesProvider, DEFAULT_ENDPOINT, DEFAULT_MODEL };
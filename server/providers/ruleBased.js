@@ -0,0 +1,710 @@
+// Deterministic offline provider: maps keywords in the prompt to the same tool calls a model would
+// make, so the app can be developed and demoed without any cloud key. The same prompt and canvas
+// size always produce the same plan.
+
+const palettes = require("../../palettes");
+const zoneShapes = require("../../zoneShapes");
+
+const COLOR_WORDS = {
+  red: "#e63946",
+  orange: "#f77f00",
+  yellow: "#fcbf49",
+  gold: "#d4a017",
+  green: "#2a9d8f",
+  lime: "#80b918",
+  teal: "#008080",
+  cyan: "#00b4d8",
+  blue: "#1f77b4",
+  navy: "#1d3557",
+  purple: "#7b2cbf",
+  violet: "#8f5cc2",
+  pink: "#ff70a6",
+  brown: "#8b4513",
+  black: "#000000",
+  gray: "#808080",
+  grey: "#808080",
+  white: "#f8f9fa",
+};
+
+const SIZE_WORDS = [
+  { words: ["tiny"], minSize: 5, maxSize: 12 },
+  { words: ["small", "little"], minSize: 5, maxSize: 20 },
+  { words: ["huge", "giant"], minSize: 35, maxSize: 50 },
+  { words: ["large", "big"], minSize: 25, maxSize: 50 },
+];
+
+// Words for the named palettes in palettes.js. They only count in prompts that ask for colors
+// ("autumn palette", "ocean colors"), so "sunset" and "forest" still draw their concepts, except
+// for the `anywhere` ones.
+const PALETTE_WORDS = [
+  { words: ["autumn", "fall", "warm"], name: "autumn" },
+  { words: ["spring"], name: "spring" },
+  { words: ["ocean", "sea", "cool"], name: "ocean" },
+  { words: ["forest"], name: "forest" },
+  { words: ["sunset"], name: "sunset" },
+  { words: ["pastel", "pastels"], name: "pastel", anywhere: true },
+  { words: ["neon"], name: "neon" },
+  { words: ["earth", "earthy"], name: "earth" },
+  { words: ["grayscale", "greyscale"], name: "grayscale" },
+  { words: ["mondrian"], name: "mondrian", anywhere: true },
+];
+
+// Style words for placement.js layouts; the first match wins.
+const LAYOUT_WORDS = [
+  { words: ["mondrian", "treemap", "blocks"], layout: "subdivision" },
+  { words: ["grid", "tiles", "tiled", "mosaic"], layout: "grid" },
+  { words: ["evenly", "stippled", "poisson"], layout: "poisson" },
+  { words: ["spiral", "radial", "sunflower"], layout: "spiral" },
+  { words: ["nested", "boxes in boxes"], layout: "nested" },
+  { words: ["scattered"], layout: "random" },
+];
+
+// Words for rectStyle.js styles. Every entry the prompt mentions adds its fields; "no shadows",
+// "not tilted" or "without outlines" sends `off` instead, which turns that part of the current
+// style off when refining.
+const OUTLINE = { strokeColor: "#222222", strokeWidth: 1.5 };
+const STYLE_WORDS = [
+  { words: ["rounded", "round corners"], style: { cornerRadius: 4 }, off: { cornerRadius: 0 } },
+  { words: ["outlined", "outlines", "outline"], style: OUTLINE, off: { strokeWidth: 0 } },
+  { words: ["hand-drawn", "hand drawn", "sketchy"], style: { ...OUTLINE, rotation: 4 } },
+  { words: ["tilted", "wonky", "rotated"], style: { rotation: 8 }, off: { rotation: 0 } },
+  {
+    words: ["soft", "translucent", "transparent", "faded"],
+    style: { opacityMin: 0.55, opacityMax: 0.95 },
+    off: { opacityMin: 1, opacityMax: 1 },
+  },
+  {
+    words: ["shadows", "shadow", "shadowed", "floating"],
+    style: { shadowColor: "#000000" },
+    off: { shadowOpacity: 0 },
+  },
+];
+
+const ART_PLAN_BACKGROUND = "#f6ecc9";
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function findColor(text) {
+  const hexMatch = text.match(/#(?:[0-9a-f]{6}|[0-9a-f]{3})\b/i);
+  if (hexMatch) return hexMatch[0].toLowerCase();
+
+  let best = null;
+  for (const [word, hex] of Object.entries(COLOR_WORDS)) {
+    const match = new RegExp(`\\b${word}\\b`).exec(text);
+    if (match && (!best || match.index < best.index)) {
+      best = { index: match.index, hex };
+    }
+  }
+  return best ? best.hex : null;
+}
+
+function findSizeRange(text) {
+  const rangeMatch = text.match(/\bsizes?\s*(\d{1,3})\s*(?:-|to)\s*(\d{1,3})\b/);
+  if (rangeMatch) {
+    const a = clamp(Number(rangeMatch[1]), 5, 50);
+    const b = clamp(Number(rangeMatch[2]), 5, 50);
+    return { minSize: Math.min(a, b, 30), maxSize: Math.max(a, b, 10), matched: rangeMatch[0] };
+  }
+
+  for (const entry of SIZE_WORDS) {
+    if (entry.words.some((word) => new RegExp(`\\b${word}\\b`).test(text))) {
+      return { minSize: entry.minSize, maxSize: entry.maxSize, matched: "" };
+    }
+  }
+
+  return null;
+}
+
+function findSeed(text) {
+  const seedMatch = text.match(/\bseed\s*#?\s*(\d{1,10})\b/);
+  if (!seedMatch) return null;
+  return { seed: Number(seedMatch[1]) % 0x100000000, matched: seedMatch[0] };
+}
+
+// A palette the prompt names, with the words that named it, or null. "gradient" spreads it
+// across the canvas and "by size" colors by rectangle size.
+function findPalette(text) {
+  const asksForColors = /\b(?:palette|colors|colours|tones)\b/.test(text);
+  for (const entry of PALETTE_WORDS) {
+    if (!asksForColors && !entry.anywhere) continue;
+    for (const word of entry.words) {
+      const match = new RegExp(`\\b${word}\\b`).exec(text);
+      if (!match) continue;
+      const palette = { name: entry.name };
+      if (/\bgradient\b/.test(text)) palette.mode = "position";
+      else if (/\bby size\b/.test(text)) palette.mode = "size";
+      return { palette: palettes.normalizePalette(palette), matched: match[0] };
+    }
+  }
+  return null;
+}
+
+function findLayout(text) {
+  for (const entry of LAYOUT_WORDS) {
+    for (const word of entry.words) {
+      const match = new RegExp(`\\b${word}\\b`).exec(text);
+      if (match) return { layout: entry.layout, matched: match[0] };
+    }
+  }
+  return null;
+}
+
+// The style fields the prompt asks for, with the words that asked, or null.
+function findStyle(text) {
+  let style = null;
+  const matched = [];
+  for (const entry of STYLE_WORDS) {
+    for (const word of entry.words) {
+      const match = new RegExp(`\\b(?:(no|not|without)\\s+)?${word}\\b`).exec(text);
+      if (!match) continue;
+      const fields = match[1] ? entry.off : entry.style;
+      if (fields) style = { ...style, ...fields };
+      matched.push(match[0]);
+      break;
+    }
+  }
+  return style ? { style, matched } : null;
+}
+
+function findCount(text) {
+  const countMatch = text.match(/\b(\d{2,6})\b/);
+  return countMatch ? Number(countMatch[1]) : null;
+}
+
+// Each concept returns color zones for a canvas of w×h CSS pixels. Zones are listed detail-first
+// because, among zones with the same zIndex, the first one containing a rectangle is on top.
+const CONCEPTS = [
+  {
+    keywords: ["happy face", "smiley", "smile", "face", "emoji"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      return [
+        // The eyes stay empty and the face is packed with smaller rectangles, so the face reads
+        // through texture as well as color.
+        {
+          type: "circle",
+          x: w * 0.4,
+          y: h * 0.4,
+          radius: s * 0.06,
+          color: "#000000",
+          exclude: true,
+        },
+        {
+          type: "circle",
+          x: w * 0.6,
+          y: h * 0.4,
+          radius: s * 0.06,
+          color: "#000000",
+          exclude: true,
+        },
+        { type: "rectangle", x: w * 0.38, y: h * 0.62, width: w * 0.24, height: s * 0.06, color: "#ff0000" },
+        {
+          type: "circle",
+          x: w * 0.5,
+          y: h * 0.5,
+          radius: s * 0.4,
+          color: color || "#fcbf49",
+          density: 2,
+          maxSize: 16,
+        },
+      ];
+    },
+  },
+  {
+    keywords: ["sunset", "sunrise", "dusk"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      return [
+        // The sun's reflection lightens the water it lies on.
+        {
+          type: "ellipse",
+          x: w * 0.5,
+          y: h * 0.8,
+          radiusX: s * 0.2,
+          radiusY: s * 0.05,
+          color: "#f77f00",
+          zIndex: 1,
+          blend: "screen",
+          opacity: 0.7,
+          softness: s * 0.04,
+        },
+        { type: "rectangle", x: 0, y: h * 0.7, width: w, height: h * 0.3, color: "#1d3557" },
+        {
+          type: "radialGradient",
+          x: w * 0.5,
+          y: h * 0.7,
+          radius: s * 0.22,
+          color: color || "#fcbf49",
+          color2: "#e63946",
+          softness: s * 0.04,
+        },
+        {
+          type: "linearGradient",
+          x: 0,
+          y: 0,
+          width: w,
+          height: h * 0.7,
+          angle: 90,
+          color: "#7b2cbf",
+          color2: "#f77f00",
+        },
+      ];
+    },
+  },
+  {
+    keywords: ["sun", "sunny", "sunshine"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      const sunColor = color || "#fcbf49";
+      const radius = s * 0.22;
+      const rayDistance = radius * 1.45;
+      const raySize = s * 0.08;
+      const zones = [
+        {
+          type: "circle",
+          x: w * 0.5,
+          y: h * 0.5,
+          radius,
+          color: sunColor,
+          density: 3,
+          minSize: 4,
+          maxSize: 12,
+        },
+      ];
+      for (let i = 0; i < 8; i++) {
+        const angle = (Math.PI / 4) * i;
+        zones.push({
+          type: "rectangle",
+          x: w * 0.5 + Math.cos(angle) * rayDistance - raySize / 2,
+          y: h * 0.5 + Math.sin(angle) * rayDistance - raySize / 2,
+          width: raySize,
+          height: raySize,
+          color: "#f77f00",
+        });
+      }
+      return zones;
+    },
+  },
+  {
+    keywords: ["traffic light", "stoplight"],
+    plan(w, h) {
+      const frameWidth = w * 0.12;
+      const frameHeight = h * 0.6;
+      const frameX = w * 0.5 - frameWidth / 2;
+      const frameY = h * 0.2;
+      const radius = Math.min(frameWidth * 0.38, frameHeight / 7);
+      const lights = ["#ff0000", "#ffd60a", "#00c853"].map((lightColor, index) => ({
+        type: "circle",
+        x: w * 0.5,
+        y: frameY + (frameHeight / 6) * (index * 2 + 1),
+        radius,
+        color: lightColor,
+      }));
+      return [
+        ...lights,
+        { type: "rectangle", x: frameX, y: frameY, width: frameWidth, height: frameHeight, color: "#000000" },
+      ];
+    },
+  },
+  {
+    keywords: ["tree", "forest"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      const leaves = color || "#2a9d8f";
+      return [
+        { type: "circle", x: w * 0.5, y: h * 0.3, radius: s * 0.2, color: leaves },
+        { type: "circle", x: w * 0.4, y: h * 0.4, radius: s * 0.17, color: leaves },
+        { type: "circle", x: w * 0.6, y: h * 0.4, radius: s * 0.17, color: leaves },
+        { type: "rectangle", x: w * 0.45, y: h * 0.5, width: w * 0.1, height: h * 0.4, color: "#8b4513" },
+      ];
+    },
+  },
+  {
+    keywords: ["house", "home", "cabin"],
+    plan(w, h, color) {
+      const zones = [
+        { type: "rectangle", x: w * 0.46, y: h * 0.64, width: w * 0.08, height: h * 0.16, color: "#5a3a1a" },
+        { type: "rectangle", x: w * 0.31, y: h * 0.56, width: w * 0.1, height: h * 0.08, color: "#fcbf49" },
+        { type: "rectangle", x: w * 0.59, y: h * 0.56, width: w * 0.1, height: h * 0.08, color: "#fcbf49" },
+        { type: "rectangle", x: w * 0.25, y: h * 0.5, width: w * 0.5, height: h * 0.3, color: color || "#8b4513" },
+        {
+          type: "polygon",
+          points: [
+            { x: w * 0.23, y: h * 0.5 },
+            { x: w * 0.77, y: h * 0.5 },
+            { x: w * 0.5, y: h * 0.25 },
+          ],
+          color: "#e63946",
+        },
+      ];
+      return zones;
+    },
+  },
+  {
+    keywords: ["car", "truck", "vehicle"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      const body = color || "#1f77b4";
+      return [
+        { type: "circle", x: w * 0.33, y: h * 0.72, radius: s * 0.08, color: "#000000" },
+        { type: "circle", x: w * 0.67, y: h * 0.72, radius: s * 0.08, color: "#000000" },
+        { type: "rectangle", x: w * 0.36, y: h * 0.42, width: w * 0.28, height: h * 0.13, color: body },
+        { type: "rectangle", x: w * 0.22, y: h * 0.55, width: w * 0.56, height: h * 0.15, color: body },
+      ];
+    },
+  },
+  {
+    keywords: ["flower", "blossom", "daisy"],
+    plan(w, h, color) {
+      const s = Math.min(w, h);
+      const petals = color || "#ff70a6";
+      const cx = w * 0.5;
+      const cy = h * 0.38;
+      const zones = [{ type: "circle", x: cx, y: cy, radius: s * 0.07, color: "#fcbf49" }];
+      for (let i = 0; i < 6; i++) {
+        const angle = (Math.PI / 3) * i;
+        zones.push({
+          type: "circle",
+          x: cx + Math.cos(angle) * s * 0.14,
+          y: cy + Math.sin(angle) * s * 0.14,
+          radius: s * 0.08,
+          color: petals,
+        });
+      }
+      zones.push({ type: "rectangle", x: w * 0.49, y: cy, width: w * 0.02, height: h * 0.55, color: "#2a9d8f" });
+      return zones;
+    },
+  },
+  {
+    keywords: ["skyscraper", "building", "city"],
+    plan(w, h, color) {
+      const zones = [];
+      for (let row = 0; row < 5; row++) {
+        for (let col = 0; col < 3; col++) {
+          zones.push({
+            type: "rectangle",
+            x: w * (0.39 + col * 0.08),
+            y: h * (0.18 + row * 0.14),
+            width: w * 0.05,
+            height: h * 0.08,
+            color: "#fcbf49",
+          });
+        }
+      }
+      zones.push({ type: "rectangle", x: w * 0.35, y: h * 0.12, width: w * 0.3, height: h * 0.83, color: color || "#808080" });
+      return zones;
+    },
+  },
+  {
+    keywords: ["computer", "screen", "monitor", "laptop"],
+    plan(w, h, color) {
+      return [
+        { type: "rectangle", x: w * 0.28, y: h * 0.18, width: w * 0.44, height: h * 0.42, color: color || "#90e0ef" },
+        { type: "rectangle", x: w * 0.25, y: h * 0.14, width: w * 0.5, height: h * 0.5, color: "#1d3557" },
+        { type: "rectangle", x: w * 0.46, y: h * 0.64, width: w * 0.08, height: h * 0.12, color: "#1d3557" },
+        { type: "rectangle", x: w * 0.36, y: h * 0.76, width: w * 0.28, height: h * 0.05, color: "#1d3557" },
+      ];
+    },
+  },
+];
+
+function findConcept(text) {
+  for (const concept of CONCEPTS) {
+    if (concept.keywords.some((keyword) => new RegExp(`\\b${keyword}\\b`).test(text))) {
+      return concept;
+    }
+  }
+  return null;
+}
+
+function roundZone(zone) {
+  const rounded = { ...zone };
+  for (const key of ["x", "y", "radius", "radiusX", "radiusY", "width", "height", "softness"]) {
+    if (typeof rounded[key] === "number") rounded[key] = Math.round(rounded[key]);
+  }
+  if (Array.isArray(rounded.points)) {
+    rounded.points = rounded.points.map((point) => ({
+      x: Math.round(point.x),
+      y: Math.round(point.y),
+    }));
+  }
+  return rounded;
+}
+
+function planFromPrompt(userPrompt, canvasWidth, canvasHeight, options = {}) {
+  const allowArtPlan = options.allowArtPlan !== false;
+  let text = String(userPrompt || "").toLowerCase();
+  const width = Number(canvasWidth) > 0 ? Number(canvasWidth) : 1000;
+  const height = Number(canvasHeight) > 0 ? Number(canvasHeight) : 700;
+
+  const seedMatch = findSeed(text);
+  if (seedMatch) text = text.replace(seedMatch.matched, " ");
+
+  const sizeRange = findSizeRange(text);
+  if (sizeRange?.matched) text = text.replace(sizeRange.matched, " ");
+
+  // Before layouts, which take "mondrian" out of the text.
+  const paletteMatch = findPalette(text);
+  const palette = paletteMatch ? { palette: paletteMatch.palette } : {};
+
+  const layoutMatch = findLayout(text);
+  if (layoutMatch) text = text.replace(layoutMatch.matched, " ");
+  const layout = layoutMatch ? { layout: layoutMatch.layout } : {};
+  if (paletteMatch) text = text.replace(paletteMatch.matched, " ");
+
+  const styleMatch = findStyle(text);
+  const style = styleMatch ? { style: styleMatch.style } : {};
+  for (const words of styleMatch?.matched || []) text = text.replace(words, " ");
+
+  const color = findColor(text) || (paletteMatch ? paletteMatch.palette.colors[0] : null);
+  const count = findCount(text);
+  const concept = allowArtPlan ? findConcept(text) : null;
+
+  if (concept) {
+    return {
+      name: "create_art_plan",
+      arguments: {
+        colorZones: concept.plan(width, height, color).map(roundZone),
+        rectangles: {
+          color: ART_PLAN_BACKGROUND,
+          count: clamp(count ?? 3000, 1000, 50000),
+          minSize: clamp(sizeRange?.minSize ?? 10, 10, 30),
+          maxSize: clamp(sizeRange?.maxSize ?? 30, 20, 50),
+          ...(seedMatch ? { seed: seedMatch.seed } : {}),
+          ...layout,
+          ...palette,
+          ...style,
+        },
+      },
+    };
+  }
+
+  return {
+    name: "render_rectangles",
+    arguments: {
+      color: color || "#1f77b4",
+      count: clamp(count ?? 1000, 500, 50000),
+      minSize: clamp(sizeRange?.minSize ?? 5, 5, 30),
+      maxSize: clamp(sizeRange?.maxSize ?? 40, 10, 50),
+      ...(seedMatch ? { seed: seedMatch.seed } : {}),
+      ...layout,
+      ...palette,
+      ...style,
+    },
+  };
+}
+
+function hexToRgb(hex) {
+  let digits = hex.slice(1);
+  if (digits.length === 3) digits = digits.replace(/./g, "$&$&");
+  const value = parseInt(digits, 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+// The COLOR_WORDS color closest to `hex`, so "swap blue for teal" also finds a model's #0000ff.
+function nearestNamedColor(hex) {
+  const [r, g, b] = hexToRgb(hex);
+  let best = null;
+  for (const named of Object.values(COLOR_WORDS)) {
+    const [nr, ng, nb] = hexToRgb(named);
+    const distance = (r - nr) ** 2 + (g - ng) ** 2 + (b - nb) ** 2;
+    if (!best || distance < best.distance) best = { hex: named, distance };
+  }
+  return best.hex;
+}
+
+function colorOfWord(word) {
+  if (/^#(?:[0-9a-f]{6}|[0-9a-f]{3})$/.test(word)) return word;
+  return COLOR_WORDS[word] || null;
+}
+
+function matchesColor(color, target) {
+  const hex = color.toLowerCase();
+  return hex === target || nearestNamedColor(hex) === nearestNamedColor(target);
+}
+
+function findRecolor(text) {
+  const match = text.match(
+    /\b(?:swap|replace|change|turn|make)\s+(?:the\s+|all\s+)?(#?\w+)\s+(?:for|with|to|into)\s+(#?\w+)/
+  );
+  if (!match) return null;
+  const from = colorOfWord(match[1]);
+  const to = colorOfWord(match[2]);
+  return from && to ? { from, to } : null;
+}
+
+// Zones the prompt is about: those in a color it names, or every zone when it names none.
+function targetZoneIndexes(zones, color) {
+  const indexes = zones.map((zone, index) => index);
+  return color ? indexes.filter((index) => matchesColor(zones[index].color, color)) : indexes;
+}
+
+// Scale zones as a group around the center of their bounding box, so a sun keeps its rays.
+function scaleZones(zones, factor) {
+  const bounds = zones.map(zoneShapes.zoneBounds);
+  const left = Math.min(...bounds.map((b) => b.left));
+  const right = Math.max(...bounds.map((b) => b.right));
+  const top = Math.min(...bounds.map((b) => b.top));
+  const bottom = Math.max(...bounds.map((b) => b.bottom));
+  const cx = (left + right) / 2;
+  const cy = (top + bottom) / 2;
+  return zones.map((zone) => zoneShapes.scaleZone(zone, factor, cx, cy));
+}
+
+const MOVE_WORDS = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] };
+
+// Follow-up prompts the offline provider understands: "swap blue for teal", "make it bigger",
+// "smaller red", "move the black left", "remove the red", "add a sun", "more rectangles",
+// "bigger rectangles", "make it a grid" (any layout word), "pastel colors" (any palette),
+// "add shadows" or "no outlines" (any style word) and "seed 7". Returns a refine_art_plan call, or
+// null when the prompt asks for none of these and should start a new plan instead.
+function refineFromPrompt(userPrompt, currentPlan, canvasWidth, canvasHeight) {
+  let text = String(userPrompt || "").toLowerCase();
+  const width = Number(canvasWidth) > 0 ? Number(canvasWidth) : 1000;
+  const height = Number(canvasHeight) > 0 ? Number(canvasHeight) : 700;
+  const zones = currentPlan.colorZones;
+  const settings = currentPlan.rectangles;
+  const rectangles = {};
+  const updates = new Map(); // zone index -> changed fields
+  const removeZones = [];
+  let addZones = [];
+
+  const update = (index, fields) => {
+    updates.set(index, { ...updates.get(index), ...fields });
+  };
+
+  const seedMatch = findSeed(text);
+  if (seedMatch) {
+    rectangles.seed = seedMatch.seed;
+    text = text.replace(seedMatch.matched, " ");
+  }
+
+  const paletteMatch = findPalette(text);
+  if (paletteMatch) rectangles.palette = paletteMatch.palette;
+
+  const layoutMatch = findLayout(text);
+  if (layoutMatch) {
+    rectangles.layout = layoutMatch.layout;
+    text = text.replace(layoutMatch.matched, " ");
+  }
+  if (paletteMatch) text = text.replace(paletteMatch.matched, " ");
+
+  const styleMatch = findStyle(text);
+  if (styleMatch) {
+    rectangles.style = styleMatch.style;
+    for (const words of styleMatch.matched) text = text.replace(words, " ");
+  }
+
+  const recolor = findRecolor(text);
+  if (recolor) {
+    zones.forEach((zone, index) => {
+      if (matchesColor(zone.color, recolor.from)) update(index, { color: recolor.to });
+    });
+    if (settings.color && matchesColor(settings.color, recolor.from)) rectangles.color = recolor.to;
+    const paletteColors = settings.palette?.colors || [];
+    if (!rectangles.palette && paletteColors.some((hex) => matchesColor(hex, recolor.from))) {
+      rectangles.palette = {
+        ...settings.palette,
+        colors: paletteColors.map((hex) => (matchesColor(hex, recolor.from) ? recolor.to : hex)),
+      };
+    }
+  }
+
+  const aboutRectangles = /\b(?:rectangles|squares|boxes)\b/.test(text);
+  const namedColor = recolor ? null : findColor(text);
+  const grow = /\b(?:bigger|larger|grow|enlarge)\b/.test(text);
+  const shrink = /\b(?:smaller|shrink|tinier)\b/.test(text);
+
+  if ((grow || shrink) && aboutRectangles) {
+    const factor = grow ? 1.25 : 0.8;
+    rectangles.minSize = clamp(Math.round((settings.minSize ?? 10) * factor), 5, 30);
+    rectangles.maxSize = clamp(Math.round((settings.maxSize ?? 30) * factor), 10, 50);
+  } else if ((grow || shrink) && zones.length) {
+    const indexes = targetZoneIndexes(zones, namedColor);
+    if (indexes.length) {
+      const current = indexes.map((index) => ({ ...zones[index], ...updates.get(index) }));
+      const scaled = scaleZones(current, grow ? 1.25 : 0.8);
+      indexes.forEach((index, i) => update(index, scaled[i]));
+    }
+  }
+
+  const moveMatch = text.match(/\bmove\b.*?\b(left|right|up|down)\b/);
+  if (moveMatch && zones.length) {
+    const [dx, dy] = MOVE_WORDS[moveMatch[1]];
+    for (const index of targetZoneIndexes(zones, namedColor)) {
+      const current = { ...zones[index], ...updates.get(index) };
+      update(index, zoneShapes.translateZone(current, dx * width * 0.1, dy * height * 0.1));
+    }
+  }
+
+  if (/\b(?:remove|delete|erase|drop)\b/.test(text) && namedColor) {
+    removeZones.push(...targetZoneIndexes(zones, namedColor));
+  }
+
+  if (/\badd\b/.test(text)) {
+    const concept = findConcept(text);
+    if (concept) addZones = concept.plan(width, height, namedColor);
+  }
+
+  const countChange = text.match(/\b(more|fewer|less)\s+(?:rectangles|squares|boxes)\b/);
+  if (countChange) {
+    const factor = countChange[1] === "more" ? 1.5 : 1 / 1.5;
+    rectangles.count = clamp(Math.round((settings.count ?? 1000) * factor), 500, 50000);
+  }
+
+  const patch = {};
+  if (Object.keys(rectangles).length) patch.rectangles = rectangles;
+  if (updates.size) {
+    patch.updateZones = [...updates].map(([index, fields]) => ({ index, ...roundZone(fields) }));
+  }
+  if (removeZones.length) patch.removeZones = removeZones;
+  if (addZones.length) patch.addZones = addZones.map(roundZone);
+
+  return Object.keys(patch).length ? { name: "refine_art_plan", arguments: patch } : null;
+}
+
+function createRuleBasedProvider() {
+  function isConfigured() {
+    return true;
+  }
+
+  async function callTools({ userPrompt, tools, canvasWidth, canvasHeight, currentPlan }) {
+    const offered = new Set((tools || []).map((tool) => tool.name));
+    if (currentPlan && offered.has("refine_art_plan")) {
+      const refinement = refineFromPrompt(userPrompt, currentPlan, canvasWidth, canvasHeight);
+      if (refinement) return [refinement];
+    }
+    return [
+      planFromPrompt(userPrompt, canvasWidth, canvasHeight, {
+        allowArtPlan: offered.has("create_art_plan"),
+      }),
+    ];
+  }
+
+  async function requestJson({ userPrompt, schemaName, canvasWidth, canvasHeight }) {
+    if (schemaName === "art_plan") {
+      const toolCall = planFromPrompt(userPrompt, canvasWidth, canvasHeight);
+      if (toolCall.name === "create_art_plan") {
+        return JSON.stringify(toolCall.arguments);
+      }
+      const rectangles = { ...toolCall.arguments, count: clamp(toolCall.arguments.count, 1000, 50000) };
+      return JSON.stringify({ colorZones: [], rectangles });
+    }
+
+    const toolCall = planFromPrompt(userPrompt, canvasWidth, canvasHeight, { allowArtPlan: false });
+    return JSON.stringify(toolCall.arguments);
+  }
+
+  return {
+    name: "rule-based",
+    model: "keywords",
+    endpoint: null,
+    isConfigured,
+    callTools,
+    requestJson,
+  };
+}
+
+module.exports = { createRuleBasedProvider, planFromPrompt, refineFromPrompt };
@@ -0,0 +1,169 @@
+// Follow-up prompts ("make the sun bigger", "swap blue for teal") edit the plan already on the
+// canvas instead of starting over. The page sends its current config, the model sees it as a plan
+// with numbered zones and answers with a `refine_art_plan` patch, and the patch is applied here.
+//
+// A patch looks like:
+//   { rectangles: { color, count, ... },             any subset, merged into the settings
+//     updateZones: [{ index, ...zone fields }],      fields replace the zone's own
+//     removeZones: [index, ...],
+//     addZones: [zone, ...] }                        full zones, put in front
+// `rectangles` takes the RECTANGLE_FIELDS below; its `style` is merged into the current style
+// rather than replacing it (see rectStyle.js). Indexes refer to the zones as they were sent,
+// before anything is removed or added.
+
+const palettes = require("../palettes");
+const placement = require("../placement");
+const rectStyle = require("../rectStyle");
+const zoneShapes = require("../zoneShapes");
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/;
+const GEOMETRY_FIELDS = ["x", "y", "radius", "radiusX", "radiusY", "width", "height", "angle"];
+const LAYERING_FIELDS = ["zIndex", "opacity", "softness"];
+const PLACEMENT_FIELDS = ["density", "minSize", "maxSize"];
+const RECTANGLE_FIELDS = ["color", "count", "minSize", "maxSize", "seed", "layout", "palette"];
+const MAX_ZONES = 100;
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isHexColor(value) {
+  return typeof value === "string" && HEX_COLOR_PATTERN.test(value);
+}
+
+// A well-formed zone (see zoneShapes.js) in hex colors, or null.
+function sanitizeZone(zone) {
+  const normalized = zoneShapes.normalizeZone(zone);
+  if (!normalized || !isHexColor(normalized.color)) return null;
+  if (zoneShapes.isGradient(normalized) && !isHexColor(normalized.color2)) return null;
+  return normalized;
+}
+
+function pickRectangleSettings(source) {
+  const settings = {};
+  if (!source || typeof source !== "object") return settings;
+  if (isHexColor(source.color)) settings.color = source.color;
+  for (const key of ["count", "minSize", "maxSize"]) {
+    if (Number.isInteger(source[key]) && source[key] > 0) settings[key] = source[key];
+  }
+  if (Number.isInteger(source.seed) && source.seed >= 0 && source.seed <= 0xffffffff) {
+    settings.seed = source.seed;
+  }
+  if (placement.LAYOUTS.includes(source.layout)) settings.layout = source.layout;
+  const palette = palettes.normalizePalette(source.palette);
+  if (palette) settings.palette = palette;
+  const style = rectStyle.normalizeStyle(source.style);
+  if (style) settings.style = style;
+  return settings;
+}
+
+// The page's flat config ({ color, count, minSize, maxSize, seed, layout, palette, style,
+// colorZones }) as an art plan ({ rectangles, colorZones }). Returns null when there is nothing
+// usable to refine.
+function toPlan(config) {
+  if (!config || typeof config !== "object") return null;
+  const rectangles = pickRectangleSettings(config);
+  if (!rectangles.color) return null;
+  const colorZones = (Array.isArray(config.colorZones) ? config.colorZones : [])
+    .slice(0, MAX_ZONES)
+    .map(sanitizeZone)
+    .filter(Boolean);
+  return { rectangles, colorZones };
+}
+
+// A `type` change without the new shape's own fields keeps the zone's bounding box.
+function updateZone(zone, update) {
+  const typeChanged = zoneShapes.ZONE_TYPES.includes(update.type) && update.type !== zone.type;
+  const next = { ...(typeChanged ? zoneShapes.convertZoneType(zone, update.type) : zone) };
+  for (const key of GEOMETRY_FIELDS) {
+    if (isFiniteNumber(update[key])) next[key] = update[key];
+  }
+  if (Array.isArray(update.points)) next.points = update.points;
+  if (isHexColor(update.color)) next.color = update.color;
+  if (isHexColor(update.color2)) next.color2 = update.color2;
+  for (const key of LAYERING_FIELDS) {
+    if (isFiniteNumber(update[key])) next[key] = update[key];
+  }
+  if (zoneShapes.BLEND_MODES.includes(update.blend)) next.blend = update.blend;
+  if (zoneShapes.COVERAGE_MODES.includes(update.coverage)) next.coverage = update.coverage;
+  for (const key of PLACEMENT_FIELDS) {
+    if (isFiniteNumber(update[key])) next[key] = update[key];
+  }
+  if (typeof update.exclude === "boolean") next.exclude = update.exclude;
+  return sanitizeZone(next) || zone;
+}
+
+function toIndexSet(indexes, length) {
+  const set = new Set();
+  if (!Array.isArray(indexes)) return set;
+  for (const index of indexes) {
+    if (Number.isInteger(index) && index >= 0 && index < length) set.add(index);
+  }
+  return set;
+}
+
+// Apply a refine_art_plan patch. Malformed parts of the patch are skipped rather than rejected,
+// so one bad zone doesn't lose the rest of the edit. The result is a new plan.
+function applyPlanPatch(plan, patch) {
+  const source = patch && typeof patch === "object" ? patch : {};
+  const zones = plan.colorZones.map((zone) => ({ ...zone }));
+
+  if (Array.isArray(source.updateZones)) {
+    for (const update of source.updateZones) {
+      if (!update || !Number.isInteger(update.index)) continue;
+      if (update.index < 0 || update.index >= zones.length) continue;
+      zones[update.index] = updateZone(zones[update.index], update);
+    }
+  }
+
+  const removed = toIndexSet(source.removeZones, zones.length);
+  const kept = zones.filter((zone, index) => !removed.has(index));
+  // Among zones with the same zIndex the first one is on top, so new shapes (usually details) go
+  // in front.
+  const added = (Array.isArray(source.addZones) ? source.addZones : [])
+    .map(sanitizeZone)
+    .filter(Boolean);
+
+  const rectangles = { ...plan.rectangles };
+  const changes = pickRectangleSettings(source.rectangles);
+  for (const key of RECTANGLE_FIELDS) {
+    if (changes[key] !== undefined) rectangles[key] = changes[key];
+  }
+  // Merged before normalizing, so a 0 in the patch can turn part of the style off.
+  const styleChanges = source.rectangles && source.rectangles.style;
+  if (styleChanges && typeof styleChanges === "object") {
+    const style = rectStyle.normalizeStyle({ ...plan.rectangles.style, ...styleChanges });
+    if (style) rectangles.style = style;
+    else delete rectangles.style;
+  }
+  if (rectangles.minSize && rectangles.maxSize && rectangles.minSize > rectangles.maxSize) {
+    rectangles.maxSize = rectangles.minSize;
+  }
+
+  return { rectangles, colorZones: [...added, ...kept].slice(0, MAX_ZONES) };
+}
+
+// What the model is shown: the plan with each zone's index spelled out.
+function describePlan(plan) {
+  return JSON.stringify({
+    rectangles: plan.rectangles,
+    colorZones: plan.colorZones.map((zone, index) => ({ index, ...zone })),
+  });
+}
+
+// A refined plan in the `/api/generate` result shape: an art plan while it has zones, plain
+// rectangle settings once none are left.
+function toResult(plan) {
+  if (plan.colorZones.length) {
+    return { type: "art_plan", config: plan };
+  }
+  return { type: "rectangles", config: { ...plan.rectangles } };
+}
+
+module.exports = {
+  MAX_ZONES,
+  toPlan,
+  applyPlanPatch,
+  describePlan,
+  toResult,
+};
@@ -0,0 +1,226 @@
+// Headless rendering of saved history entries. Drawing goes through the same artRenderer.js the
+// page uses, on @napi-rs/canvas (Skia on the CPU), so no GPU or browser is needed.
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { createCanvas } = require("@napi-rs/canvas");
+const placement = require("../placement");
+const renderer = require("../artRenderer");
+const zoneShapes = require("../zoneShapes");
+const historyLayout = require("./historyLayout");
+
+const MAX_IMAGE_DIMENSION = 4096; // per side, keeps a single render within server memory
+const DEFAULT_COLOR = "#1f77b4";
+const LAYOUT_CACHE_LIMIT = 50;
+const LAYOUT_CACHE_MAX_RECTS = 250000; // about five layouts at the 50,000 count ceiling
+const LAYOUT_TIME_BUDGET_MS = 5000; // per regeneration; slower layouts are refused with a 503
+const MAX_LAYOUT_WORKERS = 2; // regenerations running at once; more are refused with a 503
+
+// A seeded layout that can't be regenerated right now: the server is busy with others, or it
+// takes longer than the time budget. Carries the HTTP status the route should answer with.
+class LayoutUnavailableError extends Error {
+  constructor(message, statusCode = 503) {
+    super(message);
+    this.name = "LayoutUnavailableError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Seeded entries are stored without rectangles and regenerating 50,000 of them takes a while,
+// so keep the most recently rendered layouts around (Map iteration order doubles as LRU order).
+// Both the number of layouts and their rectangles in total are bounded.
+const layoutCache = new Map();
+let cachedRectCount = 0;
+
+function cacheLayout(id, rects) {
+  if (layoutCache.has(id)) cachedRectCount -= layoutCache.get(id).length;
+  layoutCache.delete(id);
+  if (rects.length > LAYOUT_CACHE_MAX_RECTS) return;
+  layoutCache.set(id, rects);
+  cachedRectCount += rects.length;
+  while (layoutCache.size > LAYOUT_CACHE_LIMIT || cachedRectCount > LAYOUT_CACHE_MAX_RECTS) {
+    const oldest = layoutCache.keys().next().value;
+    cachedRectCount -= layoutCache.get(oldest).length;
+    layoutCache.delete(oldest);
+  }
+}
+
+let runningWorkers = 0;
+// Regenerations in progress by entry id, so simultaneous requests for one image share a worker.
+const pendingLayouts = new Map();
+
+// Runs placement.generateRectangles on a worker thread (layoutWorker.js). Rejects with a
+// LayoutUnavailableError when too many are running or this one exceeds the time budget.
+function regenerateLayout(job) {
+  if (runningWorkers >= MAX_LAYOUT_WORKERS) {
+    return Promise.reject(
+      new LayoutUnavailableError("The server is busy drawing other art. Try again shortly.")
+    );
+  }
+  runningWorkers++;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, "layoutWorker.js"), { workerData: job });
+    let settled = false;
+    function settle(error, rects) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      runningWorkers--;
+      if (error) reject(error);
+      else resolve(rects);
+    }
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      settle(new LayoutUnavailableError("This art takes too long to draw on the server."));
+    }, LAYOUT_TIME_BUDGET_MS);
+    worker.once("message", (rects) => settle(null, rects));
+    worker.once("error", (error) => settle(error));
+    worker.once("exit", (code) => settle(new Error(`Layout worker exited with code ${code}.`)));
+  });
+}
+
+function toFiniteNumber(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// Zones of an unknown type were drawn as circles before other shapes existed, and still are.
+function sanitizeColorZones(zones) {
+  if (!Array.isArray(zones)) return [];
+  return zones
+    .filter((zone) => zone && typeof zone === "object")
+    .map((zone) =>
+      zoneShapes.normalizeZone({
+        ...zone,
+        type: zoneShapes.ZONE_TYPES.includes(zone.type) ? zone.type : "circle",
+      })
+    )
+    .filter(Boolean);
+}
+
+// Turn a stored entry ({ id, config, rectangles, canvasWidth, canvasHeight }) into the
+// renderDetails shape artRenderer.js draws. Seeded entries without rectangles are regenerated
+// from their seed at the stored canvas size, exactly as the page replays them. Counts and sizes
+// are clamped first, as the page does, and rows saved before those limits were enforced at save
+// time are not regenerated at all when their canvas size is out of range. Regeneration runs on a
+// worker thread and rejects with a LayoutUnavailableError when it can't be done in time.
+async function resolveLayout(entry) {
+  const rawConfig = entry.config && typeof entry.config === "object" ? entry.config : {};
+  const config = historyLayout.clampLayoutConfig({
+    ...rawConfig,
+    color: typeof rawConfig.color === "string" ? rawConfig.color : DEFAULT_COLOR,
+    colorZones: sanitizeColorZones(rawConfig.colorZones),
+  });
+  const canvasWidth = toFiniteNumber(entry.canvasWidth, 0);
+  const canvasHeight = toFiniteNumber(entry.canvasHeight, 0);
+
+  let rects;
+  try {
+    rects = historyLayout.sanitizeRectangles(entry.rectangles);
+  } catch (error) {
+    rects = [];
+  }
+  const seed = placement.normalizeSeed(config.seed);
+  if (
+    rects.length === 0 &&
+    seed !== null &&
+    historyLayout.isCanvasDimension(canvasWidth) &&
+    historyLayout.isCanvasDimension(canvasHeight)
+  ) {
+    const cached = entry.id ? layoutCache.get(entry.id) : null;
+    if (cached) {
+      rects = cached;
+      cacheLayout(entry.id, cached);
+    } else if (entry.id && pendingLayouts.has(entry.id)) {
+      rects = await pendingLayouts.get(entry.id);
+    } else {
+      const pending = regenerateLayout({
+        width: canvasWidth,
+        height: canvasHeight,
+        count: config.count,
+        minSize: config.minSize,
+        maxSize: config.maxSize,
+        options: {
+          seed,
+          layout: config.layout,
+          rotation: config.style?.rotation,
+          zones: config.colorZones,
+        },
+      });
+      if (entry.id) pendingLayouts.set(entry.id, pending);
+      try {
+        rects = await pending;
+      } finally {
+        if (entry.id) pendingLayouts.delete(entry.id);
+      }
+      if (entry.id) cacheLayout(entry.id, rects);
+    }
+  }
+
+  return { rects, config, canvasWidth, canvasHeight };
+}
+
+// Output size for a layout. With only one of `width`/`height` the other follows the layout's
+// aspect ratio; with neither the stored canvas size is used. Returns null for invalid sizes.
+function resolveImageSize(layout, width, height) {
+  const aspect =
+    layout.canvasWidth > 0 && layout.canvasHeight > 0
+      ? layout.canvasWidth / layout.canvasHeight
+      : 1;
+
+  let targetWidth = width;
+  let targetHeight = height;
+  if (targetWidth === undefined && targetHeight === undefined) {
+    targetWidth = layout.canvasWidth;
+    targetHeight = layout.canvasHeight;
+  } else if (targetHeight === undefined) {
+    targetHeight = targetWidth / aspect;
+  } else if (targetWidth === undefined) {
+    targetWidth = targetHeight * aspect;
+  }
+
+  targetWidth = Math.round(targetWidth);
+  targetHeight = Math.round(targetHeight);
+  if (
+    !Number.isFinite(targetWidth) ||
+    !Number.isFinite(targetHeight) ||
+    targetWidth < 1 ||
+    targetHeight < 1 ||
+    targetWidth > MAX_IMAGE_DIMENSION ||
+    targetHeight > MAX_IMAGE_DIMENSION
+  ) {
+    return null;
+  }
+  return { width: targetWidth, height: targetHeight };
+}
+
+// Rasterize a layout to a PNG buffer. `size` comes from resolveImageSize().
+async function renderPng(layout, size, options = {}) {
+  const canvas = createCanvas(size.width, size.height);
+  const ctx = canvas.getContext("2d");
+  renderer.drawArtwork(ctx, layout, {
+    width: size.width,
+    height: size.height,
+    includeZoneGuides: options.includeZoneGuides,
+    background: options.background,
+  });
+  return canvas.encode("png");
+}
+
+function renderSvg(layout, options = {}) {
+  return renderer.buildSvg(layout, {
+    includeZoneGuides: options.includeZoneGuides,
+    title: options.title,
+  });
+}
+
+module.exports = {
+  MAX_IMAGE_DIMENSION,
+  LayoutUnavailableError,
+  resolveLayout,
+  resolveImageSize,
+  renderPng,
+  renderSvg,
+};
@@ -0,0 +1,93 @@
+// Rules every history store shares, so paging, search and filters behave the same whichever
+// backend is configured. Postgres applies them in SQL; SQLite and the JSON file use these helpers.
+
+const crypto = require("crypto");
+const { encodeCursor, tokenizeSearch } = require("../historyQuery");
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+// True when every search token is the start of some word in the prompt (Postgres: `'token':*`
+// with the 'simple' text search configuration).
+function promptMatches(prompt, tokens) {
+  if (!tokens.length) return true;
+  const words = tokenizeSearch(prompt);
+  return tokens.every((token) => words.some((word) => word.startsWith(token)));
+}
+
+// `created_at` for the SQLite and file stores: ISO 8601 in UTC, which sorts correctly as text.
+function nowTimestamp() {
+  return new Date().toISOString();
+}
+
+// Trim a "limit + 1" result to one page. `sortKeyOf(row)` returns the text timestamp the cursor
+// should carry for that row.
+function toPage(rows, limit, sortKeyOf) {
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  return {
+    items,
+    nextCursor: hasMore && last ? encodeCursor(sortKeyOf(last), last.id) : null,
+  };
+}
+
+// Newest first, ties broken by id, matching `ORDER BY created_at DESC, id DESC`.
+function compareNewestFirst(a, b) {
+  if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? 1 : -1;
+  if (a.id !== b.id) return a.id < b.id ? 1 : -1;
+  return 0;
+}
+
+// Lists show public entries to everyone and the rest only to their owner.
+function isListedFor(entry, viewerId) {
+  return entry.visibility === "public" || (!!viewerId && entry.ownerId === viewerId);
+}
+
+// Opening one entry by id (permalinks, images) also works for unlisted ones; private entries
+// stay with their owner.
+function isVisibleTo(entry, viewerId) {
+  return entry.visibility !== "private" || (!!viewerId && entry.ownerId === viewerId);
+}
+
+// In-memory version of the list query for stores without SQL filtering. `entries` hold
+// ISO `createdAt` strings.
+function filterEntries(entries, query) {
+  const from = query.from ? query.from.date.toISOString() : null;
+  const to = query.to ? query.to.date.toISOString() : null;
+  const cursor = query.cursor
+    ? {
+        createdAt: normalizeTimestamp(query.cursor.createdAt),
+        id: query.cursor.id.toLowerCase(),
+      }
+    : null;
+
+  return entries.filter((entry) => {
+    if (query.mine ? entry.ownerId !== query.viewerId : !isListedFor(entry, query.viewerId)) {
+      return false;
+    }
+    if (query.resultType && entry.resultType !== query.resultType) return false;
+    if (from && entry.createdAt < from) return false;
+    if (to && (query.to.inclusive ? entry.createdAt > to : entry.createdAt >= to)) return false;
+    if (cursor && compareNewestFirst(entry, cursor) <= 0) return false;
+    return promptMatches(entry.prompt, query.tokens);
+  });
+}
+
+// Cursors are opaque to clients but may come from any store; bring them to ISO form.
+function normalizeTimestamp(value) {
+  const time = Date.parse(String(value).replace(" ", "T").replace(/([+-]\d{2})$/, "$1:00"));
+  return Number.isNaN(time) ? String(value) : new Date(time).toISOString();
+}
+
+module.exports = {
+  newId,
+  promptMatches,
+  nowTimestamp,
+  toPage,
+  isVisibleTo,
+  compareNewestFirst,
+  filterEntries,
+  normalizeTimestamp,
+};
@@ -0,0 +1,262 @@
+// History kept in a single JSON file. Meant for local development and demos: the whole file is
+// read at startup and rewritten on every change. Applied migrations are listed in the file
+// next to the data: `{ "migrations": [...], "entries": [...], "users": [...], "sessions": [...] }`.
+
+const fs = require("fs");
+const path = require("path");
+const common = require("./common");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "..", "..", "data", "history.json");
+
+function createFileStore(options = {}) {
+  const filePath = path.resolve(options.filePath || DEFAULT_FILE_PATH);
+  // Everything but the migrations list; its shape is whatever the applied migrations made it.
+  let data = {};
+  let migrations = [];
+  let loaded = false;
+  let writeQueue = Promise.resolve();
+
+  async function init() {
+    try {
+      const raw = await fs.promises.readFile(filePath, "utf8");
+      const { migrations: applied, ...parsed } = JSON.parse(raw) || {};
+      data = parsed;
+      // Files written before migrations existed have no list; migration 001 adopts them as-is.
+      migrations = Array.isArray(applied) ? applied : [];
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Unable to read history file ${filePath}: ${error.message}`);
+      }
+      data = {};
+      migrations = [];
+    }
+    loaded = true;
+    const count = Array.isArray(data.entries) ? data.entries.length : 0;
+    console.log(`History file loaded (${count} entries in ${filePath}).`);
+  }
+
+  // Writes go through a temp file + rename, so a crash mid-write leaves the previous file intact.
+  async function writeFile(nextData, nextMigrations) {
+    const snapshot = JSON.stringify({ migrations: nextMigrations, ...nextData }, null, 2);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, snapshot);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Runs `task` after every earlier one has finished. A failed task rejects only its own
+  // promise; the queue carries on with the next.
+  function enqueue(task) {
+    const next = writeQueue.then(task);
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  // Applies `change` to a copy of the data and writes it; the copy only becomes the data once
+  // the write succeeded, so a failed write leaves memory and file in agreement. Resolves to what
+  // `change` returns.
+  function update(change) {
+    return enqueue(async () => {
+      const draft = clone(data);
+      const result = change(draft);
+      await writeFile(draft, migrations);
+      data = draft;
+      return result;
+    });
+  }
+
+  function ensureLoaded() {
+    if (!loaded) throw new Error("History file store used before init().");
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // Entries keep only the owner's id; the name is looked up when they are read.
+  function toEntry(stored) {
+    const owner = stored.ownerId ? data.users.find((user) => user.id === stored.ownerId) : null;
+    return { ...clone(stored), ownerName: owner ? owner.username : null };
+  }
+
+  async function listAppliedMigrations() {
+    ensureLoaded();
+    return migrations.map((migration) => ({ ...migration }));
+  }
+
+  // `transform` maps the file contents to their migrated form. Nothing changes in memory unless
+  // both it and the write succeed, and the file is rewritten once per migration.
+  async function applyMigration(migration, direction, transform) {
+    ensureLoaded();
+    await enqueue(async () => {
+      const migrated = transform(clone(data));
+      const applied =
+        direction === "up"
+          ? [
+              ...migrations,
+              { id: migration.id, name: migration.name, appliedAt: common.nowTimestamp() },
+            ]
+          : migrations.filter((item) => item.id !== migration.id);
+      await writeFile(migrated, applied);
+      data = migrated;
+      migrations = applied;
+    });
+  }
+
+  async function listEntries(query) {
+    ensureLoaded();
+    const rows = common
+      .filterEntries(data.entries, query)
+      .sort(common.compareNewestFirst)
+      .slice(0, query.limit + 1);
+    const page = common.toPage(rows, query.limit, (row) => row.createdAt);
+    return { items: page.items.map(toEntry), nextCursor: page.nextCursor };
+  }
+
+  async function getEntry(id) {
+    ensureLoaded();
+    const entry = data.entries.find((item) => item.id === id.toLowerCase());
+    return entry ? toEntry(entry) : null;
+  }
+
+  async function createEntry(fields) {
+    ensureLoaded();
+    const entry = {
+      id: common.newId(),
+      prompt: fields.prompt,
+      resultType: fields.resultType,
+      createdAt: common.nowTimestamp(),
+      config: fields.config,
+      rectangles: fields.rectangles,
+      canvasWidth: fields.canvasWidth,
+      canvasHeight: fields.canvasHeight,
+      seed: fields.seed ?? null,
+      title: fields.title ?? null,
+      tags: fields.tags || [],
+      ownerId: fields.ownerId ?? null,
+      visibility: fields.visibility || "public",
+      parentId: fields.parentId ?? null,
+    };
+    await update((draft) => draft.entries.push(clone(entry)));
+    return toEntry(entry);
+  }
+
+  async function setEntryVisibility(id, visibility) {
+    ensureLoaded();
+    const matches = (item) => item.id === id.toLowerCase();
+    if (!data.entries.some(matches)) return null;
+    const entry = await update((draft) => {
+      const stored = draft.entries.find(matches);
+      if (stored) stored.visibility = visibility;
+      return stored;
+    });
+    return entry ? toEntry(entry) : null;
+  }
+
+  async function deleteEntry(id) {
+    ensureLoaded();
+    const target = id.toLowerCase();
+    if (!data.entries.some((item) => item.id === target)) return false;
+    return update((draft) => {
+      const before = draft.entries.length;
+      draft.entries = draft.entries.filter((item) => item.id !== target);
+      // Refinements of the entry stay, without a parent.
+      for (const entry of draft.entries) {
+        if (entry.parentId === target) entry.parentId = null;
+      }
+      return draft.entries.length !== before;
+    });
+  }
+
+  async function createUser({ username, passwordHash }) {
+    ensureLoaded();
+    const taken = (users) => users.some((user) => user.username === username);
+    if (taken(data.users)) return null;
+    const user = { id: common.newId(), username, passwordHash, createdAt: common.nowTimestamp() };
+    const created = await update((draft) => {
+      if (taken(draft.users)) return false;
+      draft.users.push(user);
+      return true;
+    });
+    return created ? { id: user.id, username: user.username, createdAt: user.createdAt } : null;
+  }
+
+  async function findUserByUsername(username) {
+    ensureLoaded();
+    const user = data.users.find((item) => item.username === username);
+    return user ? { id: user.id, username: user.username, passwordHash: user.passwordHash } : null;
+  }
+
+  async function deleteUser(id) {
+    ensureLoaded();
+    if (!data.users.some((user) => user.id === id)) return false;
+    return update((draft) => {
+      const before = draft.users.length;
+      draft.users = draft.users.filter((user) => user.id !== id);
+      draft.sessions = draft.sessions.filter((session) => session.userId !== id);
+      for (const entry of draft.entries) {
+        if (entry.ownerId === id) entry.ownerId = null;
+      }
+      return draft.users.length !== before;
+    });
+  }
+
+  async function createSession({ tokenHash, userId, expiresAt }) {
+    ensureLoaded();
+    const session = {
+      tokenHash,
+      userId,
+      createdAt: common.nowTimestamp(),
+      expiresAt: expiresAt.toISOString(),
+    };
+    await update((draft) => draft.sessions.push(session));
+  }
+
+  async function getSessionUser(tokenHash) {
+    ensureLoaded();
+    const now = common.nowTimestamp();
+    const session = data.sessions.find(
+      (item) => item.tokenHash === tokenHash && item.expiresAt > now
+    );
+    const user = session && data.users.find((item) => item.id === session.userId);
+    return user ? { id: user.id, username: user.username } : null;
+  }
+
+  async function deleteSession(tokenHash) {
+    ensureLoaded();
+    const now = common.nowTimestamp();
+    // Expired sessions are swept out along the way.
+    const keep = (item) => item.tokenHash !== tokenHash && item.expiresAt > now;
+    if (data.sessions.every(keep)) return;
+    await update((draft) => {
+      draft.sessions = draft.sessions.filter(keep);
+    });
+  }
+
+  async function close() {
+    await writeQueue;
+  }
+
+  return {
+    name: "file",
+    description: filePath,
+    isConfigured: () => true,
+    init,
+    listAppliedMigrations,
+    applyMigration,
+    listEntries,
+    getEntry,
+    createEntry,
+    setEntryVisibility,
+    deleteEntry,
+    createUser,
+    findUserByUsername,
+    deleteUser,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    close,
+  };
+}
+
+module.exports = { createFileStore };
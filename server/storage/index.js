@@ -0,0 +1,75 @@
+const { createPostgresStore } = require("./postgresStore");
+const { createSqliteStore } = require("./sqliteStore");
+const { createFileStore } = require("./fileStore");
+const common = require("./common");
+
+const STORE_NAMES = ["postgres", "sqlite", "file"];
+
+// Every store implements the same async interface:
+//   init()                 open the connection or load the data (the schema comes from migrations)
+//   listAppliedMigrations() [{ id, name, appliedAt }] recorded by server/migrate.js
+//   applyMigration(migration, direction, steps)  run one migration's steps and record it, atomically
+//   listEntries(query)     one page for a parsed historyQuery plus `viewerId` -> { items, nextCursor }
+//   getEntry(id)           entry or null, whoever owns it
+//   createEntry(fields)    { prompt, resultType, config, rectangles, canvasWidth, canvasHeight,
+//                            seed, title, tags, ownerId, visibility, parentId } -> entry
+//   setEntryVisibility(id, visibility)  updated entry or null
+//   deleteEntry(id)        true when something was deleted; entries with it as parentId lose it
+//   createUser({ username, passwordHash })  user, or null when the username is taken
+//   findUserByUsername(username)  { id, username, passwordHash } or null
+//   deleteUser(id)         their sessions go too; their entries are kept without an owner
+//   createSession({ tokenHash, userId, expiresAt }), getSessionUser(tokenHash), deleteSession(tokenHash)
+//   close()
+// plus `name`, `description` and `isConfigured()`. Entries come back with `ownerName`,
+// `visibility` ("public", "unlisted" (only opened by link) or "private") and `parentId`, the
+// entry a refinement was made from.
+
+function resolveStoreName(env) {
+  const configured = (env.HISTORY_STORE || "").trim().toLowerCase();
+  if (configured) return configured;
+  // Without an explicit choice, use Postgres when it is configured and a local file otherwise.
+  return (env.DATABASE_URL || "").trim() ? "postgres" : "file";
+}
+
+function createStore(name, options = {}) {
+  switch (name) {
+    case "postgres":
+      return createPostgresStore(options);
+    case "sqlite":
+      return createSqliteStore(options);
+    case "file":
+      return createFileStore(options);
+    default:
+      throw new Error(
+        `Unknown HISTORY_STORE "${name}". Expected one of: ${STORE_NAMES.join(", ")}.`
+      );
+  }
+}
+
+function resolveStoreOptions(name, env) {
+  if (name === "postgres") {
+    return {
+      connectionString: (env.DATABASE_URL || "").trim(),
+      ssl: env.NODE_ENV === "production",
+    };
+  }
+  if (name === "sqlite") {
+    return { dbPath: (env.HISTORY_SQLITE_PATH || "").trim() || undefined };
+  }
+  if (name === "file") {
+    return { filePath: (env.HISTORY_FILE_PATH || "").trim() || undefined };
+  }
+  return {};
+}
+
+function createStoreFromEnv(env = process.env) {
+  const name = resolveStoreName(env);
+  return createStore(name, resolveStoreOptions(name, env));
+}
+
+module.exports = {
+  STORE_NAMES,
+  isVisibleTo: common.isVisibleTo,
+  createStore,
+  createStoreFromEnv,
+};
@@ -0,0 +1,287 @@
+// History in Postgres (Neon or any other server), selected with DATABASE_URL.
+
+const { Pool } = require("pg");
+const common = require("./common");
+
+// Entries are read as `art_history h LEFT JOIN users u`, so the owner's name comes along.
+const ENTRY_COLUMNS = `
+  h.id::text AS id,
+  h.prompt,
+  h.result_type AS "resultType",
+  h.created_at AS "createdAt",
+  h.config,
+  h.rectangles,
+  h.canvas_width AS "canvasWidth",
+  h.canvas_height AS "canvasHeight",
+  h.seed::float8 AS seed,
+  h.title,
+  h.tags,
+  h.owner_id::text AS "ownerId",
+  u.username AS "ownerName",
+  h.visibility,
+  h.parent_id::text AS "parentId"`;
+
+const ENTRY_SOURCE = "art_history h LEFT JOIN users u ON u.id = h.owner_id";
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  id integer PRIMARY KEY,
+  name text NOT NULL,
+  applied_at timestamptz NOT NULL DEFAULT now()
+)`;
+
+function createPostgresStore(options = {}) {
+  const connectionString = options.connectionString || "";
+  const pool = connectionString
+    ? new Pool({
+        connectionString,
+        ssl: options.ssl ? { rejectUnauthorized: false } : false,
+      })
+    : null;
+
+  function requirePool() {
+    if (!pool) throw new Error("DATABASE_URL is not configured.");
+    return pool;
+  }
+
+  // The schema itself is managed by migrations (`npm run migrate`); init only checks the connection.
+  async function init() {
+    if (!pool) {
+      console.warn("Skipping database check: DATABASE_URL not provided.");
+      return;
+    }
+    await pool.query("SELECT 1");
+  }
+
+  async function listAppliedMigrations() {
+    const db = requirePool();
+    const { rows: tables } = await db.query(
+      "SELECT to_regclass('schema_migrations') IS NOT NULL AS present"
+    );
+    if (!tables[0].present) return [];
+    const { rows } = await db.query(
+      `SELECT id, name, applied_at AS "appliedAt" FROM schema_migrations ORDER BY id`
+    );
+    return rows;
+  }
+
+  // One transaction per migration: Postgres DDL is transactional, so a failing statement leaves
+  // neither the schema change nor the bookkeeping row behind.
+  async function applyMigration(migration, direction, statements) {
+    const client = await requirePool().connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(MIGRATIONS_TABLE);
+      for (const statement of statements) {
+        await client.query(statement);
+      }
+      if (direction === "up") {
+        await client.query("INSERT INTO schema_migrations (id, name) VALUES ($1, $2)", [
+          migration.id,
+          migration.name,
+        ]);
+      } else {
+        await client.query("DELETE FROM schema_migrations WHERE id = $1", [migration.id]);
+      }
+      await client.query("COMMIT");
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function listEntries(query) {
+    const conditions = [];
+    const params = [];
+    const param = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    if (query.mine) {
+      conditions.push(`h.owner_id = ${param(query.viewerId)}`);
+    } else if (query.viewerId) {
+      conditions.push(`(h.visibility = 'public' OR h.owner_id = ${param(query.viewerId)})`);
+    } else {
+      conditions.push("h.visibility = 'public'");
+    }
+    if (query.tokens.length) {
+      const tsquery = query.tokens.map((token) => `'${token}':*`).join(" & ");
+      conditions.push(`to_tsvector('simple', h.prompt) @@ to_tsquery('simple', ${param(tsquery)})`);
+    }
+    if (query.resultType) {
+      conditions.push(`h.result_type = ${param(query.resultType)}`);
+    }
+    if (query.from) {
+      conditions.push(`h.created_at >= ${param(query.from.date.toISOString())}`);
+    }
+    if (query.to) {
+      const operator = query.to.inclusive ? "<=" : "<";
+      conditions.push(`h.created_at ${operator} ${param(query.to.date.toISOString())}`);
+    }
+    if (query.cursor) {
+      conditions.push(
+        `(h.created_at, h.id) < (${param(query.cursor.createdAt)}::timestamptz, ${param(
+          query.cursor.id
+        )}::uuid)`
+      );
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+
+    // One extra row tells us whether another page exists. `sortKey` is the exact timestamp text,
+    // since JavaScript dates would drop the microseconds the cursor comparison needs.
+    const { rows } = await requirePool().query(
+      `SELECT ${ENTRY_COLUMNS}, h.created_at::text AS "sortKey"
+      FROM ${ENTRY_SOURCE}
+      ${where}
+      ORDER BY h.created_at DESC, h.id DESC
+      LIMIT ${param(query.limit + 1)}`,
+      params
+    );
+
+    const page = common.toPage(rows, query.limit, (row) => row.sortKey);
+    return {
+      items: page.items.map(({ sortKey, ...entry }) => entry),
+      nextCursor: page.nextCursor,
+    };
+  }
+
+  async function getEntry(id) {
+    const { rows } = await requirePool().query(
+      `SELECT ${ENTRY_COLUMNS} FROM ${ENTRY_SOURCE} WHERE h.id = $1`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  async function createEntry(fields) {
+    const { rows } = await requirePool().query(
+      `WITH h AS (
+        INSERT INTO art_history (
+          id,
+          prompt,
+          result_type,
+          config,
+          rectangles,
+          canvas_width,
+          canvas_height,
+          seed,
+          title,
+          tags,
+          owner_id,
+          visibility,
+          parent_id
+        ) VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      )
+      SELECT ${ENTRY_COLUMNS} FROM h LEFT JOIN users u ON u.id = h.owner_id;`,
+      [
+        common.newId(),
+        fields.prompt,
+        fields.resultType,
+        JSON.stringify(fields.config),
+        JSON.stringify(fields.rectangles),
+        fields.canvasWidth,
+        fields.canvasHeight,
+        fields.seed ?? null,
+        fields.title ?? null,
+        fields.tags || [],
+        fields.ownerId ?? null,
+        fields.visibility || "public",
+        fields.parentId ?? null,
+      ]
+    );
+    return rows[0];
+  }
+
+  async function setEntryVisibility(id, visibility) {
+    const { rowCount } = await requirePool().query(
+      "UPDATE art_history SET visibility = $2 WHERE id = $1",
+      [id, visibility]
+    );
+    return rowCount > 0 ? getEntry(id) : null;
+  }
+
+  async function deleteEntry(id) {
+    const { rowCount } = await requirePool().query("DELETE FROM art_history WHERE id = $1", [id]);
+    return rowCount > 0;
+  }
+
+  // Usernames are stored lowercased; the unique constraint settles concurrent sign-ups.
+  async function createUser({ username, passwordHash }) {
+    const { rows } = await requirePool().query(
+      `INSERT INTO users (id, username, password_hash) VALUES ($1, $2, $3)
+      ON CONFLICT (username) DO NOTHING
+      RETURNING id::text AS id, username, created_at AS "createdAt"`,
+      [common.newId(), username, passwordHash]
+    );
+    return rows[0] || null;
+  }
+
+  async function findUserByUsername(username) {
+    const { rows } = await requirePool().query(
+      `SELECT id::text AS id, username, password_hash AS "passwordHash"
+      FROM users WHERE username = $1`,
+      [username]
+    );
+    return rows[0] || null;
+  }
+
+  async function deleteUser(id) {
+    const { rowCount } = await requirePool().query("DELETE FROM users WHERE id = $1", [id]);
+    return rowCount > 0;
+  }
+
+  async function createSession({ tokenHash, userId, expiresAt }) {
+    await requirePool().query(
+      "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)",
+      [tokenHash, userId, expiresAt.toISOString()]
+    );
+  }
+
+  async function getSessionUser(tokenHash) {
+    const { rows } = await requirePool().query(
+      `SELECT u.id::text AS id, u.username
+      FROM sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = $1 AND s.expires_at > now()`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  }
+
+  async function deleteSession(tokenHash) {
+    await requirePool().query("DELETE FROM sessions WHERE token_hash = $1 OR expires_at <= now()", [
+      tokenHash,
+    ]);
+  }
+
+  async function close() {
+    if (pool) await pool.end();
+  }
+
+  return {
+    name: "postgres",
+    description: pool ? "DATABASE_URL" : "DATABASE_URL not set",
+    isConfigured: () => !!pool,
+    configurationError: "DATABASE_URL is not configured.",
+    init,
+    listAppliedMigrations,
+    applyMigration,
+    listEntries,
+    getEntry,
+    createEntry,
+    setEntryVisibility,
+    deleteEntry,
+    createUser,
+    findUserByUsername,
+    deleteUser,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    close,
+  };
+}
+
+module.exports = { createPostgresStore };
@@ -0,0 +1,292 @@
+// History in an embedded SQLite database (better-sqlite3). No server to run; the database is a
+// single file. better-sqlite3 is an optional dependency, loaded only when this store is selected.
+
+const fs = require("fs");
+const path = require("path");
+const common = require("./common");
+
+const DEFAULT_DB_PATH = path.join(__dirname, "..", "..", "data", "history.sqlite");
+
+function loadDriver() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      'HISTORY_STORE=sqlite needs the "better-sqlite3" package. Install it with `npm install better-sqlite3`.'
+    );
+  }
+}
+
+function rowToEntry(row) {
+  return {
+    id: row.id,
+    prompt: row.prompt,
+    resultType: row.result_type,
+    createdAt: row.created_at,
+    config: JSON.parse(row.config),
+    rectangles: JSON.parse(row.rectangles),
+    canvasWidth: row.canvas_width,
+    canvasHeight: row.canvas_height,
+    seed: row.seed,
+    title: row.title,
+    tags: JSON.parse(row.tags),
+    ownerId: row.owner_id,
+    ownerName: row.owner_name,
+    visibility: row.visibility,
+    parentId: row.parent_id,
+  };
+}
+
+const ENTRY_SELECT =
+  "SELECT h.*, u.username AS owner_name FROM art_history h LEFT JOIN users u ON u.id = h.owner_id";
+
+function createSqliteStore(options = {}) {
+  const dbPath =
+    options.dbPath === ":memory:" ? ":memory:" : path.resolve(options.dbPath || DEFAULT_DB_PATH);
+  let db = null;
+
+  async function init() {
+    const Database = loadDriver();
+    if (dbPath !== ":memory:") {
+      fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    db = new Database(dbPath);
+    db.pragma("journal_mode = WAL");
+    db.pragma("foreign_keys = ON");
+    // Prompt search uses the same word-prefix rule as the other stores.
+    db.function("prompt_matches", { deterministic: true }, (prompt, tokensJson) =>
+      common.promptMatches(prompt, JSON.parse(tokensJson)) ? 1 : 0
+    );
+    // Tables are created and changed by migrations (`npm run migrate`), not here.
+    console.log(`SQLite history opened (${dbPath}).`);
+  }
+
+  function database() {
+    if (!db) throw new Error("SQLite history store used before init().");
+    return db;
+  }
+
+  async function listAppliedMigrations() {
+    const present = database()
+      .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+      .get();
+    if (!present) return [];
+    return database()
+      .prepare("SELECT id, name, applied_at AS appliedAt FROM schema_migrations ORDER BY id")
+      .all();
+  }
+
+  async function applyMigration(migration, direction, statements) {
+    const db = database();
+    db.transaction(() => {
+      db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )`);
+      for (const statement of statements) {
+        db.exec(statement);
+      }
+      if (direction === "up") {
+        db.prepare("INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)").run(
+          migration.id,
+          migration.name,
+          common.nowTimestamp()
+        );
+      } else {
+        db.prepare("DELETE FROM schema_migrations WHERE id = ?").run(migration.id);
+      }
+    })();
+  }
+
+  async function listEntries(query) {
+    const conditions = [];
+    const params = {};
+
+    if (query.mine) {
+      conditions.push("h.owner_id = @viewerId");
+      params.viewerId = query.viewerId;
+    } else if (query.viewerId) {
+      conditions.push("(h.visibility = 'public' OR h.owner_id = @viewerId)");
+      params.viewerId = query.viewerId;
+    } else {
+      conditions.push("h.visibility = 'public'");
+    }
+    if (query.tokens.length) {
+      conditions.push("prompt_matches(h.prompt, @tokens)");
+      params.tokens = JSON.stringify(query.tokens);
+    }
+    if (query.resultType) {
+      conditions.push("h.result_type = @resultType");
+      params.resultType = query.resultType;
+    }
+    if (query.from) {
+      conditions.push("h.created_at >= @from");
+      params.from = query.from.date.toISOString();
+    }
+    if (query.to) {
+      conditions.push(`h.created_at ${query.to.inclusive ? "<=" : "<"} @to`);
+      params.to = query.to.date.toISOString();
+    }
+    if (query.cursor) {
+      conditions.push(
+        "(h.created_at < @cursorCreatedAt OR (h.created_at = @cursorCreatedAt AND h.id < @cursorId))"
+      );
+      params.cursorCreatedAt = common.normalizeTimestamp(query.cursor.createdAt);
+      params.cursorId = query.cursor.id.toLowerCase();
+    }
+
+    const where = `WHERE ${conditions.join(" AND ")}`;
+    params.limit = query.limit + 1;
+    const rows = database()
+      .prepare(`${ENTRY_SELECT} ${where} ORDER BY h.created_at DESC, h.id DESC LIMIT @limit`)
+      .all(params);
+
+    return common.toPage(rows.map(rowToEntry), query.limit, (entry) => entry.createdAt);
+  }
+
+  async function getEntry(id) {
+    const row = database()
+      .prepare(`${ENTRY_SELECT} WHERE h.id = ?`)
+      .get(id.toLowerCase());
+    return row ? rowToEntry(row) : null;
+  }
+
+  async function createEntry(fields) {
+    const entry = {
+      id: common.newId(),
+      prompt: fields.prompt,
+      resultType: fields.resultType,
+      createdAt: common.nowTimestamp(),
+      config: fields.config,
+      rectangles: fields.rectangles,
+      canvasWidth: fields.canvasWidth,
+      canvasHeight: fields.canvasHeight,
+      seed: fields.seed ?? null,
+      title: fields.title ?? null,
+      tags: fields.tags || [],
+      ownerId: fields.ownerId ?? null,
+      visibility: fields.visibility || "public",
+      parentId: fields.parentId ?? null,
+    };
+    database()
+      .prepare(
+        `INSERT INTO art_history (
+          id, prompt, result_type, created_at, config, rectangles, canvas_width, canvas_height,
+          seed, title, tags, owner_id, visibility, parent_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        entry.id,
+        entry.prompt,
+        entry.resultType,
+        entry.createdAt,
+        JSON.stringify(entry.config),
+        JSON.stringify(entry.rectangles),
+        entry.canvasWidth,
+        entry.canvasHeight,
+        entry.seed,
+        entry.title,
+        JSON.stringify(entry.tags),
+        entry.ownerId,
+        entry.visibility,
+        entry.parentId
+      );
+    return getEntry(entry.id);
+  }
+
+  async function setEntryVisibility(id, visibility) {
+    const { changes } = database()
+      .prepare("UPDATE art_history SET visibility = ? WHERE id = ?")
+      .run(visibility, id.toLowerCase());
+    return changes > 0 ? getEntry(id) : null;
+  }
+
+  // Refinements of the entry stay, without a parent (Postgres does this with ON DELETE SET NULL).
+  async function deleteEntry(id) {
+    const db = database();
+    const key = id.toLowerCase();
+    return db.transaction(() => {
+      db.prepare("UPDATE art_history SET parent_id = NULL WHERE parent_id = ?").run(key);
+      return db.prepare("DELETE FROM art_history WHERE id = ?").run(key).changes > 0;
+    })();
+  }
+
+  async function createUser({ username, passwordHash }) {
+    const user = { id: common.newId(), username, createdAt: common.nowTimestamp() };
+    const { changes } = database()
+      .prepare(
+        `INSERT INTO users (id, username, password_hash, created_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (username) DO NOTHING`
+      )
+      .run(user.id, user.username, passwordHash, user.createdAt);
+    return changes > 0 ? user : null;
+  }
+
+  async function findUserByUsername(username) {
+    const row = database()
+      .prepare("SELECT id, username, password_hash FROM users WHERE username = ?")
+      .get(username);
+    return row ? { id: row.id, username: row.username, passwordHash: row.password_hash } : null;
+  }
+
+  async function deleteUser(id) {
+    const db = database();
+    return db.transaction(() => {
+      db.prepare("UPDATE art_history SET owner_id = NULL WHERE owner_id = ?").run(id);
+      return db.prepare("DELETE FROM users WHERE id = ?").run(id).changes > 0;
+    })();
+  }
+
+  async function createSession({ tokenHash, userId, expiresAt }) {
+    database()
+      .prepare(
+        "INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)"
+      )
+      .run(tokenHash, userId, common.nowTimestamp(), expiresAt.toISOString());
+  }
+
+  async function getSessionUser(tokenHash) {
+    const row = database()
+      .prepare(
+        `SELECT u.id, u.username FROM sessions s JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > ?`
+      )
+      .get(tokenHash, common.nowTimestamp());
+    return row || null;
+  }
+
+  async function deleteSession(tokenHash) {
+    database()
+      .prepare("DELETE FROM sessions WHERE token_hash = ? OR expires_at <= ?")
+      .run(tokenHash, common.nowTimestamp());
+  }
+
+  async function close() {
+    if (db) db.close();
+    db = null;
+  }
+
+  return {
+    name: "sqlite",
+    description: dbPath,
+    isConfigured: () => true,
+    init,
+    listAppliedMigrations,
+    applyMigration,
+    listEntries,
+    getEntry,
+    createEntry,
+    setEntryVisibility,
+    deleteEntry,
+    createUser,
+    findUserByUsername,
+    deleteUser,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    close,
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,116 @@
+(() => {
+  const DEFAULT_MAX_BYTES = 32 * 1024 * 1024;
+  const DEFAULT_MAX_STEPS = 100;
+  const SNAPSHOT_OVERHEAD_BYTES = 2048; // config, zones and bookkeeping, roughly
+
+  // Undo/redo over finished renders. Each snapshot keeps the exact rectangles in a Float64Array
+  // (32 bytes per rectangle, against several times that for the `{ x, y, w, h }` objects), so
+  // restoring one redraws the same piece instead of regenerating it.
+  //
+  // Snapshots are kept oldest first with a cursor at the one on the canvas. Recording a new one
+  // drops everything after the cursor (the redo side). The oldest snapshots are dropped once the
+  // total passes `options.maxBytes` or there are more than `options.maxSteps`; the current one
+  // is always kept.
+  function createUndoHistory(options = {}) {
+    const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    const maxSteps = options.maxSteps || DEFAULT_MAX_STEPS;
+    let snapshots = [];
+    let cursor = -1;
+    let totalBytes = 0;
+
+    function packRects(rects) {
+      const packed = new Float64Array(rects.length * 4);
+      rects.forEach((rect, index) => {
+        packed[index * 4] = rect.x;
+        packed[index * 4 + 1] = rect.y;
+        packed[index * 4 + 2] = rect.w;
+        packed[index * 4 + 3] = rect.h;
+      });
+      return packed;
+    }
+
+    function unpackRects(packed) {
+      const rects = new Array(packed.length / 4);
+      for (let i = 0; i < rects.length; i++) {
+        rects[i] = {
+          x: packed[i * 4],
+          y: packed[i * 4 + 1],
+          w: packed[i * 4 + 2],
+          h: packed[i * 4 + 3],
+        };
+      }
+      return rects;
+    }
+
+    function trim() {
+      const overBudget = () => totalBytes > maxBytes || snapshots.length > maxSteps;
+      while (cursor > 0 && overBudget()) {
+        totalBytes -= snapshots.shift().bytes;
+        cursor--;
+      }
+    }
+
+    // `state` is what the page needs to put a piece back: `rects` plus anything else it wants
+    // returned (config, canvas size, prompt text...). Returns the stored snapshot so the caller
+    // can fill in details that arrive later, such as the history entry once it is saved.
+    function record(state) {
+      const { rects, ...details } = state;
+      const packed = packRects(Array.isArray(rects) ? rects : []);
+      const snapshot = { ...details, packed, bytes: packed.byteLength + SNAPSHOT_OVERHEAD_BYTES };
+
+      for (const dropped of snapshots.splice(cursor + 1)) totalBytes -= dropped.bytes;
+      snapshots.push(snapshot);
+      totalBytes += snapshot.bytes;
+      cursor = snapshots.length - 1;
+      trim();
+      return snapshot;
+    }
+
+    // The state to restore, with `rects` unpacked and `snapshot` the stored record, or null past
+    // either end.
+    function step(offset) {
+      const target = cursor + offset;
+      if (target < 0 || target >= snapshots.length) return null;
+      cursor = target;
+      const { packed, bytes, ...details } = snapshots[cursor];
+      return { ...details, rects: unpackRects(packed), snapshot: snapshots[cursor] };
+    }
+
+    // The snapshot already on the canvas, e.g. to put it back after an interrupted run.
+    function current() {
+      return step(0);
+    }
+
+    function undo() {
+      return step(-1);
+    }
+
+    function redo() {
+      return step(1);
+    }
+
+    function canUndo() {
+      return cursor > 0;
+    }
+
+    function canRedo() {
+      return cursor < snapshots.length - 1;
+    }
+
+    function clear() {
+      snapshots = [];
+      cursor = -1;
+      totalBytes = 0;
+    }
+
+    function describe() {
+      return { steps: snapshots.length, cursor, bytes: totalBytes, maxBytes, maxSteps };
+    }
+
+    return { record, current, undo, redo, canUndo, canRedo, clear, describe };
+  }
+
+  window.UndoHistory = {
+    createUndoHistory,
+  };
+})();
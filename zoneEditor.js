@@ -0,0 +1,461 @@
+(() => {
+  const HANDLE_RADIUS = 6; // CSS pixels, whatever the layout's scale
+  const CLICK_DISTANCE = 4; // CSS pixels a pointer may travel and still count as a click
+  const MIN_ZONE_SIZE = 4; // layout pixels
+  const DEFAULT_ZONE_SIZE = 60; // layout pixels, for zones added with a click instead of a drag
+  const SELECTION_COLOR = "#1f77b4";
+  const TYPE_LABELS = {
+    circle: "Circle",
+    ellipse: "Ellipse",
+    rectangle: "Rectangle",
+    polygon: "Polygon",
+    linearGradient: "Linear gradient",
+    radialGradient: "Radial gradient",
+  };
+
+  // Edit mode for the color zones on the main canvas. Zones are drawn by dragging with the circle
+  // or rectangle tool, moved by dragging them and resized by their handles; the list in
+  // `options.list` recolors, restacks and deletes them. The editor never draws the artwork: every
+  // change goes to `options.onChange(zones, { final })`, with `final` false while a drag is under
+  // way and true once it ends, and the page redraws (calling drawOverlay() on top) and records it.
+  //
+  // Options:
+  //   canvas        the canvas pointer events come from
+  //   list          <ul> the zone rows are built into
+  //   toolButtons   buttons with `data-zone-tool` ("select", "circle" or "rectangle")
+  //   colorInput    <input type="color"> for new zones
+  //   getZones()    the zones on the canvas, in list order
+  //   getView()     { scale, offsetX, offsetY }: layout coordinates to CSS pixels on the canvas
+  //   canEdit()     false while the canvas can't take edits, e.g. mid-placement
+  //   onChange(zones, { final })
+  function createZoneEditor(options) {
+    const zoneShapes = window.ZoneShapes;
+    const renderer = window.ArtRenderer;
+    const { canvas, list } = options;
+    const toolButtons = Array.from(options.toolButtons || []);
+
+    let active = false;
+    let tool = "select";
+    let selected = -1; // index into the zones, or -1
+    let drag = null; // { mode, pointerId, point, zones, index, handle, moved }
+
+    function zones() {
+      const current = options.getZones();
+      return Array.isArray(current) ? current : [];
+    }
+
+    function view() {
+      return options.getView() || { scale: 1, offsetX: 0, offsetY: 0 };
+    }
+
+    function canEdit() {
+      return typeof options.canEdit !== "function" || options.canEdit();
+    }
+
+    // Canvas pointer position in layout coordinates.
+    function toLayoutPoint(event) {
+      const bounds = canvas.getBoundingClientRect();
+      const { scale, offsetX, offsetY } = view();
+      return {
+        x: (event.clientX - bounds.left - offsetX) / scale,
+        y: (event.clientY - bounds.top - offsetY) / scale,
+      };
+    }
+
+    function distance(a, b) {
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    function axes(angle) {
+      const radians = ((angle || 0) * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      return { u: { x: cos, y: sin }, v: { x: -sin, y: cos } };
+    }
+
+    function isBox(zone) {
+      return zone.type === "rectangle" || zone.type === "linearGradient";
+    }
+
+    // Resize handles, in layout coordinates, keyed by what they change.
+    function handlesFor(zone) {
+      if (zone.type === "circle" || zone.type === "radialGradient") {
+        return [{ key: "radius", x: zone.x + zone.radius, y: zone.y }];
+      }
+      if (zone.type === "ellipse") {
+        const { u, v } = axes(zone.angle);
+        return [
+          { key: "radiusX", x: zone.x + u.x * zone.radiusX, y: zone.y + u.y * zone.radiusX },
+          { key: "radiusY", x: zone.x + v.x * zone.radiusY, y: zone.y + v.y * zone.radiusY },
+        ];
+      }
+      if (isBox(zone)) {
+        return zoneShapes
+          .rectangleCorners(zone)
+          .map((corner, index) => ({ key: index, x: corner.x, y: corner.y }));
+      }
+      if (zone.type === "polygon") {
+        return zone.points.map((point, index) => ({ key: index, x: point.x, y: point.y }));
+      }
+      return [];
+    }
+
+    function handleAt(point) {
+      const zone = zones()[selected];
+      if (!zone) return null;
+      const reach = (HANDLE_RADIUS + 2) / view().scale;
+      return handlesFor(zone).find((handle) => distance(handle, point) <= reach) || null;
+    }
+
+    // The topmost zone under the point, as an index into the zones.
+    function zoneAt(point) {
+      const current = zones();
+      const hit = zoneShapes
+        .zoneLayers(current)
+        .find((zone) => zoneShapes.containsPoint(zone, point.x, point.y));
+      return hit ? current.indexOf(hit) : -1;
+    }
+
+    function resizeZone(zone, handle, point) {
+      if (handle.key === "radius") {
+        return { ...zone, radius: Math.max(MIN_ZONE_SIZE, distance(zone, point)) };
+      }
+      if (handle.key === "radiusX" || handle.key === "radiusY") {
+        const { u, v } = axes(zone.angle);
+        const axis = handle.key === "radiusX" ? u : v;
+        const reach = Math.abs((point.x - zone.x) * axis.x + (point.y - zone.y) * axis.y);
+        return { ...zone, [handle.key]: Math.max(MIN_ZONE_SIZE, reach) };
+      }
+      if (zone.type === "polygon") {
+        const points = zone.points.map((corner, index) =>
+          index === handle.key ? { x: point.x, y: point.y } : corner
+        );
+        return { ...zone, points };
+      }
+      // Boxes keep the opposite corner in place, measured along their own (rotated) sides.
+      const fixed = zoneShapes.rectangleCorners(zone)[(handle.key + 2) % 4];
+      const { u, v } = axes(zone.type === "rectangle" ? zone.angle : 0);
+      const along = (point.x - fixed.x) * u.x + (point.y - fixed.y) * u.y;
+      const across = (point.x - fixed.x) * v.x + (point.y - fixed.y) * v.y;
+      const width = Math.max(MIN_ZONE_SIZE, Math.abs(along));
+      const height = Math.max(MIN_ZONE_SIZE, Math.abs(across));
+      const sideU = (along < 0 ? -width : width) / 2;
+      const sideV = (across < 0 ? -height : height) / 2;
+      const cx = fixed.x + u.x * sideU + v.x * sideV;
+      const cy = fixed.y + u.y * sideU + v.y * sideV;
+      return { ...zone, x: cx - width / 2, y: cy - height / 2, width, height };
+    }
+
+    // A new zone from a drag between two points; a click gives it the default size.
+    function drawnZone(start, point, clicked) {
+      const color = options.colorInput ? options.colorInput.value : SELECTION_COLOR;
+      if (tool === "circle") {
+        const radius = clicked ? DEFAULT_ZONE_SIZE / 2 : distance(start, point);
+        const size = Math.max(MIN_ZONE_SIZE, radius);
+        return { type: "circle", x: start.x, y: start.y, radius: size, color };
+      }
+      if (clicked) {
+        const half = DEFAULT_ZONE_SIZE / 2;
+        return {
+          type: "rectangle",
+          x: start.x - half,
+          y: start.y - half,
+          width: DEFAULT_ZONE_SIZE,
+          height: DEFAULT_ZONE_SIZE,
+          color,
+        };
+      }
+      return {
+        type: "rectangle",
+        x: Math.min(start.x, point.x),
+        y: Math.min(start.y, point.y),
+        width: Math.max(MIN_ZONE_SIZE, Math.abs(point.x - start.x)),
+        height: Math.max(MIN_ZONE_SIZE, Math.abs(point.y - start.y)),
+        color,
+      };
+    }
+
+    function replaceAt(source, index, zone) {
+      return source.map((item, itemIndex) => (itemIndex === index ? zone : item));
+    }
+
+    function commit(next, final) {
+      options.onChange(next, { final });
+    }
+
+    function handlePointerDown(event) {
+      if (!active || event.button !== 0 || !canEdit()) return;
+      const point = toLayoutPoint(event);
+      const start = { point, zones: zones().slice(), pointerId: event.pointerId, moved: false };
+
+      if (tool === "circle" || tool === "rectangle") {
+        // New zones go in front, like the ones a refinement adds.
+        drag = { ...start, mode: "create", index: 0 };
+        selected = 0;
+        commit([drawnZone(point, point, true), ...start.zones], false);
+      } else {
+        const handle = handleAt(point);
+        const index = handle ? selected : zoneAt(point);
+        selected = index;
+        drag = index === -1 ? null : { ...start, mode: handle ? "resize" : "move", index, handle };
+        render();
+      }
+      if (drag) {
+        canvas.setPointerCapture?.(event.pointerId);
+        event.preventDefault();
+      }
+    }
+
+    function handlePointerMove(event) {
+      if (!active) return;
+      if (!drag || event.pointerId !== drag.pointerId) {
+        updateCursor(toLayoutPoint(event));
+        return;
+      }
+      const point = toLayoutPoint(event);
+      if (!drag.moved && distance(point, drag.point) * view().scale < CLICK_DISTANCE) return;
+      drag.moved = true;
+
+      if (drag.mode === "create") {
+        commit([drawnZone(drag.point, point, false), ...drag.zones], false);
+        return;
+      }
+      const zone = drag.zones[drag.index];
+      const next =
+        drag.mode === "resize"
+          ? resizeZone(zone, drag.handle, point)
+          : zoneShapes.translateZone(zone, point.x - drag.point.x, point.y - drag.point.y);
+      commit(replaceAt(drag.zones, drag.index, next), false);
+    }
+
+    function handlePointerUp(event) {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      const finished = drag;
+      drag = null;
+      if (finished.mode === "create") {
+        // A click keeps the default-sized zone; either way the new zone stays selected to adjust.
+        commit(zones(), true);
+        setTool("select");
+      } else if (finished.moved) {
+        commit(zones(), true);
+      }
+    }
+
+    function handlePointerCancel(event) {
+      if (!drag || event.pointerId !== drag.pointerId) return;
+      // Put back what was there before the drag.
+      const { zones: before, mode } = drag;
+      drag = null;
+      if (mode === "create") selected = -1;
+      commit(before, false);
+    }
+
+    function updateCursor(point) {
+      if (tool !== "select") {
+        canvas.style.cursor = "crosshair";
+      } else if (handleAt(point)) {
+        canvas.style.cursor = "nwse-resize";
+      } else {
+        canvas.style.cursor = zoneAt(point) === -1 ? "default" : "move";
+      }
+    }
+
+    function deleteZone(index) {
+      const current = zones();
+      if (index < 0 || index >= current.length) return;
+      selected = -1;
+      commit(current.filter((zone, zoneIndex) => zoneIndex !== index), true);
+    }
+
+    // Moves a zone one step up or down the stack. It takes the zIndex of the zone it passes and
+    // goes right before or after it in the list, so the step works whatever zIndexes the plan uses.
+    function restack(index, direction) {
+      const current = zones();
+      const zone = current[index];
+      const layers = zoneShapes.zoneLayers(current);
+      const neighbor = layers[layers.indexOf(zone) + (direction > 0 ? -1 : 1)];
+      if (!zone || !neighbor) return;
+
+      const { zIndex, ...rest } = zone;
+      const moved = neighbor.zIndex ? { ...rest, zIndex: neighbor.zIndex } : rest;
+      const next = current.filter((item) => item !== zone);
+      const at = next.indexOf(neighbor) + (direction > 0 ? 0 : 1);
+      next.splice(at, 0, moved);
+      selected = at;
+      commit(next, true);
+    }
+
+    function recolor(index, key, color) {
+      const zone = zones()[index];
+      if (!zone || zone[key] === color) return;
+      commit(replaceAt(zones(), index, { ...zone, [key]: color }), true);
+    }
+
+    function colorInput(zone, index, key, label) {
+      const input = document.createElement("input");
+      input.type = "color";
+      input.value = zone[key];
+      input.setAttribute("aria-label", label);
+      input.addEventListener("change", () => recolor(index, key, input.value));
+      return input;
+    }
+
+    function rowButton(text, label, onClick, disabled) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "zone-row-button";
+      button.textContent = text;
+      button.setAttribute("aria-label", label);
+      button.disabled = !!disabled;
+      button.addEventListener("click", onClick);
+      return button;
+    }
+
+    // One row per zone, topmost first, the way they stack on the canvas.
+    function renderList() {
+      if (!list) return;
+      list.replaceChildren();
+      const current = zones();
+      const layers = zoneShapes.zoneLayers(current);
+      if (!layers.length) {
+        const empty = document.createElement("li");
+        empty.className = "zone-empty";
+        empty.textContent = "No zones yet. Pick a shape and drag on the canvas.";
+        list.appendChild(empty);
+        return;
+      }
+
+      layers.forEach((zone, position) => {
+        const index = current.indexOf(zone);
+        const name = `${TYPE_LABELS[zone.type] || zone.type} ${position + 1}`;
+        const row = document.createElement("li");
+        row.className = "zone-row";
+        if (index === selected) row.classList.add("selected");
+
+        const colors = [colorInput(zone, index, "color", `${name} color`)];
+        if (zoneShapes.isGradient(zone)) {
+          colors.push(colorInput(zone, index, "color2", `${name} second color`));
+        }
+        const label = document.createElement("button");
+        label.type = "button";
+        label.className = "zone-row-label";
+        label.textContent = zone.blend ? `${name} (${zone.blend})` : name;
+        label.addEventListener("click", () => select(index));
+
+        row.append(
+          ...colors,
+          label,
+          rowButton("▲", `Bring ${name} forward`, () => restack(index, 1), position === 0),
+          rowButton("▼", `Send ${name} back`, () => restack(index, -1), !layers[position + 1]),
+          rowButton("✕", `Delete ${name}`, () => deleteZone(index))
+        );
+        list.appendChild(row);
+      });
+    }
+
+    function renderTools() {
+      for (const button of toolButtons) {
+        button.setAttribute("aria-pressed", String(button.dataset.zoneTool === tool));
+      }
+    }
+
+    function render() {
+      renderList();
+      renderTools();
+    }
+
+    function select(index) {
+      selected = index;
+      render();
+    }
+
+    function setTool(next) {
+      tool = next === "circle" || next === "rectangle" ? next : "select";
+      renderTools();
+    }
+
+    // Outlines every zone and puts handles on the selected one. `ctx` is already in layout
+    // coordinates; line widths and handles keep the same size on screen at any scale.
+    function drawOverlay(ctx) {
+      if (!active) return;
+      const current = zones();
+      const unit = 1 / view().scale;
+      ctx.save();
+      ctx.globalAlpha = 1;
+      ctx.globalCompositeOperation = "source-over";
+      current.forEach((zone, index) => {
+        renderer.traceZone(ctx, zone);
+        ctx.setLineDash(index === selected ? [] : [4 * unit, 4 * unit]);
+        ctx.lineWidth = (index === selected ? 2 : 1) * unit;
+        ctx.strokeStyle = index === selected ? SELECTION_COLOR : "rgba(17, 24, 39, 0.6)";
+        ctx.stroke();
+      });
+
+      const zone = current[selected];
+      if (zone) {
+        ctx.setLineDash([]);
+        ctx.lineWidth = 1.5 * unit;
+        ctx.strokeStyle = SELECTION_COLOR;
+        ctx.fillStyle = "#ffffff";
+        for (const handle of handlesFor(zone)) {
+          ctx.beginPath();
+          ctx.arc(handle.x, handle.y, HANDLE_RADIUS * unit, 0, 2 * Math.PI);
+          ctx.fill();
+          ctx.stroke();
+        }
+      }
+      ctx.restore();
+    }
+
+    // Call after the zones change outside the editor (a new render, undo), so the list and the
+    // selection follow.
+    function refresh() {
+      if (selected >= zones().length) selected = -1;
+      if (active) render();
+    }
+
+    function setActive(next) {
+      active = !!next;
+      drag = null;
+      selected = -1;
+      canvas.style.cursor = "";
+      canvas.style.touchAction = active ? "none" : "";
+      setTool("select");
+      if (active) render();
+    }
+
+    function isTextField(target) {
+      if (!target || typeof target !== "object") return false;
+      return target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName);
+    }
+
+    function handleKeyDown(event) {
+      if (!active || isTextField(event.target)) return;
+      if ((event.key === "Delete" || event.key === "Backspace") && selected !== -1) {
+        event.preventDefault();
+        deleteZone(selected);
+      }
+    }
+
+    for (const button of toolButtons) {
+      button.addEventListener("click", () => setTool(button.dataset.zoneTool));
+    }
+    canvas.addEventListener("pointerdown", handlePointerDown);
+    canvas.addEventListener("pointermove", handlePointerMove);
+    canvas.addEventListener("pointerup", handlePointerUp);
+    canvas.addEventListener("pointercancel", handlePointerCancel);
+    document.addEventListener("keydown", handleKeyDown);
+
+    return {
+      isActive: () => active,
+      setActive,
+      setTool,
+      refresh,
+      drawOverlay,
+    };
+  }
+
+  window.ZoneEditor = {
+    createZoneEditor,
+  };
+})();
@@ -0,0 +1,566 @@
+/* Color zone geometry. Zones are in layout coordinates (the CSS pixels the layout was placed at):
+   - circle:          x, y = center; radius
+   - ellipse:         x, y = center; radiusX, radiusY; optional angle
+   - rectangle:       x, y = top-left corner; width, height; optional angle, turning it around
+                      its center
+   - polygon:         points = [{ x, y }, ...], 3 to MAX_POLYGON_POINTS of them
+   - linearGradient:  x, y, width, height like an unrotated rectangle; blends `color` into
+                      `color2` along `angle` (0 runs left to right, 90 top to bottom)
+   - radialGradient:  x, y = center; radius; `color` at the center blending into `color2` at
+                      the edge
+   Angles are in degrees, clockwise on screen.
+
+   Any zone can also carry layering fields, all optional:
+   - zIndex:    higher zones sit on top; with equal zIndex, earlier zones in the list do
+   - blend:     "replace" (the default), "multiply", "screen" or "mix"
+   - opacity:   0..1, how strongly the zone applies (default 1, or 0.5 for "mix")
+   - softness:  feathers the edge over that many pixels, centered on the boundary
+   - coverage:  "area" weighs a rectangle by how much of it the zone covers instead of by
+                whether its center is inside
+   Without them the topmost zone containing a rectangle's center colors it, as it always has.
+
+   And placement fields, also optional, that steer where rectangles go (see placement.js):
+   - density:   how many rectangles land in the zone relative to the rest of the canvas,
+                0..MAX_DENSITY (default 1)
+   - minSize, maxSize: rectangle sizes inside the zone, replacing the plan's own
+   - exclude:   true keeps the zone empty; no rectangle overlaps it
+
+   Shared by the page and Node: exposes `self.ZoneShapes` in the browser and
+   `module.exports` under require().
+*/
+
+(() => {
+  const ZONE_TYPES = Object.freeze([
+    "circle",
+    "ellipse",
+    "rectangle",
+    "polygon",
+    "linearGradient",
+    "radialGradient",
+  ]);
+  const GRADIENT_TYPES = Object.freeze(["linearGradient", "radialGradient"]);
+  const MAX_POLYGON_POINTS = 64;
+  const BLEND_MODES = Object.freeze(["replace", "multiply", "screen", "mix"]);
+  const COVERAGE_MODES = Object.freeze(["center", "area"]);
+  const DEFAULT_MIX_OPACITY = 0.5;
+  const AREA_SAMPLES = 4; // per side: "area" coverage averages a 4x4 grid over the rectangle
+  const MAX_DENSITY = 10;
+  const MIN_ZONE_RECT_SIZE = 2;
+  const MAX_ZONE_RECT_SIZE = 100;
+
+  function isFiniteNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+  }
+
+  function isPositive(value) {
+    return isFiniteNumber(value) && value > 0;
+  }
+
+  function isGradient(zone) {
+    return !!zone && GRADIENT_TYPES.includes(zone.type);
+  }
+
+  function toRadians(degrees) {
+    return ((Number(degrees) || 0) * Math.PI) / 180;
+  }
+
+  function normalizePoints(points) {
+    if (!Array.isArray(points)) return null;
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS) return null;
+    const cleaned = [];
+    for (const point of points) {
+      if (!point || !isFiniteNumber(point.x) || !isFiniteNumber(point.y)) return null;
+      cleaned.push({ x: point.x, y: point.y });
+    }
+    return cleaned;
+  }
+
+  // The layering fields of `zone` that differ from their defaults, so plain zones stay plain.
+  function pickLayering(zone) {
+    const layering = {};
+    if (isFiniteNumber(zone.zIndex) && zone.zIndex !== 0) layering.zIndex = zone.zIndex;
+    if (BLEND_MODES.includes(zone.blend) && zone.blend !== "replace") layering.blend = zone.blend;
+    if (isFiniteNumber(zone.opacity)) layering.opacity = Math.min(1, Math.max(0, zone.opacity));
+    if (isPositive(zone.softness)) layering.softness = zone.softness;
+    if (zone.coverage === "area") layering.coverage = "area";
+    return layering;
+  }
+
+  function zoneRectSize(value) {
+    if (!isFiniteNumber(value)) return null;
+    return Math.min(MAX_ZONE_RECT_SIZE, Math.max(MIN_ZONE_RECT_SIZE, Math.round(value)));
+  }
+
+  // The placement fields of `zone` that differ from their defaults. A maxSize below the minSize
+  // is raised to it.
+  function pickPlacement(zone) {
+    const placement = {};
+    if (zone.exclude === true) placement.exclude = true;
+    if (isFiniteNumber(zone.density) && zone.density !== 1) {
+      placement.density = Math.min(MAX_DENSITY, Math.max(0, zone.density));
+    }
+    const minSize = zoneRectSize(zone.minSize);
+    const maxSize = zoneRectSize(zone.maxSize);
+    if (minSize !== null) placement.minSize = minSize;
+    if (maxSize !== null) placement.maxSize = Math.max(minSize || 0, maxSize);
+    return placement;
+  }
+
+  // A copy of `zone` with only the fields its type uses, or null when it is malformed. Colors
+  // only have to be strings here; callers decide which color formats they accept.
+  function normalizeZone(zone) {
+    const shape = normalizeShape(zone);
+    return shape ? { ...shape, ...pickLayering(zone), ...pickPlacement(zone) } : null;
+  }
+
+  function normalizeShape(zone) {
+    if (!zone || typeof zone !== "object") return null;
+    const { type, color } = zone;
+    if (!ZONE_TYPES.includes(type) || typeof color !== "string") return null;
+
+    if (type === "polygon") {
+      const points = normalizePoints(zone.points);
+      return points ? { type, points, color } : null;
+    }
+
+    if (!isFiniteNumber(zone.x) || !isFiniteNumber(zone.y)) return null;
+    const base = { type, x: zone.x, y: zone.y, color };
+    if (isGradient(zone)) {
+      if (typeof zone.color2 !== "string") return null;
+      base.color2 = zone.color2;
+    }
+    // Only rotated shapes carry an angle, so older zones keep their shape exactly.
+    const angle = isFiniteNumber(zone.angle) && zone.angle % 360 !== 0 ? zone.angle : null;
+
+    if (type === "circle" || type === "radialGradient") {
+      return isPositive(zone.radius) ? { ...base, radius: zone.radius } : null;
+    }
+    if (type === "ellipse") {
+      if (!isPositive(zone.radiusX) || !isPositive(zone.radiusY)) return null;
+      const ellipse = { ...base, radiusX: zone.radiusX, radiusY: zone.radiusY };
+      return angle === null ? ellipse : { ...ellipse, angle };
+    }
+    if (!isPositive(zone.width) || !isPositive(zone.height)) return null;
+    const sized = { ...base, width: zone.width, height: zone.height };
+    return angle === null ? sized : { ...sized, angle };
+  }
+
+  // Where (x, y) lands once `zone`'s rotation around (cx, cy) is undone.
+  function unrotate(x, y, cx, cy, angle) {
+    if (!angle) return { x, y };
+    const radians = -toRadians(angle);
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const dx = x - cx;
+    const dy = y - cy;
+    return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+  }
+
+  function polygonContains(points, x, y) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared
+      ? Math.min(1, Math.max(0, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared))
+      : 0;
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+  }
+
+  // Distance from (x, y) to the zone's edge: positive inside, negative outside. Exact except for
+  // ellipses, where it is scaled from the nearer radius.
+  function signedDistance(zone, x, y) {
+    switch (zone.type) {
+      case "circle":
+      case "radialGradient":
+        return zone.radius - Math.hypot(x - zone.x, y - zone.y);
+      case "ellipse": {
+        const local = unrotate(x, y, zone.x, zone.y, zone.angle);
+        const q = Math.hypot((local.x - zone.x) / zone.radiusX, (local.y - zone.y) / zone.radiusY);
+        return (1 - q) * Math.min(zone.radiusX, zone.radiusY);
+      }
+      case "rectangle":
+      case "linearGradient": {
+        const angle = zone.type === "rectangle" ? zone.angle : 0;
+        const cx = zone.x + zone.width / 2;
+        const cy = zone.y + zone.height / 2;
+        const local = unrotate(x, y, cx, cy, angle);
+        const dx = Math.abs(local.x - cx) - zone.width / 2;
+        const dy = Math.abs(local.y - cy) - zone.height / 2;
+        if (dx <= 0 && dy <= 0) return -Math.max(dx, dy);
+        return -Math.hypot(Math.max(dx, 0), Math.max(dy, 0));
+      }
+      case "polygon": {
+        if (!Array.isArray(zone.points)) return -Infinity;
+        let nearest = Infinity;
+        zone.points.forEach((point, index) => {
+          const next = zone.points[(index + 1) % zone.points.length];
+          nearest = Math.min(nearest, distanceToSegment(x, y, point, next));
+        });
+        return polygonContains(zone.points, x, y) ? nearest : -nearest;
+      }
+      default:
+        return -Infinity;
+    }
+  }
+
+  function containsPoint(zone, x, y) {
+    switch (zone.type) {
+      case "circle":
+      case "radialGradient":
+        return Math.hypot(x - zone.x, y - zone.y) <= zone.radius;
+      case "ellipse": {
+        const local = unrotate(x, y, zone.x, zone.y, zone.angle);
+        const dx = (local.x - zone.x) / zone.radiusX;
+        const dy = (local.y - zone.y) / zone.radiusY;
+        return dx * dx + dy * dy <= 1;
+      }
+      case "rectangle":
+      case "linearGradient": {
+        // A linear gradient's angle is its direction; only rectangles turn.
+        const angle = zone.type === "rectangle" ? zone.angle : 0;
+        const local = unrotate(x, y, zone.x + zone.width / 2, zone.y + zone.height / 2, angle);
+        return (
+          local.x >= zone.x &&
+          local.x <= zone.x + zone.width &&
+          local.y >= zone.y &&
+          local.y <= zone.y + zone.height
+        );
+      }
+      case "polygon":
+        return Array.isArray(zone.points) && polygonContains(zone.points, x, y);
+      default:
+        return false;
+    }
+  }
+
+  function parseHexColor(value) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(typeof value === "string" ? value : "");
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+    const number = parseInt(digits, 16);
+    return [(number >> 16) & 0xff, (number >> 8) & 0xff, number & 0xff];
+  }
+
+  // `from` blended into `to` by `t` (0..1), as #rrggbb. Falls back to `from` unless both are hex.
+  function mixColors(from, to, t) {
+    const a = parseHexColor(from);
+    const b = parseHexColor(to);
+    if (!a || !b) return from;
+    const amount = Math.min(1, Math.max(0, t));
+    const channels = a.map((channel, index) =>
+      Math.round(channel + (b[index] - channel) * amount)
+        .toString(16)
+        .padStart(2, "0")
+    );
+    return `#${channels.join("")}`;
+  }
+
+  // The start and end points of a linear gradient: through the zone's center along its angle,
+  // just long enough that the whole zone falls between them.
+  function gradientLine(zone) {
+    const radians = toRadians(zone.angle);
+    const dx = Math.cos(radians);
+    const dy = Math.sin(radians);
+    const half = (Math.abs(dx) * zone.width + Math.abs(dy) * zone.height) / 2;
+    const cx = zone.x + zone.width / 2;
+    const cy = zone.y + zone.height / 2;
+    return { x1: cx - dx * half, y1: cy - dy * half, x2: cx + dx * half, y2: cy + dy * half };
+  }
+
+  // How far (0..1) a point is from a gradient's `color` to its `color2`.
+  function gradientOffset(zone, x, y) {
+    if (zone.type === "radialGradient") {
+      return Math.hypot(x - zone.x, y - zone.y) / zone.radius;
+    }
+    const line = gradientLine(zone);
+    const dx = line.x2 - line.x1;
+    const dy = line.y2 - line.y1;
+    const lengthSquared = dx * dx + dy * dy;
+    if (!lengthSquared) return 0;
+    return ((x - line.x1) * dx + (y - line.y1) * dy) / lengthSquared;
+  }
+
+  // The zone's own color at (x, y): its color, or for gradients the blend at that point.
+  function zoneColor(zone, x, y) {
+    if (!isGradient(zone)) return zone.color;
+    return mixColors(zone.color, zone.color2, gradientOffset(zone, x, y));
+  }
+
+  // How much of the zone is at (x, y), 0..1. Hard edges are all or nothing; soft edges ramp
+  // across `softness` pixels centered on the boundary.
+  function pointCoverage(zone, x, y) {
+    if (!isPositive(zone.softness)) return containsPoint(zone, x, y) ? 1 : 0;
+    return Math.min(1, Math.max(0, 0.5 + signedDistance(zone, x, y) / zone.softness));
+  }
+
+  // How much the zone covers `rect` ({ x, y, w, h }), 0..1: at its center, or averaged over a
+  // grid of points across it for `coverage: "area"`.
+  function zoneCoverage(zone, rect) {
+    if (zone.coverage !== "area") {
+      return pointCoverage(zone, rect.x + rect.w / 2, rect.y + rect.h / 2);
+    }
+    let total = 0;
+    for (let i = 0; i < AREA_SAMPLES; i++) {
+      for (let j = 0; j < AREA_SAMPLES; j++) {
+        total += pointCoverage(
+          zone,
+          rect.x + ((i + 0.5) * rect.w) / AREA_SAMPLES,
+          rect.y + ((j + 0.5) * rect.h) / AREA_SAMPLES
+        );
+      }
+    }
+    return total / (AREA_SAMPLES * AREA_SAMPLES);
+  }
+
+  function zoneOpacity(zone) {
+    if (isFiniteNumber(zone.opacity)) return zone.opacity;
+    return zone.blend === "mix" ? DEFAULT_MIX_OPACITY : 1;
+  }
+
+  // Zones from the top down: higher zIndex first, then list order. Cached per zones array, which
+  // stays the same for every rectangle of a render; an array edited in place is sorted again.
+  const layerCache = new WeakMap();
+
+  function zoneLayers(zones) {
+    const cached = layerCache.get(zones);
+    const unchanged =
+      cached &&
+      cached.source.length === zones.length &&
+      cached.source.every(
+        (zone, index) => zone === zones[index] && zone.zIndex === cached.zIndexes[index]
+      );
+    if (unchanged) return cached.layers;
+    const layers = zones
+      .map((zone, index) => ({ zone, index, zIndex: Number(zone.zIndex) || 0 }))
+      .sort((a, b) => b.zIndex - a.zIndex || a.index - b.index)
+      .map((layer) => layer.zone);
+    layerCache.set(zones, {
+      source: zones.slice(),
+      zIndexes: zones.map((zone) => zone.zIndex),
+      layers,
+    });
+    return layers;
+  }
+
+  function blendChannel(below, above, mode) {
+    if (mode === "multiply") return (below * above) / 255;
+    if (mode === "screen") return 255 - ((255 - below) * (255 - above)) / 255;
+    return above;
+  }
+
+  // `above` applied over `below` with a blend mode, by `amount` (0..1), as #rrggbb. Colors that
+  // aren't hex can't be blended; the stronger side wins.
+  function blendColors(below, above, mode, amount) {
+    const a = parseHexColor(below);
+    const b = parseHexColor(above);
+    if (!a || !b) return amount >= 0.5 ? above : below;
+    const channels = a.map((channel, index) => {
+      const blended = blendChannel(channel, b[index], mode);
+      return Math.round(channel + (blended - channel) * amount)
+        .toString(16)
+        .padStart(2, "0");
+    });
+    return `#${channels.join("")}`;
+  }
+
+  // The color of `rect` ({ x, y, w, h }) under `zones`, over `defaultColor`. Layers are found from
+  // the top down until one covers the rectangle completely, then blended from the bottom up.
+  function colorForRect(rect, zones, defaultColor) {
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const above = [];
+    let color = defaultColor;
+
+    for (const zone of zoneLayers(zones)) {
+      const coverage = zoneCoverage(zone, rect);
+      if (coverage <= 0) continue;
+      const amount = coverage * zoneOpacity(zone);
+      if (amount >= 1 && (zone.blend || "replace") === "replace") {
+        color = zoneColor(zone, cx, cy);
+        break;
+      }
+      above.push({ zone, amount });
+    }
+
+    for (let i = above.length - 1; i >= 0; i--) {
+      const { zone, amount } = above[i];
+      color = blendColors(color, zoneColor(zone, cx, cy), zone.blend, amount);
+    }
+    return color;
+  }
+
+  // Corners of a rectangle zone, rotated with it, clockwise from the top-left.
+  function rectangleCorners(zone) {
+    const cx = zone.x + zone.width / 2;
+    const cy = zone.y + zone.height / 2;
+    const radians = zone.type === "rectangle" ? toRadians(zone.angle) : 0;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return [
+      [-1, -1],
+      [1, -1],
+      [1, 1],
+      [-1, 1],
+    ].map(([sx, sy]) => {
+      const dx = (sx * zone.width) / 2;
+      const dy = (sy * zone.height) / 2;
+      return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+    });
+  }
+
+  function boundsOfPoints(points) {
+    const xs = points.map((point) => point.x);
+    const ys = points.map((point) => point.y);
+    return {
+      left: Math.min(...xs),
+      top: Math.min(...ys),
+      right: Math.max(...xs),
+      bottom: Math.max(...ys),
+    };
+  }
+
+  // The axis-aligned box around a zone: { left, top, right, bottom }.
+  function zoneBounds(zone) {
+    switch (zone.type) {
+      case "circle":
+      case "radialGradient":
+        return {
+          left: zone.x - zone.radius,
+          top: zone.y - zone.radius,
+          right: zone.x + zone.radius,
+          bottom: zone.y + zone.radius,
+        };
+      case "ellipse": {
+        const cos = Math.cos(toRadians(zone.angle));
+        const sin = Math.sin(toRadians(zone.angle));
+        const halfWidth = Math.hypot(zone.radiusX * cos, zone.radiusY * sin);
+        const halfHeight = Math.hypot(zone.radiusX * sin, zone.radiusY * cos);
+        return {
+          left: zone.x - halfWidth,
+          top: zone.y - halfHeight,
+          right: zone.x + halfWidth,
+          bottom: zone.y + halfHeight,
+        };
+      }
+      case "polygon":
+        return boundsOfPoints(zone.points);
+      default:
+        return boundsOfPoints(rectangleCorners(zone));
+    }
+  }
+
+  function translateZone(zone, dx, dy) {
+    if (zone.type === "polygon") {
+      const points = zone.points.map((point) => ({ x: point.x + dx, y: point.y + dy }));
+      return { ...zone, points };
+    }
+    return { ...zone, x: zone.x + dx, y: zone.y + dy };
+  }
+
+  // Scale a zone by `factor` around (cx, cy): its position moves and its size and
+  // soft edge grow with it.
+  function scaleZone(zone, factor, cx, cy) {
+    const scaled = scaleShape(zone, factor, cx, cy);
+    return isPositive(zone.softness) ? { ...scaled, softness: zone.softness * factor } : scaled;
+  }
+
+  function scaleShape(zone, factor, cx, cy) {
+    const scalePoint = (x, y) => ({ x: cx + (x - cx) * factor, y: cy + (y - cy) * factor });
+    if (zone.type === "polygon") {
+      return { ...zone, points: zone.points.map((point) => scalePoint(point.x, point.y)) };
+    }
+    if (zone.type === "circle" || zone.type === "radialGradient") {
+      return { ...zone, ...scalePoint(zone.x, zone.y), radius: zone.radius * factor };
+    }
+    if (zone.type === "ellipse") {
+      return {
+        ...zone,
+        ...scalePoint(zone.x, zone.y),
+        radiusX: zone.radiusX * factor,
+        radiusY: zone.radiusY * factor,
+      };
+    }
+    const center = scalePoint(zone.x + zone.width / 2, zone.y + zone.height / 2);
+    const width = zone.width * factor;
+    const height = zone.height * factor;
+    return { ...zone, x: center.x - width / 2, y: center.y - height / 2, width, height };
+  }
+
+  // `zone` as another type, filling the same bounding box. Colors carry over; a new gradient
+  // starts out flat until it is given a `color2`.
+  function convertZoneType(zone, type) {
+    if (zone.type === type) return zone;
+    const { left, top, right, bottom } = zoneBounds(zone);
+    const width = right - left;
+    const height = bottom - top;
+    const cx = (left + right) / 2;
+    const cy = (top + bottom) / 2;
+    const colors = { color: zone.color, ...pickLayering(zone), ...pickPlacement(zone) };
+    if (GRADIENT_TYPES.includes(type)) colors.color2 = zone.color2 || zone.color;
+
+    switch (type) {
+      case "circle":
+      case "radialGradient":
+        return { type, x: cx, y: cy, radius: Math.min(width, height) / 2, ...colors };
+      case "ellipse":
+        return { type, x: cx, y: cy, radiusX: width / 2, radiusY: height / 2, ...colors };
+      case "polygon":
+        return {
+          type,
+          points: [
+            { x: left, y: top },
+            { x: right, y: top },
+            { x: right, y: bottom },
+            { x: left, y: bottom },
+          ],
+          ...colors,
+        };
+      default:
+        return { type, x: left, y: top, width, height, ...colors };
+    }
+  }
+
+  const ZoneShapes = {
+    ZONE_TYPES,
+    GRADIENT_TYPES,
+    MAX_POLYGON_POINTS,
+    BLEND_MODES,
+    COVERAGE_MODES,
+    MAX_DENSITY,
+    MIN_ZONE_RECT_SIZE,
+    MAX_ZONE_RECT_SIZE,
+    isGradient,
+    normalizeZone,
+    containsPoint,
+    signedDistance,
+    zoneColor,
+    zoneCoverage,
+    zoneLayers,
+    colorForRect,
+    mixColors,
+    gradientLine,
+    rectangleCorners,
+    zoneBounds,
+    translateZone,
+    scaleZone,
+    convertZoneType,
+  };
+
+  if (typeof module === "object" && module.exports) {
+    module.exports = ZoneShapes;
+  } else {
+    self.ZoneShapes = ZoneShapes;
+  }
+})();